@@ -0,0 +1,241 @@
+// src/dashboard-page.ts
+// The dashboard is a single self-contained page, no build step and no external assets.
+// The script is plain ES2017 without template literals so it can live inside this one.
+export const DASHBOARD_HTML = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Deebo Dashboard</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 0; color: #1d1d1f; background: #f5f5f7; }
+  header { padding: 10px 16px; background: #1d1d1f; color: #fff; font-weight: 600; }
+  main { display: flex; height: calc(100vh - 40px); }
+  #sessions { width: 320px; overflow-y: auto; border-right: 1px solid #ddd; background: #fff; }
+  #sessions .item { padding: 8px 12px; border-bottom: 1px solid #eee; cursor: pointer; }
+  #sessions .item.selected { background: #e8f0fe; }
+  #sessions .error { color: #555; font-size: 12px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  #detail { flex: 1; overflow-y: auto; padding: 16px; }
+  section { background: #fff; border: 1px solid #ddd; border-radius: 6px; padding: 12px; margin-bottom: 16px; }
+  h2 { font-size: 15px; margin: 0 0 8px; }
+  .status { display: inline-block; padding: 1px 6px; border-radius: 4px; font-size: 12px; background: #eee; }
+  .status.in_progress, .status.running, .status.queued { background: #fff4ce; }
+  .status.completed, .status.reported { background: #d7f5dd; }
+  .status.unverified { background: #ffe3c2; }
+  .status.failed, .status.crashed, .status.orphaned { background: #fde2e1; }
+  .status.cancelled, .status.terminated, .status.dropped { background: #e5e5ea; }
+  .cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(260px, 1fr)); gap: 8px; }
+  .card { border: 1px solid #ddd; border-radius: 6px; padding: 8px; }
+  .muted { color: #666; font-size: 12px; }
+  .timeline div { padding: 2px 0; }
+  .stage { font-weight: 600; color: #0b57d0; }
+  .warn { color: #9a6700; } .error { color: #b3261e; }
+  pre { white-space: pre-wrap; word-break: break-word; background: #f5f5f7; padding: 6px; border-radius: 4px; margin: 4px 0; max-height: 400px; overflow-y: auto; }
+  .entry { border-left: 3px solid #ddd; padding-left: 8px; margin: 8px 0; }
+  .entry.assistant { border-color: #0b57d0; } .entry.tool { border-color: #9a6700; } .entry.prompt { border-color: #888; }
+  textarea { width: 100%; min-height: 60px; box-sizing: border-box; }
+  button { cursor: pointer; }
+  #cancel { background: #b3261e; color: #fff; border: 0; border-radius: 4px; padding: 4px 10px; }
+</style>
+</head>
+<body>
+<header>Deebo Dashboard</header>
+<main>
+  <div id="sessions"></div>
+  <div id="detail"><p class="muted">Select a session.</p></div>
+</main>
+<script>
+(function () {
+  // The token comes in once as ?token=..., then lives in sessionStorage and out of the address bar
+  var params = new URLSearchParams(location.search);
+  if (params.get('token')) {
+    sessionStorage.setItem('deeboToken', params.get('token'));
+    history.replaceState(null, '', location.pathname);
+  }
+  var token = sessionStorage.getItem('deeboToken') || '';
+  var selected = null;
+  var selectedAgent = 'mother';
+
+  function api(path, options) {
+    options = options || {};
+    options.headers = Object.assign({ 'Authorization': 'Bearer ' + token, 'Content-Type': 'application/json' }, options.headers || {});
+    return fetch(path, options).then(function (res) {
+      return res.json().then(function (body) {
+        if (!res.ok) throw new Error(body.error || res.statusText);
+        return body;
+      });
+    });
+  }
+
+  function esc(value) {
+    return String(value == null ? '' : value).replace(/[&<>"']/g, function (c) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+    });
+  }
+
+  function text(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  }
+
+  function time(iso) {
+    return iso ? new Date(iso).toLocaleTimeString() : '';
+  }
+
+  function duration(seconds) {
+    var m = Math.floor(seconds / 60);
+    return (m ? m + 'm ' : '') + (seconds % 60) + 's';
+  }
+
+  function badge(status) {
+    return '<span class="status ' + esc(status) + '">' + esc(status) + '</span>';
+  }
+
+  function renderSessions(sessions) {
+    document.getElementById('sessions').innerHTML = sessions.map(function (s) {
+      return '<div class="item' + (s.sessionId === selected ? ' selected' : '') + '" data-id="' + esc(s.sessionId) + '">' +
+        '<div>' + esc(s.sessionId) + ' ' + badge(s.status) + '</div>' +
+        '<div class="muted">' + esc(s.repoPath || 'unknown repo') + ' · ' + esc(time(s.startedAt)) + ' · ' + s.scenarioCount + ' scenario(s)</div>' +
+        '<div class="error">' + esc(s.error || '') + '</div></div>';
+    }).join('') || '<p class="muted" style="padding:12px">No sessions yet.</p>';
+  }
+
+  // keepConversation: polling updates everything else, an expanded prompt shouldn't collapse under the reader
+  function renderDetail(data, keepConversation) {
+    var st = data.status;
+    var agents = ['mother'].concat(st.scenarios.map(function (s) { return 'scenario-' + s.id; }));
+    var running = st.status === 'in_progress' || st.status === 'initializing';
+    var html = '';
+
+    html += '<section><h2>' + esc(st.sessionId) + ' ' + badge(st.status) +
+      (running ? ' <button id="cancel">Cancel session</button>' : '') + '</h2>' +
+      '<div class="muted">Started ' + esc(st.startedAt || '-') + ' · running ' + duration(st.durationSeconds) +
+      ' · ' + st.usage.calls + ' LLM calls, ' + (st.usage.promptTokens + st.usage.completionTokens) + ' tokens</div>' +
+      (st.budgetExhausted ? '<p class="warn">Stopped early: ' + esc(st.budgetExhausted) + '</p>' : '') +
+      (st.llmError ? '<p class="warn">LLM provider error: ' + esc(st.llmError) + '</p>' : '') +
+      '<div class="muted">Policy: ' + st.policy.toolCalls + ' tool calls, ' + st.policy.denied + ' blocked</div>' +
+      st.policy.recentViolations.map(function (v) {
+        return '<div class="warn">' + esc(time(v.timestamp)) + ' ' + esc(v.agent) + ' blocked by ' + esc(v.rule) + ': ' + esc(v.subject) + '</div>';
+      }).join('') +
+      (st.repro ? '<div class="muted">Repro: <code>' + esc(st.repro.command) + '</code> · base commit: ' + esc(st.repro.baseline || 'not run yet') + '</div>' : '') +
+      (st.solution ? '<h2>' + (st.status === 'unverified' ? 'Conclusion (unverified)' : 'Solution') + '</h2><pre>' + esc(st.solution) + '</pre>' : '') + '</section>';
+
+    html += '<section><h2>Scenarios</h2><div class="cards">' + (st.scenarios.map(function (s) {
+      return '<div class="card"><div>' + esc(s.id) + ' ' + badge(s.state) + '</div>' +
+        '<div>' + esc(s.hypothesis) + '</div>' +
+        '<div class="muted">Runtime ' + duration(s.runtimeSeconds) + ' · confirmed: ' + esc(s.confirmed) +
+        (s.confidence ? ' · confidence: ' + esc(s.confidence) : '') +
+        (s.repro ? ' · repro: ' + esc(s.repro) : '') + '</div>' +
+        (s.latestActivity ? '<div class="muted">Latest: ' + esc(s.latestActivity) + '</div>' : '') +
+        (s.conclusion ? '<div class="muted">' + esc(s.conclusion) + '</div>' : '') + '</div>';
+    }).join('') || '<p class="muted">No scenarios yet.</p>') + '</div></section>';
+
+    html += '<section><h2>Timeline</h2><div class="timeline">' + data.timeline.map(function (e) {
+      var stage = /^OODA: /.test(e.message);
+      return '<div class="' + esc(e.level) + '"><span class="muted">' + esc(time(e.timestamp)) + '</span> ' +
+        (stage ? '<span class="stage">' + esc(e.message.slice(6).toUpperCase()) + '</span>' : esc(e.message)) + '</div>';
+    }).join('') + '</div></section>';
+
+    var observations = Object.keys(data.observations).map(function (agent) {
+      return data.observations[agent].map(function (o) {
+        return '<div><span class="muted">' + esc(time(o.timestamp)) + ' → ' + esc(agent) + '</span> ' + esc(o.observation) + '</div>';
+      }).join('');
+    }).join('');
+    html += '<section><h2>Observations</h2>' + (observations || '<p class="muted">None yet.</p>') +
+      '<p><select id="obs-agent">' + agents.map(function (a) { return '<option>' + esc(a) + '</option>'; }).join('') + '</select></p>' +
+      '<textarea id="obs-text" placeholder="Something the agents should know"></textarea>' +
+      '<p><button id="obs-send">Add observation</button> <span id="obs-result" class="muted"></span></p></section>';
+
+    html += '<section><h2>Conversation <select id="agent">' + agents.map(function (a) {
+      return '<option' + (a === selectedAgent ? ' selected' : '') + '>' + esc(a) + '</option>';
+    }).join('') + '</select> <button id="refresh-log">Refresh</button></h2><div id="conversation" class="muted">Loading…</div></section>';
+
+    var previous = document.getElementById('conversation');
+    var kept = keepConversation && previous && previous.getAttribute('data-agent') === selectedAgent ? previous.innerHTML : null;
+    document.getElementById('detail').innerHTML = html;
+
+    var cancel = document.getElementById('cancel');
+    if (cancel) cancel.onclick = function () {
+      if (!confirm('Cancel session ' + st.sessionId + '?')) return;
+      api('/api/sessions/' + encodeURIComponent(st.sessionId) + '/cancel', { method: 'POST' })
+        .then(function (r) { alert(r.message); refresh(); }, function (err) { alert(err.message); });
+    };
+    document.getElementById('obs-send').onclick = function () {
+      var body = { observation: document.getElementById('obs-text').value, agentId: document.getElementById('obs-agent').value };
+      api('/api/sessions/' + encodeURIComponent(st.sessionId) + '/observations', { method: 'POST', body: JSON.stringify(body) })
+        .then(function (r) { document.getElementById('obs-text').value = ''; document.getElementById('obs-result').textContent = r.message; },
+              function (err) { document.getElementById('obs-result').textContent = err.message; });
+    };
+    document.getElementById('agent').onchange = function (e) { selectedAgent = e.target.value; loadConversation(); };
+    document.getElementById('refresh-log').onclick = loadConversation;
+    if (kept !== null) {
+      var conversation = document.getElementById('conversation');
+      conversation.innerHTML = kept;
+      conversation.className = '';
+      conversation.setAttribute('data-agent', selectedAgent);
+    } else {
+      loadConversation();
+    }
+  }
+
+  // Log entries in order: the prompt, every LLM response with its tool calls, every tool result
+  function renderEntry(e) {
+    var d = e.data || {};
+    if (e.message === 'Sending to LLM' && d.messages) {
+      return '<div class="entry prompt"><details><summary>Prompt (' + d.messages.length + ' messages) to ' + esc(d.model) + '</summary>' +
+        d.messages.map(function (m) { return '<div class="muted">' + esc(m.role) + '</div><pre>' + esc(text(m.content)) + '</pre>'; }).join('') +
+        '</details></div>';
+    }
+    if (/^Received (response )?from LLM$/.test(e.message) && d.response !== undefined) {
+      var content = typeof d.response === 'string' ? d.response : d.response.content;
+      var calls = d.toolCalls || (typeof d.response === 'object' ? d.response.toolCalls : null) || [];
+      return '<div class="entry assistant"><div class="muted">' + esc(time(e.timestamp)) + ' assistant</div><pre>' + esc(content) + '</pre>' +
+        calls.map(function (c) { return '<div class="muted">tool call ' + esc(c.name) + '</div><pre>' + esc(c.arguments) + '</pre>'; }).join('') + '</div>';
+    }
+    if (/^Executing tool: /.test(e.message)) {
+      return '<div class="entry tool"><div class="muted">' + esc(time(e.timestamp)) + ' ' + esc(e.message) + '</div><pre>' + esc(text(d.args)) + '</pre></div>';
+    }
+    if (/^Tool result for /.test(e.message)) {
+      return '<div class="entry tool"><details><summary class="muted">' + esc(e.message) + '</summary><pre>' + esc(text(d.result)) + '</pre></details></div>';
+    }
+    if (e.level === 'debug' && !d.error) return '';
+    return '<div class="entry ' + esc(e.level) + '"><span class="muted">' + esc(time(e.timestamp)) + '</span> ' + esc(e.message) +
+      (d.error ? '<pre>' + esc(text(d.error)) + '</pre>' : '') + '</div>';
+  }
+
+  function loadConversation() {
+    api('/api/sessions/' + encodeURIComponent(selected) + '/logs/' + encodeURIComponent(selectedAgent)).then(function (r) {
+      var el = document.getElementById('conversation');
+      el.className = '';
+      el.setAttribute('data-agent', selectedAgent);
+      el.innerHTML = r.entries.map(renderEntry).join('') || '<p class="muted">No log entries.</p>';
+    }, function (err) { document.getElementById('conversation').textContent = err.message; });
+  }
+
+  function refresh(keepConversation) {
+    api('/api/sessions').then(function (r) { renderSessions(r.sessions); }, showError);
+    if (!selected) return;
+    // Don't re-render while someone is typing an observation
+    var typing = document.getElementById('obs-text');
+    if (typing && typing.value) return;
+    api('/api/sessions/' + encodeURIComponent(selected)).then(function (data) { renderDetail(data, keepConversation); }, showError);
+  }
+
+  function showError(err) {
+    document.getElementById('detail').innerHTML = '<p class="error">' + esc(err.message) +
+      (token ? '' : ' (open the dashboard with ?token=&lt;your DEEBO_HTTP_TOKEN&gt;)') + '</p>';
+  }
+
+  document.getElementById('sessions').onclick = function (e) {
+    var item = e.target.closest('.item');
+    if (!item) return;
+    selected = item.getAttribute('data-id');
+    selectedAgent = 'mother';
+    refresh(false);
+  };
+
+  refresh(false);
+  setInterval(function () { refresh(true); }, 5000);
+})();
+</script>
+</body>
+</html>
+`;
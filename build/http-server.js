@@ -0,0 +1,71 @@
+// src/http-server.ts
+import express from 'express';
+import cors from 'cors';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+export const DEFAULT_HTTP_PORT = 3788;
+const HOST = '127.0.0.1'; // never reachable from other machines
+// DEEBO_HTTP_PORT / DEEBO_HTTP_TOKEN; without a token a random one is made for this run
+export function getHttpServerOptions() {
+    const port = parseInt(process.env.DEEBO_HTTP_PORT ?? '', 10);
+    const token = process.env.DEEBO_HTTP_TOKEN?.trim();
+    return {
+        port: Number.isNaN(port) ? DEFAULT_HTTP_PORT : port,
+        token: token || randomBytes(24).toString('hex'),
+        generatedToken: !token
+    };
+}
+function tokenMatches(given, token) {
+    if (!given)
+        return false;
+    const a = Buffer.from(given);
+    const b = Buffer.from(token);
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+// `Authorization: Bearer <token>`, or `?token=` for clients that can only be given a URL
+function requireToken(token) {
+    return (req, res, next) => {
+        const header = req.headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+        const query = typeof req.query.token === 'string' ? req.query.token : undefined;
+        if (tokenMatches(header ?? query, token))
+            return next();
+        res.status(401).json({ error: 'Missing or invalid Deebo token' });
+    };
+}
+/**
+ * Serves MCP over SSE on localhost: GET /sse opens a connection, POST /messages?sessionId=...
+ * carries the client's requests. Both need the token; a leaked SSE session id alone gets nowhere.
+ * The SDK's client doesn't carry `?token=` over to the POST URL, so MCP clients send the header.
+ * `createServer` is called once per connection. `dashboard` is mounted at /, its API behind the same token.
+ */
+export async function startHttpServer(createServer, options, dashboard) {
+    const transports = new Map();
+    const app = express();
+    app.use(cors({ origin: /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/ }));
+    app.get('/sse', requireToken(options.token), async (req, res) => {
+        const transport = new SSEServerTransport('/messages', res);
+        transports.set(transport.sessionId, transport);
+        res.on('close', () => {
+            transports.delete(transport.sessionId);
+            transport.close().catch(() => undefined);
+        });
+        await createServer().connect(transport);
+    });
+    app.post('/messages', requireToken(options.token), async (req, res) => {
+        const transport = transports.get(String(req.query.sessionId ?? ''));
+        if (!transport) {
+            res.status(404).json({ error: 'Unknown or closed SSE session' });
+            return;
+        }
+        await transport.handlePostMessage(req, res);
+    });
+    if (dashboard) {
+        // The page itself holds no data, every API call it makes carries the token
+        const auth = requireToken(options.token);
+        app.use((req, res, next) => req.method === 'GET' && req.path === '/' ? next() : auth(req, res, next), dashboard);
+    }
+    await new Promise((resolve, reject) => {
+        const httpServer = app.listen(options.port, HOST, () => resolve());
+        httpServer.on('error', reject);
+    });
+}
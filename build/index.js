@@ -1,14 +1,28 @@
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { SetLevelRequestSchema } from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
-import { readFile, mkdir, readdir, access } from 'fs/promises';
+import { readFile, mkdir } from 'fs/promises';
 import { config } from 'dotenv';
-import { dirname, join } from 'path';
+import { join } from 'path';
 import * as path from 'path';
-import { fileURLToPath } from 'url';
 import { runMotherAgent } from './mother-agent.js';
 import { getProjectId } from './util/sanitize.js';
 import { writeObservation } from './util/observations.js';
+import { log } from './util/logger.js';
+import { DEEBO_ROOT } from './util/paths.js';
+import { writeSessionMeta, readSessionMeta, updateSessionMeta, findSessionDir, setSessionState, reconcileSessions, listSessionMetas, getProcessStartTime, liveScenarioPids, isServerAlive } from './util/sessions.js';
+import { getSessionStatus, formatPulse, formatDuration } from './util/session-status.js';
+import { listSessions } from './util/session-list.js';
+import { getSolutionPatchPath, hasSolutionPatch } from './util/solution.js';
+import { describeSessionOutcome } from './util/conversation.js';
+import { onSessionEvent } from './util/events.js';
+import { registerSessionResources } from './resources.js';
+import { startHttpServer, getHttpServerOptions } from './http-server.js';
+import { createDashboardRouter } from './dashboard.js';
+import { getHeadCommit, snapshotWorkingTree, checkPatch, applyPatch, createBranchWithPatch, listDeeboBranches, deleteDeeboBranch, cleanupSessionBranches, pruneOldBranches, getBranchRetentionDays } from './util/branch-manager.js';
+import { getReproSpec } from './util/repro.js';
+import { getMemoryBankStatus, compactMemoryBank, rebuildDigest } from './util/membank.js';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { homedir } from "node:os";
@@ -63,22 +77,6 @@ async function findToolPaths() {
     process.env.DEEBO_NPM_BIN = npmBin; // <-- expose for later
     return { npxPath, uvxPath, npmBin };
 }
-// Helper to find session directory
-async function findSessionDir(sessionId) {
-    const memoryBank = join(DEEBO_ROOT, 'memory-bank');
-    const projects = await readdir(memoryBank);
-    for (const project of projects) {
-        const sessionPath = join(memoryBank, project, 'sessions', sessionId);
-        try {
-            await access(sessionPath);
-            return sessionPath;
-        }
-        catch {
-            continue;
-        }
-    }
-    return null;
-}
 // Registry to track active sessions and their associated processes/controllers
 const processRegistry = new Map();
 // Track terminated PIDs across all tools
@@ -92,463 +90,104 @@ if (!process.env.MOTHER_MODEL) {
 if (!process.env.SCENARIO_MODEL) {
     throw new Error('SCENARIO_MODEL environment variable is required');
 }
-// Set up basic directories
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-export const DEEBO_ROOT = join(__dirname, '..');
 // Create required directories
 await mkdir(join(DEEBO_ROOT, 'memory-bank'), { recursive: true });
 // Find and configure tool paths
 await findToolPaths();
-// Create MCP server
-const server = new McpServer({
-    name: "Deebo",
-    version: "1.0.0"
-});
-// Register start tool - begins a debug session
-server.tool("start", "Begins an autonomous debugging session that investigates software bugs through multiple competing hypotheses. This tool launches a mother agent that analyzes errors, generates diverse hypotheses about potential causes, and spawns isolated scenario agents to test each hypothesis in separate git branches. The mother agent coordinates the investigation, evaluates scenario reports, and synthesizes a validated solution when sufficient evidence is found.", {
-    error: z.string().describe("The error message or description of the bug to investigate"),
-    repoPath: z.string().describe("Absolute path to the git repository containing the code to debug"),
-    context: z.string().optional().describe("Additional context like code snippets, previous attempts, or relevant information"),
-    language: z.string().optional().describe("Programming language of the code being debugged (e.g., 'typescript', 'python')"),
-    filePath: z.string().optional().describe("Relative path to the specific file containing the bug, if known")
-}, async ({ error, repoPath, context, language, filePath }, extra) => {
+// Sessions left running by a previous server process have lost their mother agent.
+// Mark them orphaned and reattach to any scenario processes still alive so cancel can reach them.
+for (const orphan of await reconcileSessions()) {
+    processRegistry.set(orphan.sessionId, {
+        motherController: new AbortController(),
+        scenarioPids: new Set(orphan.scenarioPids)
+    });
+    await log(orphan.sessionId, 'mother', 'warn', `Session orphaned: the Deebo server restarted while it was running. ${orphan.scenarioPids.length} scenario process(es) still alive${orphan.scenarioPids.length ? ` (PIDs ${orphan.scenarioPids.join(', ')}). Use cancel to stop them.` : '.'}`, { repoPath: orphan.repoPath, scenarioPids: orphan.scenarioPids }).catch(() => undefined);
+}
+// Creates the session directory and its on-disk metadata, so it survives server restarts
+async function createSession(repoPath, startArgs, budget, forkedFrom) {
     const projectId = getProjectId(repoPath);
     const sessionId = `session-${Date.now()}`;
     await mkdir(join(DEEBO_ROOT, 'memory-bank', projectId, 'sessions', sessionId, 'logs'), { recursive: true });
     await mkdir(join(DEEBO_ROOT, 'memory-bank', projectId, 'sessions', sessionId, 'reports'), { recursive: true });
+    const snapshot = await snapshotWorkingTree(repoPath).catch(() => null);
+    const now = new Date().toISOString();
+    const meta = {
+        sessionId,
+        projectId,
+        repoPath,
+        state: 'running',
+        serverPid: process.pid,
+        serverStartTime: await getProcessStartTime(process.pid),
+        scenarioPids: [],
+        startArgs,
+        budget,
+        baseCommit: snapshot?.commit ?? await getHeadCommit(repoPath).catch(() => undefined),
+        uncommittedFiles: snapshot?.uncommittedFiles,
+        forkedFrom,
+        startedAt: now,
+        updatedAt: now
+    };
+    await writeSessionMeta(meta);
+    return meta;
+}
+// Runs the mother agent in the background and registers it so cancel can reach it
+function launchMotherAgent(meta, options = {}) {
+    const { sessionId, repoPath, startArgs } = meta;
     // Create controller and PID set for this session
     const motherController = new AbortController();
     const scenarioPids = new Set();
-    // Register the session
     processRegistry.set(sessionId, {
         motherController,
         scenarioPids
     });
-    // console.log(`Registered session ${sessionId}`); // Removed informational log
-    // Run mother agent in background, passing the signal and PID set
-    // Note: runMotherAgent signature needs to be updated in mother-agent.ts to accept these
-    runMotherAgent(sessionId, error, context ?? "", language ?? "typescript", filePath ?? "", repoPath, motherController.signal, // Pass the signal
-    scenarioPids // Pass the Set for tracking scenario PIDs
-    ).catch(err => {
+    runMotherAgent(sessionId, startArgs.error, startArgs.context, startArgs.language, startArgs.filePath, repoPath, motherController.signal, // Pass the signal
+    scenarioPids, // Pass the Set for tracking scenario PIDs
+    { budget: meta.budget, repro: getReproSpec(startArgs), ...options }).catch(err => {
         console.error(`Debug session ${sessionId} failed during execution:`, err);
         // Clean up registry if mother agent fails during execution
         processRegistry.delete(sessionId);
-    }).finally(() => {
-        // Optional: Could also remove from registry on normal completion,
-        // but cancel needs to handle the case where it's still running.
-        // For now, only removing on error/cancel.
-        // console.log(`Mother agent promise settled for session ${sessionId}.`); // Removed internal log
     });
-    // Return session ID immediately
-    return {
-        content: [{
-                type: "text",
-                text: `Session ${sessionId} started!\n\n` +
-                    `Looking for resources? Ask your agent to read Deebo guide, or check out the Deebo GitHub:\n` +
-                    `https://github.com/snagasuri/deebo-prototype\n\n` +
-                    `Reminder: Deebo updates frequently.\n` +
-                    `Run npx deebo-setup@latest frequently for bug fixes and improvements!`
-            }]
-    };
-});
-// Register check tool - gets status of a debug session
-server.tool("check", "Retrieves the current status of a debugging session, providing a detailed pulse report. For in-progress sessions, the pulse includes the mother agent's current stage in the OODA loop, running scenario agents with their hypotheses, and any preliminary findings. For completed sessions, the pulse contains the final solution with a comprehensive explanation, relevant code changes, and outcome summaries from all scenario agents that contributed to the solution. Use this tool to monitor ongoing progress or retrieve the final validated fix. In a short paragraph, Include the Mother agents status only if it's crashed or failing otherwise just skip over it and use the last activity and the last log message to summarize in one sentence what the mother agent did. Then describe scenario agents activity and hypotheses briefly ", {
-    sessionId: z.string().describe("The session ID returned by the start tool when the debugging session was initiated")
-}, async ({ sessionId }, extra) => {
-    try {
-        // track whether we've already shown the hint
-        const entry = processRegistry.get(sessionId) || {};
-        let hintText = "";
-        if (!entry.hasShownCheckHint) {
-            hintText = "hint: wait around 30 seconds on first check\n\n";
-            entry.hasShownCheckHint = true;
-            processRegistry.set(sessionId, entry);
-        }
-        // locate the session dir
-        const sessionDir = await findSessionDir(sessionId);
-        if (!sessionDir) {
-            return {
-                content: [{
-                        type: "text",
-                        text: hintText + `Session ${sessionId} not found`
-                    }]
-            };
-        }
-        // Get time metrics and mother status
-        const logsDir = join(sessionDir, 'logs');
-        const motherLogPath = join(logsDir, 'mother.log');
-        const motherLog = await readFile(motherLogPath, 'utf8');
-        const motherLines = motherLog.split('\n').filter(Boolean);
-        if (!motherLines.length)
-            return { content: [{ type: "text", text: hintText + 'Session initializing' }] };
-        const firstEvent = JSON.parse(motherLines[0]);
-        const durationMs = Date.now() - new Date(firstEvent.timestamp).getTime();
-        const durationSeconds = Math.floor(durationMs / 1000);
-        const durationMinutes = Math.floor(durationSeconds / 60);
-        const remainingSeconds = durationSeconds % 60;
-        const durationStr = durationMinutes > 0
-            ? `${durationMinutes} minute${durationMinutes > 1 ? 's' : ''} ${remainingSeconds} second${remainingSeconds !== 1 ? 's' : ''}`
-            : `${durationSeconds} second${durationSeconds !== 1 ? 's' : ''}`;
-        // Determine status by scanning for solution tag, cancellation, or errors
-        let status = 'in_progress';
-        let lastValidEvent = null;
-        let solutionContent = '';
-        // First pass - find completion indicators
-        for (const line of motherLines.reverse()) {
-            try {
-                const event = JSON.parse(line);
-                if (!lastValidEvent)
-                    lastValidEvent = event;
-                const content = event.data?.response || event.message || '';
-                // Check for process spawn and termination with comprehensive pattern
-                const SCENARIO_PID_PATTERN = /(?:Spawned|Removed|Terminated|Cancelled) Scenario .* PID (\d+)/;
-                const pidMatch = content.match(SCENARIO_PID_PATTERN);
-                if (pidMatch) {
-                    const pid = parseInt(pidMatch[1]);
-                    if (content.match(/(Removed|Terminated|Cancelled)/)) {
-                        terminatedPids.add(pid);
-                    }
-                }
-                // Check for session cancellation
-                if (content.includes('Session cancelled by user request')) {
-                    status = 'cancelled';
-                    break;
-                }
-                // Check for solution tag with improved regex
-                const solutionMatch = content.match(/<solution>\s*([\s\S]*?)\s*<\/solution>/);
-                if (solutionMatch && solutionMatch[1].trim()) {
-                    status = 'completed';
-                    solutionContent = solutionMatch[1].trim();
-                    break;
-                }
-                // Check for completion message
-                if (content === 'Solution found or investigation concluded.') {
-                    status = 'completed';
-                    // Continue searching for actual solution content
-                    continue;
-                }
-                // Only mark as failed if we haven't found a solution
-                if (event.level === 'error' && status !== 'completed') {
-                    status = 'failed';
-                }
-            }
-            catch (e) {
-                continue;
-            }
-        }
-        // If status is still 'in_progress' after scan, check the last valid event's level
-        if (status === 'in_progress' && lastValidEvent?.level === 'error') {
-            status = 'failed';
-        }
-        // Helper functions for PID mapping and status
-        function buildScenarioPIDMapping(motherLines) {
-            const mapping = new Map();
-            for (const line of motherLines) {
-                try {
-                    const event = JSON.parse(line);
-                    const message = event.message || '';
-                    const matches = message.match(/Spawned Scenario ([^ ]+) with PID (\d+)/);
-                    if (matches) {
-                        const [_, scenarioId, pidStr] = matches;
-                        mapping.set(scenarioId, parseInt(pidStr));
-                    }
-                }
-                catch (e) {
-                    continue;
-                }
-            }
-            return mapping;
-        }
-        function getScenarioStatus(scenarioId, pidMapping) {
-            const pid = pidMapping.get(scenarioId);
-            if (!pid)
-                return 'Unknown';
-            return terminatedPids.has(pid) ? 'Terminated' : 'Investigating...';
-        }
-        // Build PID mapping from mother log
-        const pidMapping = buildScenarioPIDMapping(motherLines);
-        // Count scenario statuses
-        const reportsDir = join(sessionDir, 'reports');
-        const scenarioLogs = await readdir(logsDir);
-        const reportFiles = await readdir(reportsDir);
-        // Count scenarios by status
-        let runningCount = 0;
-        let terminatedCount = 0;
-        let reportedCount = reportFiles.length;
-        // Check each scenario's status using the PID mapping
-        for (const logFile of scenarioLogs.filter(f => f.startsWith('scenario-'))) {
-            const scenarioId = logFile.replace('scenario-', '').replace('.log', '');
-            const status = getScenarioStatus(scenarioId, pidMapping);
-            if (status === 'Terminated') {
-                terminatedCount++;
-            }
-            else if (!reportFiles.includes(scenarioId + '.json')) {
-                runningCount++;
-            }
-        }
-        // build links with absolute paths
-        const normalizedPath = sessionDir.split(path.sep).join('/'); // Normalize to forward slashes
-        const projectId = normalizedPath.split("/memory-bank/")[1].split("/")[0];
-        const progressMdPath = path.resolve(join(DEEBO_ROOT, "memory-bank", projectId, "progress.md"));
-        const progressLink = `${progressMdPath}`;
-        const motherLink = `${path.resolve(motherLogPath)}`;
-        // Build the pulse
-        let pulse = hintText;
-        pulse += `=== Deebo Session Pulse: ${sessionId} ===\n`;
-        // Replace the timestamp line with formatted date
-        const now = new Date();
-        const formattedDate = now.toLocaleDateString('en-US', {
-            month: 'short',
-            day: 'numeric',
-            year: 'numeric'
-        });
-        const formattedTime = now.toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit',
-            hour12: true
-        }).toLowerCase();
-        pulse += `${formattedDate} | ${formattedTime}\n`;
-        pulse += `Overall Status: ${status}\n`;
-        pulse += `Session Duration: ${durationStr}\n\n`;
-        pulse += `--- Mother Agent ---\n`;
-        pulse += `Status: ${status === 'in_progress' ? 'working' : status}\n`;
-        // Calculate time elapsed for last activity
-        const lastActivityTime = lastValidEvent ? Math.floor((Date.now() - new Date(lastValidEvent.timestamp).getTime()) / 1000) : 0;
-        const lastActivityMinutes = Math.floor(lastActivityTime / 60);
-        const lastActivitySeconds = lastActivityTime % 60;
-        const lastActivityStr = lastValidEvent
-            ? lastActivityMinutes > 0
-                ? `${lastActivityMinutes} minute${lastActivityMinutes > 1 ? 's' : ''} ${lastActivitySeconds} second${lastActivitySeconds !== 1 ? 's' : ''} ago`
-                : `${lastActivitySeconds} second${lastActivitySeconds !== 1 ? 's' : ''} ago`
-            : 'N/A';
-        pulse += `Last Activity: ${lastActivityStr}\n`;
-        pulse += `${motherLink}\n`;
-        if (status === 'completed') {
-            //pulse += `Solutions log: ${progressLink}\n\n`;
-            if (solutionContent) {
-                pulse += `<<<<<<< SOLUTION\n`;
-                pulse += solutionContent + '\n';
-                pulse += `======= SOLUTION END >>>>>>>\n\n`;
-            }
-            else {
-                pulse += `STATUS COMPLETE BUT SOLUTION CONTENT NOT FOUND\n`;
-                pulse += `Check the mother.log file for more details.\n\n`;
-            }
-        }
-        else if (status === 'in_progress' || status === 'failed') {
-            // For in-progress or failed, show last known stage or last message
-            let stageMessage = 'No stage information found.';
-            if (lastValidEvent) { // Use the last valid event captured during status scan
-                stageMessage = lastValidEvent.message || JSON.stringify(lastValidEvent.data); // Show message or data
-                if (lastValidEvent.message && lastValidEvent.message.includes('OODA:')) {
-                    pulse += `Last Stage: ${lastValidEvent.message}\n\n`;
-                }
-                else {
-                    pulse += `Last Log Message: ${stageMessage.substring(0, 100)}${stageMessage.length > 100 ? '...' : ''}\n\n`;
-                }
-            }
-            else {
-                pulse += `Last Stage: ${stageMessage}\n\n`;
-            }
-        }
-        // Process reported scenarios
-        for (const file of reportFiles) {
-            const scenarioId = file.replace('.json', '');
-            const scenarioLogPath = join(logsDir, `scenario-${scenarioId}.log`);
-            let scenarioLog;
-            try {
-                scenarioLog = await readFile(scenarioLogPath, 'utf8');
-            }
-            catch (e) {
-                continue; // Skip if log file doesn't exist
-            }
-            const scenarioLines = scenarioLog.split('\n').filter(Boolean);
-            if (!scenarioLines.length)
-                continue;
-            // Get hypothesis - scan once
-            let hypothesis = 'Unknown hypothesis';
-            for (let i = 0; i < scenarioLines.length; i++) {
-                try {
-                    const event = JSON.parse(scenarioLines[i]);
-                    if (event.data?.hypothesis) {
-                        hypothesis = event.data.hypothesis;
-                        break;
-                    }
-                }
-                catch (e) {
-                    continue;
-                }
-            }
-            // For reported scenarios, calculate runtime until report time
-            const firstEvent = JSON.parse(scenarioLines[0]);
-            const lastEvent = JSON.parse(scenarioLines[scenarioLines.length - 1]);
-            const runtimeSeconds = Math.floor((new Date(lastEvent.timestamp).getTime() - new Date(firstEvent.timestamp).getTime()) / 1000);
-            const minutes = Math.floor(runtimeSeconds / 60);
-            const seconds = runtimeSeconds % 60;
-            const runtimeStr = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-            pulse += `* ${scenarioId} [${runtimeStr}]\n`;
-            pulse += `  ${status === 'completed' ? (reportFiles.includes(`${scenarioId}.json`) ? 'Reported' : 'Crashed') : 'Reported'}\n`;
-            if (status !== 'completed') {
-                // Show the full hypothesis text, matching completed output
-                pulse += `  HYPOTHESIS: ${hypothesis}\n\n`;
-            }
-            if (status === 'completed') {
-                // Show summary for completed scenarios in completed sessions
-                try {
-                    const reportRaw = await readFile(join(reportsDir, `${scenarioId}.json`), 'utf8');
-                    const report = JSON.parse(reportRaw);
-                    // Extract key information from report
-                    const reportStr = typeof report === 'string' ? report : JSON.stringify(report, null, 2);
-                    const lines = reportStr.split('\n');
-                    // Find CONFIRMED status and INVESTIGATION section
-                    let confirmed = 'Unknown';
-                    let investigationLines = [];
-                    let inInvestigation = false;
-                    for (let i = 0; i < lines.length; i++) {
-                        const line = lines[i].trim();
-                        if (line.startsWith('CONFIRMED:')) {
-                            confirmed = line.split(':')[1].trim();
-                        }
-                        if (line === 'INVESTIGATION:') {
-                            inInvestigation = true;
-                            continue;
-                        }
-                        if (inInvestigation && line && !line.startsWith('CONCLUSION:')) {
-                            investigationLines.push(line);
-                        }
-                        if (line.startsWith('CONCLUSION:')) {
-                            break;
-                        }
-                    }
-                    pulse += `  <<<<<<< OUTCOME ${scenarioId}\n`;
-                    pulse += `  HYPOTHESIS: ${hypothesis}\n\n`;
-                    pulse += `  CONFIRMED: ${confirmed}\n\n`;
-                    if (investigationLines.length > 0) {
-                        pulse += `  INVESTIGATION:\n`;
-                        pulse += `  ${investigationLines.join('\n  ')}\n`;
-                    }
-                }
-                catch (e) {
-                    const error = e;
-                    pulse += `  Error reading report: ${error.message}\n`;
-                }
-            }
-            pulse += `  ---------------------------------------------------------------------------\n`;
-            pulse += `  ${path.resolve(join(reportsDir, `${scenarioId}.json`))}\n\n`;
-        }
-        // Process unreported scenarios (either running or terminated without report)
-        const unreportedScenarios = scenarioLogs
-            .filter(f => f.startsWith('scenario-'))
-            .filter(f => !reportFiles.includes(f.replace('scenario-', '').replace('.log', '.json')));
-        for (const file of unreportedScenarios) {
-            const scenarioId = file.replace('scenario-', '').replace('.log', '');
-            let scenarioLog;
-            try {
-                scenarioLog = await readFile(join(logsDir, file), 'utf8');
-            }
-            catch (e) {
-                continue; // Skip if log file doesn't exist
-            }
-            const scenarioLines = scenarioLog.split('\n').filter(Boolean);
-            if (!scenarioLines.length)
-                continue;
-            // Get hypothesis and events from scenario log
-            let hypothesis = 'Unknown hypothesis';
-            let firstEvent, lastEvent;
-            try {
-                // Extract hypothesis and events
-                for (const line of scenarioLines) {
-                    try {
-                        const event = JSON.parse(line);
-                        if (event.data?.hypothesis) {
-                            hypothesis = event.data.hypothesis;
-                        }
-                        if (!firstEvent)
-                            firstEvent = event;
-                        lastEvent = event;
-                    }
-                    catch (e) {
-                        continue;
-                    }
-                }
-                // Calculate runtime in MM:SS format
-                const runtimeSeconds = Math.floor((Date.now() - new Date(firstEvent.timestamp).getTime()) / 1000);
-                const minutes = Math.floor(runtimeSeconds / 60);
-                const seconds = runtimeSeconds % 60;
-                const runtimeStr = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-                pulse += `* ${scenarioId} [${runtimeStr}]\n`;
-                pulse += `  ${status === 'completed' ? 'Crashed' : 'Investigating...'}\n`;
-                // Show the full hypothesis text
-                pulse += `  HYPOTHESIS: ${hypothesis}\n\n`;
-                pulse += `  Latest Activity: ${lastEvent.message}\n`;
-                pulse += `  ---------------------------------------------------------------------------\n`;
-                pulse += `  ${path.resolve(join(logsDir, file))}\n\n`;
-            }
-            catch (e) {
-                // Skip scenarios with invalid JSON
-                continue;
-            }
-        }
-        pulse += `--- End Session Pulse ---\n\n`;
-        if (status === 'completed' || status === 'failed') {
-            pulse += `\n=======================================\n`;
-            pulse += `Not the result you were looking for?\n`;
-            pulse += `Start another session and guide Deebo with what you learned!\n`;
-            pulse += `Need a refresher? Ask your agent to read Deebo Guide, or check out the GitHub:\n`;
-            pulse += `https://github.com/snagasuri/deebo-prototype\n`;
-            pulse += `=======================================\n`;
-        }
-        return {
-            content: [{
-                    type: "text",
-                    text: pulse
-                }]
-        };
-    }
-    catch (err) {
-        return {
-            content: [{
-                    type: "text",
-                    text: `Error generating pulse: ${err}`
-                }]
+}
+/**
+ * Stops the mother agent and every scenario process of a session. Shared by the cancel
+ * tool and the dashboard; returns the report for the user.
+ */
+async function cancelSession(sessionId) {
+    // No need to sanitize ID when using the registry Map key
+    let sessionEntry = processRegistry.get(sessionId);
+    const sessionDir = await findSessionDir(sessionId);
+    const sessionMeta = sessionDir ? await readSessionMeta(sessionDir) : null;
+    // Orphaned sessions have no live mother agent, so we have to record the cancellation ourselves
+    const isOrphaned = !!sessionMeta && (sessionMeta.state === 'orphaned' ||
+        (sessionMeta.state === 'running' && !(await isServerAlive(sessionMeta))));
+    if (isOrphaned) {
+        // No mother agent of ours: only signal the scenario processes that are provably still the
+        // session's own right now; a PID that was reused (or can't be checked) is never signalled
+        sessionEntry = {
+            motherController: sessionEntry?.motherController ?? new AbortController(),
+            scenarioPids: new Set(await liveScenarioPids(sessionMeta))
         };
     }
-});
-server.tool("cancel", "Terminates all processes related to a debugging session. This will stop the mother agent and all scenario agents, releasing system resources. Use this when you have your solution or want to abandon the debugging process.", {
-    sessionId: z.string().describe("The session ID returned by the start tool when the debugging session was initiated")
-}, async ({ sessionId }, extra) => {
-    // No need to sanitize ID when using the registry Map key
-    const sessionEntry = processRegistry.get(sessionId);
     if (!sessionEntry) {
-        return {
-            content: [{
-                    type: "text",
-                    text: `Session ${sessionId} not found in registry. It might have already completed or failed.`
-                }]
-        };
+        return `Session ${sessionId} not found in registry. It might have already completed or failed.`;
     }
     const { motherController, scenarioPids } = sessionEntry;
     let killedScenarios = 0;
     let failedKills = 0;
     try {
         // 1. Signal the Mother agent to stop its loop cooperatively
-        // console.log(`Signaling Mother Agent for session ${sessionId} to stop.`); // Removed informational log
         motherController.abort();
         // 2. Terminate any tracked Scenario agent processes
-        // console.log(`Terminating ${scenarioPids.size} tracked Scenario Agents for session ${sessionId}.`); // Removed informational log
         for (const pid of scenarioPids) {
             try {
                 // Use SIGTERM first for graceful shutdown
                 process.kill(pid, 'SIGTERM');
                 killedScenarios++;
                 terminatedPids.add(pid); // Add to terminated set right away
-                // console.log(`Sent SIGTERM to scenario PID ${pid}`); // Removed informational log
             }
             catch (err) {
                 // Ignore errors if process is already gone (e.g., ESRCH)
                 if (err.code !== 'ESRCH') {
-                    // console.warn(`Failed to send SIGTERM to scenario PID ${pid}: ${err.message}`); // Removed console.warn
                     failedKills++;
                 }
                 else {
@@ -561,64 +200,464 @@ server.tool("cancel", "Terminates all processes related to a debugging session.
         // For simplicity, we'll rely on SIGTERM for now.
         // 3. Clean up the registry entry *after* attempting kills
         processRegistry.delete(sessionId);
-        // console.log(`Removed session ${sessionId} from process registry.`); // Removed informational log
-        return {
-            content: [{
-                    type: "text",
-                    text: `Cancellation request sent for session ${sessionId}:\n` +
-                        `- Mother agent signaled to stop.\n` +
-                        `- Targeted ${killedScenarios} scenario processes (includes already exited).\n` +
-                        `- ${failedKills} termination signals failed (excluding already exited).`
-                }]
-        };
+        if (isOrphaned) {
+            await log(sessionId, 'mother', 'info', 'Session cancelled by user request.', { repoPath: sessionMeta.repoPath });
+            await setSessionState(sessionMeta.repoPath, sessionId, 'cancelled');
+        }
+        return `Cancellation request sent for session ${sessionId}:\n` +
+            `- Mother agent signaled to stop.\n` +
+            `- Targeted ${killedScenarios} scenario processes (includes already exited).\n` +
+            `- ${failedKills} termination signals failed (excluding already exited).`;
     }
     catch (err) {
         // Handle potential errors during the cancellation process itself
         const errorMessage = err.message || String(err);
-        // console.error(`Error during cancellation for session ${sessionId}: ${errorMessage}`); // Removed console.error
         // Attempt to clean up registry even if cancellation had issues
         processRegistry.delete(sessionId); // Ensure cleanup
+        return `Error during cancellation for session ${sessionId}: ${errorMessage}. Registry entry removed.`;
+    }
+}
+// Writes an observation for an agent of a session, throws if the session or agent can't be found
+async function addObservation(sessionId, observation, agentId = 'mother') {
+    // Get session directory
+    const sessionDir = await findSessionDir(sessionId);
+    if (!sessionDir) {
+        throw new Error('Session not found');
+    }
+    // Get repoPath from agent log
+    const logFile = join(sessionDir, 'logs', `${agentId}.log`);
+    const agentLog = await readFile(logFile, 'utf8');
+    const firstLine = agentLog.split('\n')[0];
+    const firstEvent = JSON.parse(firstLine);
+    const repoPath = firstEvent.data?.repoPath;
+    if (!repoPath) {
+        throw new Error('Could not find repoPath in agent log');
+    }
+    await writeObservation(repoPath, sessionId, agentId, observation);
+}
+// MCP logging levels, least to most severe
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+/**
+ * One MCP server per connected client: stdio has exactly one, the HTTP daemon one per SSE connection.
+ * Sessions live in the module-level registry, so every client sees and controls the same ones.
+ */
+function createDeeboServer() {
+    const server = new McpServer({
+        name: "Deebo",
+        version: "1.0.0"
+    }, {
+        // Session events go out as logging notifications so clients can follow along without polling check
+        capabilities: { logging: {} }
+    });
+    let minLogLevel = 'info';
+    server.server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+        minLogLevel = request.params.level;
+        return {};
+    });
+    registerSessionResources(server, terminatedPids);
+    const unsubscribe = onSessionEvent(event => {
+        // Progress is info, outcomes are notice
+        const level = ['repro_baseline', 'scenario_reported', 'solution', 'session_ended'].includes(event.type) ? 'notice' : 'info';
+        if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(minLogLevel))
+            return;
+        server.server.sendLoggingMessage({ level, logger: 'deebo', data: event })
+            .catch(() => undefined); // no client connected (yet), nothing to do
+    });
+    // Register start tool - begins a debug session
+    server.tool("start", "Begins an autonomous debugging session that investigates software bugs through multiple competing hypotheses. This tool launches a mother agent that analyzes errors, generates diverse hypotheses about potential causes, and spawns isolated scenario agents to test each hypothesis in separate git branches. The mother agent coordinates the investigation, evaluates scenario reports, and synthesizes a validated solution when sufficient evidence is found.", {
+        error: z.string().describe("The error message or description of the bug to investigate"),
+        repoPath: z.string().describe("Absolute path to the git repository containing the code to debug"),
+        context: z.string().optional().describe("Additional context like code snippets, previous attempts, or relevant information"),
+        language: z.string().optional().describe("Programming language of the code being debugged (e.g., 'typescript', 'python')"),
+        filePath: z.string().optional().describe("Relative path to the specific file containing the bug, if known"),
+        reproCommand: z.string().optional().describe("Shell command that reproduces the bug, run from the repo root (e.g. 'npm ci && npx jest src/parser.test.ts'). It is run on the base commit to confirm the failure, and a hypothesis only counts as confirmed if it passes on the scenario's branch"),
+        expectedFailure: z.string().optional().describe("What the repro command's failure looks like: a substring of its output, or /regex/. Without it any non-zero exit counts as the failure"),
+        maxTotalTokens: z.number().int().positive().optional().describe("Token budget (prompt + completion, all agents) for the whole session"),
+        maxRuntimeMinutes: z.number().positive().optional().describe("Wall-clock budget in minutes (default 60)"),
+        maxConcurrentScenarios: z.number().int().positive().optional().describe("How many scenario agents may run at the same time"),
+        maxTotalScenarios: z.number().int().positive().optional().describe("How many scenario agents may be spawned over the whole session")
+    }, async ({ error, repoPath, context, language, filePath, reproCommand, expectedFailure, maxTotalTokens, maxRuntimeMinutes, maxConcurrentScenarios, maxTotalScenarios }, extra) => {
+        // When a budget runs out the session stops with a best-effort summary instead of failing
+        const budget = { maxTotalTokens, maxRuntimeMinutes, maxConcurrentScenarios, maxTotalScenarios };
+        const meta = await createSession(repoPath, {
+            error,
+            context: context ?? "",
+            language: language ?? "typescript",
+            filePath: filePath ?? "",
+            ...(reproCommand?.trim() ? { reproCommand: reproCommand.trim(), expectedFailure: expectedFailure?.trim() || undefined } : {})
+        }, budget);
+        const sessionId = meta.sessionId;
+        launchMotherAgent(meta);
+        // Return session ID immediately
         return {
             content: [{
                     type: "text",
-                    text: `Error during cancellation for session ${sessionId}: ${errorMessage}. Registry entry removed.`
+                    text: `Session ${sessionId} started!\n\n` +
+                        `Progress is sent live as MCP logging notifications; clients without them can poll check.\n\n` +
+                        `Looking for resources? Ask your agent to read Deebo guide, or check out the Deebo GitHub:\n` +
+                        `https://github.com/snagasuri/deebo-prototype\n\n` +
+                        `Reminder: Deebo updates frequently.\n` +
+                        `Run npx deebo-setup@latest frequently for bug fixes and improvements!`
                 }]
         };
-    }
-});
-// Register add_observation tool
-server.tool("add_observation", "Adds an external observation to an agent in the debugging session. If agentId is not specified, defaults to 'mother'. This allows other tools or human insights to be incorporated into the ongoing investigation. Observations are logged and considered by the agent in subsequent reasoning steps.", {
-    observation: z.string(),
-    sessionId: z.string(),
-    agentId: z.string().optional()
-}, async ({ observation, sessionId, agentId = 'mother' }, extra) => {
-    try {
-        // Get session directory
+    });
+    // Register check tool - gets status of a debug session
+    server.tool("check", "Retrieves the current status of a debugging session, providing a detailed pulse report. For in-progress sessions, the pulse includes the mother agent's current stage in the OODA loop, running scenario agents with their hypotheses, and any preliminary findings. For completed sessions, the pulse contains the final solution with a comprehensive explanation, relevant code changes, and outcome summaries from all scenario agents that contributed to the solution. Use this tool to monitor ongoing progress or retrieve the final validated fix. In a short paragraph, Include the Mother agents status only if it's crashed or failing otherwise just skip over it and use the last activity and the last log message to summarize in one sentence what the mother agent did. Then describe scenario agents activity and hypotheses briefly ", {
+        sessionId: z.string().describe("The session ID returned by the start tool when the debugging session was initiated"),
+        format: z.enum(["text", "json"]).optional().describe("'text' (default) for the human-readable pulse, 'json' for machine-readable session state")
+    }, async ({ sessionId, format = "text" }, extra) => {
+        try {
+            // track whether we've already shown the hint
+            const entry = processRegistry.get(sessionId) || {};
+            let hintText = "";
+            if (!entry.hasShownCheckHint) {
+                hintText = "hint: wait around 30 seconds on first check\n\n";
+                entry.hasShownCheckHint = true;
+                processRegistry.set(sessionId, entry);
+            }
+            // locate the session dir
+            const sessionDir = await findSessionDir(sessionId);
+            if (!sessionDir) {
+                return {
+                    content: [{
+                            type: "text",
+                            text: format === "json"
+                                ? JSON.stringify({ sessionId, status: "not_found" }, null, 2)
+                                : hintText + `Session ${sessionId} not found`
+                        }]
+                };
+            }
+            // Both formats are rendered from the same state so they can never disagree
+            const sessionStatus = await getSessionStatus(sessionId, sessionDir, terminatedPids);
+            return {
+                content: [{
+                        type: "text",
+                        text: format === "json"
+                            ? JSON.stringify(sessionStatus, null, 2)
+                            : hintText + formatPulse(sessionStatus)
+                    }]
+            };
+        }
+        catch (err) {
+            return {
+                content: [{
+                        type: "text",
+                        text: `Error generating pulse: ${err}`
+                    }]
+            };
+        }
+    });
+    // Register list_sessions tool - finds sessions across every project in the memory bank
+    server.tool("list_sessions", "Lists Deebo debugging sessions across all repositories, newest first, with each session's repository, error summary, status, start time, duration and number of scenarios. Filter by repository, status and start date. Use this to find a session ID you no longer have, or to audit what Deebo did in a project.", {
+        repoPath: z.string().optional().describe("Only sessions for this repository (absolute path, as passed to start)"),
+        status: z.array(z.enum(["initializing", "in_progress", "completed", "unverified", "failed", "cancelled", "orphaned"])).optional().describe("Only sessions in one of these states"),
+        since: z.string().optional().describe("Only sessions started at or after this date/time (ISO 8601, e.g. 2025-05-01)"),
+        until: z.string().optional().describe("Only sessions started at or before this date/time (ISO 8601)"),
+        limit: z.number().int().positive().optional().describe("Return at most this many sessions (default 20)"),
+        format: z.enum(["text", "json"]).optional().describe("'text' (default) for a readable list, 'json' for machine-readable output")
+    }, async ({ repoPath, status, since, until, limit = 20, format = "text" }, extra) => {
+        const parseDate = (value, name) => {
+            if (!value)
+                return undefined;
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime()))
+                throw new Error(`Invalid ${name} date: ${value}`);
+            return date;
+        };
+        const sessions = await listSessions({
+            repoPath,
+            status,
+            since: parseDate(since, 'since'),
+            until: parseDate(until, 'until')
+        }, terminatedPids);
+        const shown = sessions.slice(0, limit);
+        if (format === "json") {
+            return { content: [{ type: "text", text: JSON.stringify({ total: sessions.length, sessions: shown }, null, 2) }] };
+        }
+        if (!shown.length) {
+            return { content: [{ type: "text", text: "No sessions found." }] };
+        }
+        const lines = shown.map(s => `${s.sessionId}  ${s.status}, started ${s.startedAt ?? 'unknown'}, ran ${formatDuration(s.durationSeconds)}, ${s.scenarioCount} scenario(s)\n` +
+            `  repo: ${s.repoPath ?? 'unknown'}\n` +
+            `  error: ${s.error ?? 'unknown'}`);
+        const more = sessions.length > shown.length ? `\n\n${sessions.length - shown.length} more, raise limit or narrow the filters to see them.` : '';
+        return { content: [{ type: "text", text: lines.join('\n\n') + more }] };
+    });
+    server.tool("cancel", "Terminates all processes related to a debugging session. This will stop the mother agent and all scenario agents, releasing system resources. Use this when you have your solution or want to abandon the debugging process.", {
+        sessionId: z.string().describe("The session ID returned by the start tool when the debugging session was initiated")
+    }, async ({ sessionId }, extra) => {
+        return {
+            content: [{
+                    type: "text",
+                    text: await cancelSession(sessionId)
+                }]
+        };
+    });
+    // Register add_observation tool
+    server.tool("add_observation", "Adds an external observation to an agent in the debugging session. If agentId is not specified, defaults to 'mother'. This allows other tools or human insights to be incorporated into the ongoing investigation. Observations are logged and considered by the agent in subsequent reasoning steps.", {
+        observation: z.string(),
+        sessionId: z.string(),
+        agentId: z.string().optional()
+    }, async ({ observation, sessionId, agentId = 'mother' }, extra) => {
+        try {
+            await addObservation(sessionId, observation, agentId);
+            return {
+                content: [{
+                        type: "text",
+                        text: "Observation logged"
+                    }]
+            };
+        }
+        catch (err) {
+            throw new Error(`Observation write failed: ${err instanceof Error ? err.message : String(err)}`);
+        }
+    });
+    // Register resume tool - continues a finished session from its saved conversation
+    server.tool("resume", "Resumes a completed, unverified, failed, cancelled or orphaned debugging session under the same session ID. The mother agent reloads its conversation, the scenario reports and observations from disk and continues the investigation where it stopped. Optionally add an observation (what you learned or tried since) for it to take into account. Use check to follow progress as usual.", {
+        sessionId: z.string().describe("The session ID to resume"),
+        observation: z.string().optional().describe("New information for the mother agent, e.g. what you found since the session ended")
+    }, async ({ sessionId, observation }, extra) => {
         const sessionDir = await findSessionDir(sessionId);
         if (!sessionDir) {
             throw new Error('Session not found');
         }
-        // Get repoPath from agent log
-        const logFile = join(sessionDir, 'logs', `${agentId}.log`);
-        const agentLog = await readFile(logFile, 'utf8');
-        const firstLine = agentLog.split('\n')[0];
-        const firstEvent = JSON.parse(firstLine);
-        const repoPath = firstEvent.data?.repoPath;
-        if (!repoPath) {
-            throw new Error('Could not find repoPath in agent log');
+        const sessionMeta = await readSessionMeta(sessionDir);
+        if (!sessionMeta) {
+            throw new Error(`Session ${sessionId} has no metadata (started before the session registry existed) and can't be resumed. Use fork to start a new session from its findings.`);
+        }
+        if (sessionMeta.state === 'running' && await isServerAlive(sessionMeta)) {
+            throw new Error(`Session ${sessionId} is still running`);
+        }
+        const stalePids = await liveScenarioPids(sessionMeta);
+        if (stalePids.length) {
+            throw new Error(`Session ${sessionId} still has scenario processes running (PIDs ${stalePids.join(', ')}). Cancel it first.`);
+        }
+        if (observation) {
+            await writeObservation(sessionMeta.repoPath, sessionId, 'mother', observation);
         }
-        await writeObservation(repoPath, sessionId, agentId, observation);
+        const serverStartTime = await getProcessStartTime(process.pid);
+        const meta = await updateSessionMeta(sessionMeta.repoPath, sessionId, m => {
+            m.state = 'running';
+            m.serverPid = process.pid;
+            m.serverStartTime = serverStartTime;
+            m.scenarioPids = [];
+            m.scenarioStartTimes = {};
+            delete m.endedAt;
+        });
+        launchMotherAgent(meta, { resume: true });
         return {
             content: [{
                     type: "text",
-                    text: "Observation logged"
+                    text: `Session ${sessionId} resumed${observation ? ' with your observation' : ''}. Check it with the same session ID.`
                 }]
         };
-    }
-    catch (err) {
-        throw new Error(`Observation write failed: ${err instanceof Error ? err.message : String(err)}`);
-    }
-});
-// Connect transport
-const transport = new StdioServerTransport();
-await server.connect(transport);
+    });
+    // Register fork tool - starts a new session seeded with an earlier session's findings
+    server.tool("fork", "Starts a new debugging session for the same error and repository as an earlier session, seeded with that session's outcome: its solution (if any) and every scenario's hypothesis and verdict. The new mother agent builds on those findings instead of starting from zero. Use this when an investigation went the wrong way and you want a fresh run informed by what was ruled out.", {
+        sessionId: z.string().describe("The session ID to fork from"),
+        observation: z.string().optional().describe("New information to give the forked session, e.g. why the earlier result was wrong"),
+        context: z.string().optional().describe("Replaces the original session's context")
+    }, async ({ sessionId, observation, context }, extra) => {
+        const sourceDir = await findSessionDir(sessionId);
+        if (!sourceDir) {
+            throw new Error('Session not found');
+        }
+        const sourceMeta = await readSessionMeta(sourceDir);
+        if (!sourceMeta) {
+            throw new Error(`Session ${sessionId} has no metadata (started before the session registry existed), start a new session instead`);
+        }
+        let seedContext = await describeSessionOutcome(sessionId, sourceDir);
+        if (observation)
+            seedContext += `\n\nNew observation since then: ${observation}`;
+        const meta = await createSession(sourceMeta.repoPath, {
+            ...sourceMeta.startArgs,
+            context: context ?? sourceMeta.startArgs.context
+        }, sourceMeta.budget, sessionId);
+        launchMotherAgent(meta, { seedContext });
+        return {
+            content: [{
+                    type: "text",
+                    text: `Session ${meta.sessionId} started, forked from ${sessionId} with its findings as context.`
+                }]
+        };
+    });
+    // Register branches tool - lists and removes the scenario branches Deebo leaves in a repo
+    server.tool("branches", "Lists or removes the debug-session-* branches Deebo's scenario agents create in a repository. 'list' shows every Deebo branch with its session, age and own commits. 'prune' applies the retention policy: deletes branches without commits from finished sessions (the winning solution's branch is kept) and branches older than olderThanDays (default DEEBO_BRANCH_RETENTION_DAYS, 14). 'delete' removes one branch, or every branch of a session.", {
+        repoPath: z.string().describe("Absolute path to the git repository"),
+        action: z.enum(["list", "prune", "delete"]).describe("What to do with the Deebo branches"),
+        sessionId: z.string().optional().describe("Limit 'list' to one session, or delete all branches of this session"),
+        branch: z.string().optional().describe("Name of a single branch to delete"),
+        olderThanDays: z.number().int().nonnegative().optional().describe("Age limit for 'prune', 0 skips age-based pruning")
+    }, async ({ repoPath, action, sessionId, branch, olderThanDays }, extra) => {
+        const metas = new Map((await listSessionMetas()).map(meta => [meta.sessionId, meta]));
+        const runningSessions = new Set([...metas.values()].filter(meta => meta.state === 'running').map(meta => meta.sessionId));
+        const winningBranches = new Set([...metas.values()]
+            .filter(meta => meta.winningScenarioId)
+            .map(meta => `debug-${meta.winningScenarioId}`));
+        if (action === "list") {
+            const sessionBase = (id) => {
+                const base = metas.get(id)?.baseCommit;
+                return base ? [base] : [];
+            };
+            const branches = (await listDeeboBranches(repoPath, sessionBase)).filter(b => !sessionId || b.sessionId === sessionId);
+            if (!branches.length) {
+                return { content: [{ type: "text", text: "No Deebo branches found." }] };
+            }
+            const lines = branches.map(b => {
+                const state = metas.get(b.sessionId)?.state ?? 'unknown';
+                const flags = [
+                    winningBranches.has(b.name) ? 'winning solution' : null,
+                    b.checkedOut ? 'checked out in a worktree' : null
+                ].filter(Boolean).join(', ');
+                return `${b.name}  session ${state}, ${b.ageDays}d old, ${b.uniqueCommits} own commit(s)${flags ? `  [${flags}]` : ''}`;
+            });
+            return { content: [{ type: "text", text: lines.join('\n') }] };
+        }
+        if (action === "delete") {
+            if (!branch && !sessionId) {
+                throw new Error("delete needs either branch or sessionId");
+            }
+            const targets = branch
+                ? [branch]
+                : (await listDeeboBranches(repoPath)).filter(b => b.sessionId === sessionId).map(b => b.name);
+            const deleted = [];
+            const failed = [];
+            for (const name of targets) {
+                const owner = name.match(/^debug-(session-\d+)-\d+$/)?.[1];
+                if (owner && runningSessions.has(owner)) {
+                    failed.push(`${name}: session ${owner} is still running`);
+                    continue;
+                }
+                try {
+                    await deleteDeeboBranch(repoPath, name);
+                    deleted.push(name);
+                }
+                catch (err) {
+                    failed.push(`${name}: ${err instanceof Error ? err.message : String(err)}`);
+                }
+            }
+            let text = `Deleted ${deleted.length} branch(es)${deleted.length ? `:\n${deleted.join('\n')}` : '.'}`;
+            if (failed.length)
+                text += `\n\nNot deleted:\n${failed.join('\n')}`;
+            return { content: [{ type: "text", text }] };
+        }
+        // prune: empty branches of finished sessions, then everything past the age limit
+        const deleted = [];
+        const finishedSessions = new Set((await listDeeboBranches(repoPath))
+            .map(b => b.sessionId)
+            .filter(id => !runningSessions.has(id)));
+        for (const id of finishedSessions) {
+            const winningId = metas.get(id)?.winningScenarioId;
+            deleted.push(...await cleanupSessionBranches(repoPath, id, winningId ? `debug-${winningId}` : null, metas.get(id)?.baseCommit));
+        }
+        deleted.push(...await pruneOldBranches(repoPath, olderThanDays ?? getBranchRetentionDays(), runningSessions));
+        return {
+            content: [{
+                    type: "text",
+                    text: deleted.length ? `Pruned ${deleted.length} branch(es):\n${deleted.join('\n')}` : "Nothing to prune."
+                }]
+        };
+    });
+    // Register memory_bank tool - size, compaction and digest of a project's memory bank
+    server.tool("memory_bank", "Manages a repository's memory bank (activeContext.md, progress.md). 'status' shows file sizes against the size limit (DEEBO_MEMORY_BANK_MAX_KB, default 128 per file) and the archives. 'compact' moves older entries to archive/ now, keeping the newest ones, and rebuilds digest.md. 'rebuild_digest' regenerates digest.md, the bounded summary of every past session (from the session index) and of the archived entries. Files are also compacted automatically when they pass the limit.", {
+        repoPath: z.string().describe("Absolute path to the git repository"),
+        action: z.enum(["status", "compact", "rebuild_digest"]).describe("What to do with the memory bank")
+    }, async ({ repoPath, action }, extra) => {
+        const projectId = getProjectId(repoPath);
+        const kb = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+        if (action === "compact") {
+            const results = await compactMemoryBank(projectId);
+            const lines = results.map(r => r.archivedEntries
+                ? `${r.file}.md: ${kb(r.bytesBefore)} -> ${kb(r.bytesAfter)}, ${r.archivedEntries} entr${r.archivedEntries === 1 ? 'y' : 'ies'} archived to ${r.archivePath}`
+                : `${r.file}.md: ${kb(r.bytesBefore)}, nothing to compact`);
+            return { content: [{ type: "text", text: `${lines.join('\n')}\nDigest rebuilt.` }] };
+        }
+        if (action === "rebuild_digest") {
+            const path = await rebuildDigest(projectId);
+            return { content: [{ type: "text", text: `Digest rebuilt: ${path}` }] };
+        }
+        const status = await getMemoryBankStatus(projectId);
+        const limit = status.limitBytes ? kb(status.limitBytes) : 'none (compaction off)';
+        return {
+            content: [{
+                    type: "text",
+                    text: `Memory bank ${join(DEEBO_ROOT, 'memory-bank', projectId)}\n` +
+                        `Limit per file: ${limit}\n` +
+                        `activeContext.md: ${kb(status.files.activeContext)}\n` +
+                        `progress.md: ${kb(status.files.progress)}\n` +
+                        `digest.md: ${kb(status.files.digest)}\n` +
+                        `Archives: ${status.archives.length ? status.archives.join(', ') : 'none'}`
+                }]
+        };
+    });
+    // Register apply_solution tool - applies the winning scenario's patch to the user's repo
+    server.tool("apply_solution", "Applies the patch from a completed session's winning scenario (reports/solution.patch) to the repository. Always dry-runs first with `git apply --check` and reports conflicts instead of applying. 'check' only does the dry run, 'apply' changes the working tree (nothing is staged or committed), 'branch' commits the patch on a new branch from the commit the session started from, without touching the current checkout.", {
+        sessionId: z.string().describe("The session ID of a completed debugging session"),
+        mode: z.enum(["check", "apply", "branch"]).optional().describe("'check' (default) dry run only, 'apply' to the working tree, 'branch' onto a new branch"),
+        branchName: z.string().optional().describe("Branch name for 'branch' mode, defaults to deebo-solution-<sessionId>")
+    }, async ({ sessionId, mode = "check", branchName }, extra) => {
+        const sessionDir = await findSessionDir(sessionId);
+        if (!sessionDir) {
+            throw new Error('Session not found');
+        }
+        const sessionMeta = await readSessionMeta(sessionDir);
+        if (!sessionMeta) {
+            throw new Error(`Session ${sessionId} has no metadata (started before the session registry existed), apply its branch by hand`);
+        }
+        if (!(await hasSolutionPatch(sessionDir))) {
+            throw new Error(`Session ${sessionId} has no solution patch. It either isn't completed yet or its winning scenario changed no code.`);
+        }
+        const repoPath = sessionMeta.repoPath;
+        const patchPath = getSolutionPatchPath(sessionDir);
+        // the branch starts where the session did, so that's what the patch has to fit
+        const base = mode === "branch" ? sessionMeta.baseCommit ?? 'HEAD' : undefined;
+        try {
+            await checkPatch(repoPath, patchPath, base);
+        }
+        catch (err) {
+            return {
+                content: [{
+                        type: "text",
+                        text: `The solution patch does not apply cleanly to ${base ? `${base.slice(0, 12)} in ` : ''}${repoPath}:\n${err instanceof Error ? err.message : String(err)}\n\nPatch: ${patchPath}`
+                    }]
+            };
+        }
+        if (mode === "check") {
+            return { content: [{ type: "text", text: `The solution patch applies cleanly to ${repoPath}.\nPatch: ${patchPath}` }] };
+        }
+        if (mode === "apply") {
+            await applyPatch(repoPath, patchPath);
+            await log(sessionId, 'mother', 'info', 'Solution patch applied to the working tree', { repoPath });
+            return { content: [{ type: "text", text: `Applied the solution patch to the working tree of ${repoPath}. Review the changes with git diff.` }] };
+        }
+        const branch = branchName ?? `deebo-solution-${sessionId}`;
+        const worktreePath = join(sessionDir, 'worktrees', branch);
+        await createBranchWithPatch(repoPath, branch, patchPath, worktreePath, `deebo: solution from ${sessionId}`, base);
+        await log(sessionId, 'mother', 'info', `Solution patch committed to branch ${branch} on ${base}`, { repoPath });
+        const from = !sessionMeta.baseCommit
+            ? 'HEAD'
+            : sessionMeta.uncommittedFiles?.length
+                ? `${base.slice(0, 12)} (the snapshot of your uncommitted changes the session started from)`
+                : `${base.slice(0, 12)} (the commit the session started from)`;
+        return { content: [{ type: "text", text: `Created branch ${branch} from ${from} with the solution committed. Your current checkout is unchanged.` }] };
+    });
+    // stop forwarding session events once this client is gone
+    server.server.onclose = unsubscribe;
+    return server;
+}
+// `deebo --http` runs as a local daemon that any number of clients attach to, otherwise stdio for a single client.
+// The dashboard comes with the daemon; DEEBO_DASHBOARD=true serves it (and the SSE endpoint) next to stdio too.
+const httpMode = process.argv.includes('--http');
+if (httpMode || process.env.DEEBO_DASHBOARD === 'true') {
+    const { port, token, generatedToken } = getHttpServerOptions();
+    const dashboard = createDashboardRouter({ terminatedPids, cancelSession, addObservation });
+    await startHttpServer(createDeeboServer, { port, token }, dashboard);
+    // stdout belongs to the MCP protocol in stdio mode, so report on stderr
+    console.error(`Deebo MCP server listening on http://127.0.0.1:${port}/sse, dashboard at http://127.0.0.1:${port}/?token=${token}`);
+    if (generatedToken)
+        console.error('The token is random for this run, set DEEBO_HTTP_TOKEN for a fixed one.');
+}
+if (!httpMode) {
+    const transport = new StdioServerTransport();
+    await createDeeboServer().connect(transport);
+}
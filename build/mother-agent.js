@@ -11,36 +11,152 @@
  */
 import { spawn } from 'child_process';
 import { join } from 'path';
+import { readFile } from 'fs/promises';
 import { getAgentObservations } from './util/observations.js';
 import { log } from './util/logger.js';
-import { connectRequiredTools } from './util/mcp.js';
-import { DEEBO_ROOT } from './index.js';
-import { updateMemoryBank } from './util/membank.js';
+import { connectTools, resolveToolServer, resolveToolServerName } from './util/mcp.js';
+import { createPolicyGuard, formatPolicyViolation } from './util/policy.js';
+import { DEEBO_ROOT } from './util/paths.js';
+import { updateMemoryBank, rebuildDigest, withMemoryBankLock } from './util/membank.js';
+import { findSimilarSessions, describeSimilarSessions, recordSession } from './util/session-index.js';
+import { logLlmUsage, getSessionUsage, formatUsage } from './util/usage.js';
 import { getProjectId } from './util/sanitize.js';
-import { createScenarioBranch } from './util/branch-manager.js';
-import { callLlm, getMotherAgentPrompt } from './util/agent-utils.js';
-const MAX_RUNTIME = 60 * 60 * 1000; // 60 minutes
-const SCENARIO_TIMEOUT = 5 * 60 * 1000;
+import { createScenarioWorktree, removeScenarioWorktree, createDetachedWorktree, discardWorktree, cleanupSessionBranches } from './util/branch-manager.js';
+import { callLlm, getMotherAgentPrompt, getLlmFallbacks } from './util/agent-utils.js';
+import { createContextManager } from './util/context-window.js';
+import { getLlmError } from './util/llm-retry.js';
+import { getToolMode, listToolDefinitions, describeExtraToolServers, extractToolCalls, assistantMessage, toolResultMessage } from './util/tool-calls.js';
+import { SCENARIO_TIMEOUT, BUDGET_EXHAUSTED_PREFIX, checkBudget, getRemainingRuntimeMs, getRemainingScenarios, summarizeScenarioReports } from './util/budget.js';
+import { createScenarioPool, getScenarioConcurrency } from './util/scenario-pool.js';
+import { isScenarioReport, readScenarioReports, pickWinningScenario, findSolutionScenario, hasPassingRepro } from './util/reports.js';
+import { exportSolutionPatch } from './util/solution.js';
+import { emitSessionEvent } from './util/events.js';
+import { getSandboxConfig, createSandbox, removeSandboxes } from './util/sandbox.js';
+import { runRepro, describeOutcome, describeBaselineForMother } from './util/repro.js';
+import { loadConversation, saveConversation, nextScenarioIndex, describeSessionOutcome } from './util/conversation.js';
+import { addScenarioPid, removeScenarioPid, setSessionState, getSessionDir, readSessionMeta, updateSessionMeta } from './util/sessions.js';
 const useMemoryBank = process.env.USE_MEMORY_BANK === 'true';
+const MAX_SOLUTION_REJECTIONS = 2; // solutions without a passing repro sent back before the session ends unverified
+const BUDGET_CHECK_INTERVAL_MS = 10_000; // how often the budget is checked while scenarios run
+/**
+ * Runs the repro command on the session's base commit, in a throwaway worktree so the user's
+ * checkout is never touched. Once per session: a resumed one reuses the run in session.json.
+ * Null when the command couldn't be run at all.
+ */
+async function runBaselineRepro(repro, repoPath, sessionId) {
+    const sessionDir = getSessionDir(repoPath, sessionId);
+    const meta = await readSessionMeta(sessionDir);
+    if (meta?.reproBaseline)
+        return meta.reproBaseline;
+    const worktreePath = join(sessionDir, 'worktrees', 'baseline');
+    const sandboxConfig = getSandboxConfig();
+    let sandbox = null;
+    try {
+        await createDetachedWorktree(repoPath, worktreePath, meta?.baseCommit ?? 'HEAD');
+        if (sandboxConfig) {
+            sandbox = await createSandbox(sandboxConfig, worktreePath, { 'deebo.session': sessionId, 'deebo.scenario': 'baseline' });
+        }
+        await log(sessionId, 'mother', 'info', `Running repro on the base commit: ${repro.command}`, { repoPath, sandboxed: !!sandbox });
+        const run = await runRepro(repro, worktreePath, sandbox);
+        await updateSessionMeta(repoPath, sessionId, meta => { meta.reproBaseline = run; });
+        const message = `Repro on the base commit ${describeOutcome(run, repro)}`;
+        await log(sessionId, 'mother', run.outcome === 'reproduced' ? 'info' : 'warn', message, { repoPath, repro: run });
+        emitSessionEvent(sessionId, 'repro_baseline', message, { command: run.command, outcome: run.outcome, exitCode: run.exitCode });
+        return run;
+    }
+    catch (err) {
+        await log(sessionId, 'mother', 'warn', `Could not run the repro on the base commit: ${err instanceof Error ? err.message : String(err)}`, { repoPath });
+        return null;
+    }
+    finally {
+        await sandbox?.close();
+        await discardWorktree(repoPath, worktreePath).catch(() => undefined);
+    }
+}
+/**
+ * Once a budget runs out the mother gets one last turn, without tools, to sum up what it has.
+ * Out of tokens there is nothing left to spend, so the scenario reports are summarized instead.
+ */
+async function summarizeOnBudgetExhausted(exhausted, messages, llmConfig, nativeTools, // still passed so providers accept earlier native tool turns
+sessionDir, onResponse) {
+    const fallback = async () => `<solution>\n${await summarizeScenarioReports(sessionDir, exhausted.reason)}\n</solution>`;
+    if (exhausted.kind === 'tokens')
+        return fallback();
+    const response = await callLlm([...messages, {
+            role: 'user',
+            content: `BUDGET EXHAUSTED: ${exhausted.reason}. No more tool calls or scenarios are possible.
+    Give your best-effort conclusion from the evidence gathered so far inside <solution> tags. Say clearly what is confirmed and what is still uncertain.`
+        }], llmConfig, nativeTools);
+    await onResponse(response);
+    return response.text.match(/<solution>[\s\S]*?<\/solution>/) ? response.text : fallback();
+}
+/**
+ * Branch cleanup once a session is over: only this session's scenario branches without commits
+ * of their own go, the winner's stays. Anything older is left to the `branches` tool's prune.
+ */
+async function cleanUpScenarioBranches(repoPath, sessionId, winningBranch, baseCommit) {
+    const deleted = await cleanupSessionBranches(repoPath, sessionId, winningBranch, baseCommit);
+    if (deleted.length) {
+        await log(sessionId, 'mother', 'info', `Branch cleanup: deleted ${deleted.length} empty scenario branches`, { repoPath, deleted, kept: winningBranch });
+    }
+}
 // Mother agent main loop
 export async function runMotherAgent(sessionId, error, context, language, filePath, repoPath, signal, // Added: Cancellation signal
-scenarioPids // Added: Set to track scenario PIDs
-) {
+scenarioPids, // Added: Set to track scenario PIDs
+options = {}) {
     // Add unhandled rejection handler to catch and log promise rejections
     process.on('unhandledRejection', (reason, promise) => {
         log(sessionId, 'mother', 'error', `UNHANDLED REJECTION: ${reason}`, { repoPath })
             .catch(err => console.error('Failed to log unhandled rejection:', err));
     });
-    await log(sessionId, 'mother', 'info', 'Mother agent started', { repoPath });
+    await log(sessionId, 'mother', 'info', options.resume ? 'Session resumed' : 'Mother agent started', { repoPath });
     const projectId = getProjectId(repoPath);
     let scenarioCounter = 0; // Simple counter for unique scenario IDs within the session
     const startTime = Date.now();
     const memoryBankPath = join(DEEBO_ROOT, 'memory-bank', projectId);
     let lastObservationCheck = 0; // Removed unused variable
+    const budget = options.budget ?? {};
+    const sessionDir = getSessionDir(repoPath, sessionId);
+    // Scenario branches fork from the session's base commit, a snapshot of uncommitted changes if there were any
+    const startMeta = await readSessionMeta(sessionDir);
+    const baseCommit = startMeta?.baseCommit ?? 'HEAD';
+    const uncommittedFiles = startMeta?.uncommittedFiles ?? [];
+    let budgetExhausted = null;
+    // Scenarios run through one pool for the whole session; hypotheses beyond its concurrency wait in its queue
+    const scenarioPool = createScenarioPool(getScenarioConcurrency(budget.maxConcurrentScenarios));
+    let scenariosDropped = 0; // dropped from the queue before they ran, they don't count against maxTotalScenarios
+    // Tokens are summed from every agent's log so scenario spend counts too
+    const checkSessionBudget = async () => {
+        const { total } = await getSessionUsage(sessionDir);
+        return checkBudget(budget, {
+            startTime,
+            totalTokens: total.promptTokens + total.completionTokens,
+            scenariosSpawned: scenarioCounter - scenariosDropped
+        });
+    };
+    let winningBranch = null;
+    let stage = null;
+    // OODA stages go to the log (which `check` reads) and out as a live event
+    const enterStage = async (next) => {
+        if (stage === next)
+            return;
+        stage = next;
+        await log(sessionId, 'mother', 'info', `OODA: ${next}`, { repoPath });
+        emitSessionEvent(sessionId, 'stage', `Mother agent: ${next}`, { stage: next });
+    };
     try {
         // OBSERVE: Setup tools and LLM Client
-        await log(sessionId, 'mother', 'info', 'OODA: observe', { repoPath });
-        const { gitClient, filesystemClient } = await connectRequiredTools('mother', sessionId, repoPath);
+        await enterStage('observe');
+        const toolServers = await connectTools('mother', 'mother', sessionId, repoPath);
+        const policy = await createPolicyGuard('mother', 'mother', sessionId, repoPath, [repoPath]);
+        const toolMode = getToolMode('mother');
+        // Native mode offers the MCP tools to the model directly, XML mode leaves them to the prompt
+        const nativeTools = toolMode === 'native'
+            ? await listToolDefinitions(toolServers.clients)
+            : undefined;
+        const extraToolsPrompt = toolMode === 'xml' ? await describeExtraToolServers(toolServers.clients) : '';
+        const repro = options.repro;
+        const reproBaseline = repro ? await runBaselineRepro(repro, repoPath, sessionId) : null;
         // Read LLM configuration from environment variables
         const motherProvider = process.env.MOTHER_HOST;
         const motherModel = process.env.MOTHER_MODEL;
@@ -58,12 +174,48 @@ scenarioPids // Added: Set to track scenario PIDs
             openaiApiKey: openaiApiKey,
             baseURL: openaiBaseUrl,
             geminiApiKey: geminiApiKey,
-            anthropicApiKey: anthropicApiKey
+            anthropicApiKey: anthropicApiKey,
+            signal,
+            onRetry: (info, attempt, delayMs, target) => log(sessionId, 'mother', 'warn', `LLM ${info.kind} error, retrying in ${Math.round(delayMs / 1000)}s (retry ${attempt}): ${info.message}`, { repoPath, provider: target.provider, model: target.model }),
+            fallbacks: getLlmFallbacks('mother'),
+            cooldowns: new Map(),
+            onFallback: (failed, info, next) => log(sessionId, 'mother', 'warn', `Falling back from ${failed.provider}/${failed.model ?? 'default'} to ${next.provider}/${next.model ?? 'default'}: ${info.message}`, { repoPath, llmError: info.kind })
         };
+        // Long sessions get their older turns summarized and oversized tool output stored aside
+        const contextWindow = createContextManager({
+            sessionId,
+            agentName: 'mother',
+            repoPath,
+            provider: llmConfig.provider,
+            model: llmConfig.model,
+            fallbacks: llmConfig.fallbacks,
+            summarize: async (request) => {
+                const response = await callLlm(request, llmConfig);
+                await logLlmUsage(sessionId, 'mother', repoPath, response, response.usage);
+                return response.text;
+            }
+        });
+        // A resumed session keeps numbering its scenarios where it left off
+        const savedConversation = options.resume ? await loadConversation(sessionDir) : null;
+        if (options.resume)
+            scenarioCounter = await nextScenarioIndex(sessionDir, sessionId);
+        const seedContext = options.resume && !savedConversation
+            ? await describeSessionOutcome(sessionId, sessionDir) // nothing saved, rebuild what we can from the reports
+            : options.seedContext;
+        // Past sessions of this project on a similar error, from the session index
+        const similarSessions = useMemoryBank && !savedConversation
+            ? await findSimilarSessions(projectId, error, { exclude: [sessionId] }).catch(async (err) => {
+                await log(sessionId, 'mother', 'warn', `Session index lookup failed: ${err instanceof Error ? err.message : String(err)}`, { repoPath });
+                return [];
+            })
+            : [];
+        if (similarSessions.length) {
+            await log(sessionId, 'mother', 'info', `Found ${similarSessions.length} similar past session(s)`, { repoPath, matches: similarSessions.map(m => ({ sessionId: m.entry.sessionId, score: m.score })) });
+        }
         // Initial conversation context
-        const messages = [{
+        const messages = savedConversation ? savedConversation.messages : [{
                 role: 'assistant',
-                content: getMotherAgentPrompt(useMemoryBank, memoryBankPath)
+                content: getMotherAgentPrompt(useMemoryBank, memoryBankPath, toolMode) + extraToolsPrompt
             }, {
                 role: 'user',
                 content: `Error: ${error}
@@ -74,21 +226,52 @@ scenarioPids // Added: Set to track scenario PIDs
         Session: ${sessionId}
         Project: ${projectId}
         ${useMemoryBank ? '\nPrevious debugging attempts and context are available in the memory-bank directory if needed.' : ''}
-    
+        ${seedContext ? `\nFINDINGS FROM AN EARLIER INVESTIGATION OF THIS ERROR:\n${seedContext}\nBuild on these: don't re-test hypotheses that were already ruled out.\n` : ''}
+        ${uncommittedFiles.length ? `\nThe repo had uncommitted changes when this session started (${uncommittedFiles.join(', ')}). Scenario worktrees include them, as a commit on top of HEAD.\n` : ''}
+        ${repro ? describeBaselineForMother(repro, reproBaseline) : ''}
+        ${similarSessions.length ? `\n${describeSimilarSessions(similarSessions)}\n` : ''}
         IMPORTANT: Generate your first hypothesis within 2-3 responses. Don't wait for perfect information.`
             }];
-        // Check for initial observations
+        if (savedConversation) {
+            messages.push({
+                role: 'user',
+                content: `SESSION RESUMED: This investigation stopped earlier and has been resumed. Reassess where it stands given any new observations below, then continue: test new hypotheses or conclude with a <solution>.`
+            });
+        }
+        // Check for initial observations (a resumed conversation already has the ones it saw)
         let observations = await getAgentObservations(repoPath, sessionId, 'mother');
-        if (observations.length > 0) {
-            messages.push(...observations.map(obs => ({
+        const unseenObservations = observations.slice(savedConversation?.observationsSeen ?? 0);
+        if (unseenObservations.length > 0) {
+            messages.push(...unseenObservations.map(obs => ({
                 role: 'user',
                 content: `Scientific observation: ${obs}`
             })));
+            for (const obs of unseenObservations) {
+                emitSessionEvent(sessionId, 'observation', 'Mother agent took in an observation', { observation: obs });
+            }
         }
+        // Same for reports that came in after the conversation was last saved (scenarios outliving a crash or cancel)
+        const reportsOnDisk = await readScenarioReports(sessionDir);
+        let reportsSeen = savedConversation
+            ? savedConversation.reportsSeen ?? Object.keys(reportsOnDisk).filter(id => JSON.stringify(messages).includes(id))
+            : Object.keys(reportsOnDisk);
+        const unseenReports = Object.keys(reportsOnDisk).filter(id => !reportsSeen.includes(id));
+        if (unseenReports.length > 0) {
+            messages.push({
+                role: 'user',
+                content: unseenReports.map(id => `Scenario ${id} reported after the session stopped:\n${JSON.stringify(reportsOnDisk[id], null, 2)}`).join('\n\n---\n\n')
+            });
+            reportsSeen = Object.keys(reportsOnDisk);
+            await log(sessionId, 'mother', 'debug', `Added ${unseenReports.length} report(s) the conversation had not seen.`, { repoPath, scenarios: unseenReports });
+        }
+        const saveProgress = () => saveConversation(sessionDir, messages, observations.length, reportsSeen)
+            .catch(err => log(sessionId, 'mother', 'warn', `Failed to save conversation: ${err instanceof Error ? err.message : String(err)}`, { repoPath }));
         // Initial LLM call
         await log(sessionId, 'mother', 'debug', 'Sending to LLM', { model: llmConfig.model, provider: llmConfig.provider, messages, repoPath });
-        let replyText = await callLlm(messages, llmConfig);
-        if (!replyText) {
+        let reply = await callLlm(messages, llmConfig, nativeTools);
+        await logLlmUsage(sessionId, 'mother', repoPath, reply, reply.usage);
+        let replyText = reply.text;
+        if (!replyText && !reply.toolCalls.length) {
             // Handle initial LLM failure more gracefully
             const initFailMsg = 'Initial LLM call returned empty or malformed response. Cannot proceed.';
             await log(sessionId, 'mother', 'error', initFailMsg, { provider: llmConfig.provider, model: llmConfig.model, repoPath });
@@ -96,18 +279,45 @@ scenarioPids // Added: Set to track scenario PIDs
         }
         else {
             // Add the valid response to messages history
-            messages.push({ role: 'assistant', content: replyText });
-            await log(sessionId, 'mother', 'debug', 'Received from LLM', { response: { content: replyText }, repoPath });
+            messages.push(assistantMessage(reply));
+            await log(sessionId, 'mother', 'debug', 'Received from LLM', { response: { content: replyText, toolCalls: reply.toolCalls }, repoPath });
+            await saveProgress();
         }
         // ORIENT: Begin investigation loop
-        await log(sessionId, 'mother', 'info', 'OODA: orient', { repoPath });
+        await enterStage('orient');
         // Loop until we get a valid solution or cancellation is requested
         let consecutiveFailures = 0;
-        while (!(replyText?.match(/<solution>([\s\S]*?)<\/solution>/)?.[1]?.trim()) && !signal.aborted && consecutiveFailures < 3) {
-            if (Date.now() - startTime > MAX_RUNTIME) {
-                await log(sessionId, 'mother', 'warn', 'Investigation exceeded maximum runtime', { repoPath });
-                throw new Error('Investigation exceeded maximum runtime');
+        let solutionRejections = 0;
+        let unverifiedSolution = false; // still no passing repro behind the solution after too many rejections
+        let solutionScenarioId = null; // the scenario a verified solution rests on
+        while (!signal.aborted && consecutiveFailures < 3) {
+            // With a repro command a solution has to name the scenario it rests on, and that scenario's branch has to pass it
+            let solutionRejection = null;
+            const proposedSolution = replyText?.match(/<solution>([\s\S]*?)<\/solution>/)?.[1]?.trim();
+            if (proposedSolution) {
+                if (!repro)
+                    break;
+                const reports = await readScenarioReports(sessionDir);
+                const backing = findSolutionScenario(proposedSolution, reports);
+                if (backing && hasPassingRepro(reports[backing])) {
+                    solutionScenarioId = backing;
+                    break;
+                }
+                if (solutionRejections >= MAX_SOLUTION_REJECTIONS) {
+                    unverifiedSolution = true;
+                    await log(sessionId, 'mother', 'warn', `Ending unverified: no solution backed by a passing repro run after ${solutionRejections} rejections`, { repoPath });
+                    break;
+                }
+                solutionRejections++;
+                const passing = Object.keys(reports).filter(id => hasPassingRepro(reports[id]));
+                solutionRejection = passing.length
+                    ? `SOLUTION NOT ACCEPTED (${solutionRejections}/${MAX_SOLUTION_REJECTIONS}): ${backing ? `the scenario it names, ${backing}, has not made the repro command \`${repro.command}\` pass on its branch.` : 'it does not name the scenario it rests on.'} A solution has to name the ID of a scenario whose branch passes the repro command. These do: ${passing.join(', ')}. Build your solution on one of them and put its ID in the <solution>.`
+                    : `SOLUTION NOT ACCEPTED (${solutionRejections}/${MAX_SOLUTION_REJECTIONS}): no scenario has made the repro command \`${repro.command}\` pass on its branch yet. A solution only counts once one has. Spawn hypotheses that fix the bug in their worktree, building on what the reports found so far.`;
+                await log(sessionId, 'mother', 'warn', `Rejected a solution without a passing repro run behind it (${solutionRejections}/${MAX_SOLUTION_REJECTIONS})`, { repoPath, namedScenario: backing });
             }
+            budgetExhausted = await checkSessionBudget();
+            if (budgetExhausted)
+                break;
             // Check for cancellation signal before processing response
             if (signal.aborted) {
                 await log(sessionId, 'mother', 'info', 'Cancellation signal received, stopping loop.', { repoPath });
@@ -116,14 +326,18 @@ scenarioPids // Added: Set to track scenario PIDs
             // Use the latest replyText from the end of the previous loop iteration (or the initial call)
             const responseText = replyText;
             // --- Check for Tools, Hypotheses, and Solution ---
-            const toolCalls = responseText.match(/<use_mcp_tool>[\s\S]*?<\/use_mcp_tool>/g) || [];
+            const toolCalls = extractToolCalls(reply, toolMode);
             const containsHypothesis = responseText.includes('<hypothesis>'); // Check for hypothesis presence
-            const containsSolution = responseText.includes('<solution>'); // Check for solution presence
+            const containsSolution = !solutionRejection && responseText.includes('<solution>'); // a rejected one is as good as none
             let executeToolsThisTurn = false;
             let processHypothesesThisTurn = false;
+            // Notes for the LLM go in after the tool results, native tool results must directly follow their call
+            const deferredMessages = [];
+            if (solutionRejection)
+                deferredMessages.push({ role: 'user', content: solutionRejection });
             if ((toolCalls.length > 0 || containsSolution) && containsHypothesis) {
                 // LLM included tools/solution with hypotheses - prioritize executing tools, ignore hypotheses this turn
-                messages.push({
+                deferredMessages.push({
                     role: 'user',
                     content: `Instructions conflict: You provided ${toolCalls.length > 0 ? 'tool calls' : 'a solution'} and hypotheses in the same message. I will execute the ${toolCalls.length > 0 ? 'tool calls' : 'ignore both'} now. Please provide hypotheses ONLY after analyzing the ${toolCalls.length > 0 ? 'tool results' : 'current findings'} in the next turn. When you are ready to conclude, provide ONLY a solution tag without hypotheses.`
                 });
@@ -149,67 +363,68 @@ scenarioPids // Added: Set to track scenario PIDs
             // --- Execute Tools if Flagged ---
             if (executeToolsThisTurn) {
                 await log(sessionId, 'mother', 'debug', `Executing ${toolCalls.length} tool calls.`, { repoPath });
-                const parsedCalls = toolCalls.map((tc) => {
-                    // Use try-catch for robust parsing
+                // Resolve server names to connected clients
+                const parsedCalls = toolCalls.map(call => {
+                    if ('error' in call) {
+                        log(sessionId, 'mother', 'error', `Failed to parse tool call: ${call.error}`, { toolCall: call.raw, repoPath });
+                        return call;
+                    }
                     try {
-                        const serverNameMatch = tc.match(/<server_name>(.*?)<\/server_name>/);
-                        if (!serverNameMatch || !serverNameMatch[1])
-                            throw new Error('Missing server_name');
-                        const serverName = serverNameMatch[1].trim(); // Trim whitespace
-                        const server = serverName === 'git-mcp' ? gitClient : filesystemClient;
-                        if (!server)
-                            throw new Error(`Invalid server_name: ${serverName}`);
-                        const toolMatch = tc.match(/<tool_name>(.*?)<\/tool_name>/);
-                        if (!toolMatch || !toolMatch[1])
-                            throw new Error('Missing tool_name');
-                        const tool = toolMatch[1].trim();
-                        const argsMatch = tc.match(/<arguments>([\s\S]*?)<\/arguments>/); // Use [\s\S]*? for multiline args
-                        if (!argsMatch || !argsMatch[1])
-                            throw new Error('Missing arguments block');
-                        const argsJson = argsMatch[1].trim();
-                        if (!argsJson)
-                            throw new Error('Empty arguments block');
-                        const args = JSON.parse(argsJson);
-                        return { server, tool, args };
+                        return { ...call, server: resolveToolServer(toolServers, call.server), serverName: resolveToolServerName(toolServers, call.server) };
                     }
                     catch (err) {
-                        log(sessionId, 'mother', 'error', `Failed to parse tool call: ${err instanceof Error ? err.message : String(err)}`, { toolCall: tc, repoPath });
-                        return { error: err instanceof Error ? err.message : String(err) };
+                        log(sessionId, 'mother', 'error', `Unknown tool server: ${call.server}`, { tool: call.tool, repoPath });
+                        return { error: err instanceof Error ? err.message : String(err), raw: call.server, id: call.id };
                     }
                 });
                 // Process each parsed call
                 for (const parsed of parsedCalls) {
                     if ('error' in parsed) {
-                        messages.push({
-                            role: 'user',
-                            content: `One of your tool calls was malformed and skipped. Error: ${parsed.error}`
-                        });
+                        messages.push(toolResultMessage(parsed, `One of your tool calls was malformed and skipped. Error: ${parsed.error}`));
                         continue; // Skip this malformed call
                     }
+                    const violation = await policy.check(parsed.serverName, parsed.tool, parsed.args);
+                    if (violation) {
+                        messages.push(toolResultMessage(parsed, formatPolicyViolation(parsed.tool, violation)));
+                        continue;
+                    }
                     try {
                         await log(sessionId, 'mother', 'debug', `Executing tool: ${parsed.tool}`, { args: parsed.args, repoPath });
-                        const result = await parsed.server.callTool({ name: parsed.tool, arguments: parsed.args });
-                        messages.push({
-                            role: 'user',
-                            content: JSON.stringify(result) // Add tool result to history
-                        });
+                        const runTool = () => parsed.server.callTool({ name: parsed.tool, arguments: parsed.args });
+                        // Memory bank files get compacted in place, so edits to them wait their turn
+                        const touchesMemoryBank = Object.values(parsed.args ?? {}).some(value => typeof value === 'string' && value.startsWith(memoryBankPath));
+                        const result = touchesMemoryBank ? await withMemoryBankLock(projectId, runTool) : await runTool();
+                        messages.push(await contextWindow.toolResult(parsed, parsed.tool, JSON.stringify(result))); // Add tool result to history
                         await log(sessionId, 'mother', 'debug', `Tool result for ${parsed.tool}`, { result: result, repoPath });
                     }
                     catch (err) {
                         const errorMsg = `Tool call failed for '${parsed.tool}': ${err instanceof Error ? err.message : String(err)}`;
-                        messages.push({
-                            role: 'user',
-                            content: errorMsg // Add tool error to history
-                        });
+                        messages.push(toolResultMessage(parsed, errorMsg)); // Add tool error to history
                         await log(sessionId, 'mother', 'error', `Tool call execution failed: ${parsed.tool}`, { error: err instanceof Error ? err.message : String(err), repoPath });
                     }
                 }
                 await log(sessionId, 'mother', 'debug', 'Finished executing tools for this turn.', { repoPath });
             } // End of tool execution block
+            messages.push(...deferredMessages);
             // --- Process Hypotheses and Spawn Scenarios if Flagged ---
             if (processHypothesesThisTurn) { // Use the flag here
+                await enterStage('decide');
                 await log(sessionId, 'mother', 'debug', 'Processing hypotheses and spawning scenarios.', { repoPath });
-                const hypotheses = [...responseText.matchAll(/<hypothesis>([\s\S]*?)<\/hypothesis>/g)].map(match => match[1].trim());
+                let hypotheses = [...responseText.matchAll(/<hypothesis>([\s\S]*?)<\/hypothesis>/g)].map(match => match[1].trim());
+                const remainingScenarios = getRemainingScenarios(budget, scenarioCounter - scenariosDropped);
+                if (hypotheses.length > 0 && remainingScenarios === 0) {
+                    budgetExhausted = { kind: 'scenarios', reason: `scenario limit of ${budget.maxTotalScenarios} reached` };
+                    break;
+                }
+                if (hypotheses.length > remainingScenarios) {
+                    const dropped = hypotheses.slice(remainingScenarios);
+                    hypotheses = hypotheses.slice(0, remainingScenarios);
+                    await log(sessionId, 'mother', 'warn', `Scenario budget allows ${remainingScenarios} more scenario(s), dropping ${dropped.length} hypotheses`, { repoPath, dropped });
+                    messages.push({
+                        role: 'user',
+                        content: `BUDGET NOTE: Only ${remainingScenarios} more scenario(s) are allowed in this session, so these hypotheses were not tested:\n${dropped.map(h => `- ${h}`).join('\n')}\nThis is the last round of scenarios. After reading their reports, conclude with a <solution>.`
+                    });
+                }
                 if (hypotheses.length > 0) {
                     if (useMemoryBank) {
                         // Log hypotheses to memory bank (consider making this async and not awaiting if performance is key)
@@ -219,91 +434,196 @@ scenarioPids // Added: Set to track scenario PIDs
     Error: ${error || 'No error provided'}
     
     ${hypotheses.map(h => `<hypothesis>${h}</hypothesis>`).join('\n\n')}
-    
-    Context provided by LLM:
-    ${responseText}
     ==================
     `, 'activeContext').catch(err => log(sessionId, 'mother', 'error', 'Failed to update memory bank hypothesis record', { error: err }));
                     }
-                    const scenarioPromises = hypotheses.map(async (hypothesis) => {
-                        const scenarioId = `${sessionId}-${scenarioCounter++}`; // Use counter for unique ID
-                        // Create branch first
-                        const branchName = await createScenarioBranch(repoPath, scenarioId);
-                        const scenarioArgs = [
-                            join(DEEBO_ROOT, 'build/scenario-agent.js'),
-                            '--id', scenarioId,
-                            '--session', sessionId,
-                            '--error', error,
-                            '--context', context, // Pass original context or maybe updated? Check requirement.
-                            '--hypothesis', hypothesis,
-                            '--language', language,
-                            '--file', filePath || '',
-                            '--repo', repoPath,
-                            '--branch', branchName
-                        ];
-                        const child = spawn('node', scenarioArgs, {
-                            cwd: repoPath,
-                            env: { ...process.env }
+                    // Announces the report, then lets the mother drop queued scenarios the report made pointless
+                    const handleScenarioReport = async (scenarioId) => {
+                        let report;
+                        try {
+                            report = JSON.parse(await readFile(join(memoryBankPath, 'sessions', sessionId, 'reports', `${scenarioId}.json`), 'utf8'));
+                        }
+                        catch {
+                            return; // no report, nothing to go on
+                        }
+                        if (!isScenarioReport(report))
+                            return;
+                        emitSessionEvent(sessionId, 'scenario_reported', `Scenario ${scenarioId} reported: confirmed ${report.confirmed}`, {
+                            scenarioId,
+                            hypothesis: report.hypothesis,
+                            status: report.status,
+                            confirmed: report.confirmed,
+                            confidence: report.confidence,
+                            conclusion: report.conclusion
                         });
-                        let output = '';
-                        const scenarioPid = child.pid; // Capture PID early
-                        if (scenarioPid) {
-                            scenarioPids.add(scenarioPid);
-                            await log(sessionId, 'mother', 'info', `Spawned Scenario ${scenarioId} with PID ${scenarioPid}`, { repoPath, hypothesis, args: scenarioArgs });
+                        if (report.status !== 'reported' || !scenarioPool.queuedIds.length)
+                            return;
+                        // Runs in the reporting scenario's pool slot, so nothing queued starts before the mother has decided
+                        const queue = scenarioPool.queuedIds.map(id => `- ${id}: ${queuedHypotheses.get(id) ?? 'unknown hypothesis'}`).join('\n');
+                        try {
+                            // A copy, fitting it mustn't rewrite the main loop's history mid-turn. No tools, only drop tags count
+                            const history = [...messages];
+                            await contextWindow.fit(history);
+                            const review = await callLlm([...history, {
+                                    role: 'user',
+                                    content: `QUEUE REVIEW: Scenario ${scenarioId} just reported (confirmed: ${report.confirmed}, confidence: ${report.confidence}).\nConclusion: ${report.conclusion}\n\nThese scenarios are still queued and have not started:\n${queue}\n\nIf this report makes any of them pointless, reply with <drop>scenario-id</drop> for each one to drop. Reply <drop>none</drop> to keep them all. Reply with drop tags only.`
+                                }], llmConfig);
+                            await logLlmUsage(sessionId, 'mother', repoPath, review, review.usage);
+                            const dropIds = [...review.text.matchAll(/<drop>\s*([\s\S]*?)\s*<\/drop>/g)].map(match => match[1]);
+                            const reason = `the mother dropped it after scenario ${scenarioId} reported`;
+                            const droppedIds = scenarioPool.dropQueued(reason, dropIds);
+                            scenariosDropped += droppedIds.length;
+                            for (const id of droppedIds) {
+                                await log(sessionId, 'mother', 'info', `Dropped Scenario ${id}: ${reason}`, { repoPath });
+                            }
                         }
-                        else {
-                            await log(sessionId, 'mother', 'warn', `Spawned Scenario ${scenarioId} but PID was unavailable`, { repoPath, hypothesis, args: scenarioArgs });
+                        catch (err) {
+                            await log(sessionId, 'mother', 'warn', `Queue review after ${scenarioId} failed, keeping the queue: ${err instanceof Error ? err.message : String(err)}`, { repoPath });
                         }
-                        child.stdout.on('data', data => output += data);
-                        child.stderr.on('data', data => output += data); // Capture stderr too
-                        return new Promise((resolve) => {
-                            let resolved = false;
-                            const cleanupAndResolve = (exitInfo) => {
-                                if (resolved)
-                                    return;
-                                resolved = true;
-                                if (scenarioPid) {
-                                    scenarioPids.delete(scenarioPid);
-                                    log(sessionId, 'mother', 'debug', `Removed scenario PID ${scenarioPid} from registry`, { repoPath });
-                                }
-                                output += `\n${exitInfo}`; // Append exit info to the captured output
-                                resolve(output); // Resolve with the full output + exit info
-                            };
-                            child.on('exit', (code, signal) => {
-                                cleanupAndResolve(`Scenario ${scenarioId} (PID: ${scenarioPid ?? 'N/A'}) exited with code ${code}, signal ${signal}`);
-                            });
-                            child.on('error', err => {
-                                // Handle spawn errors specifically
-                                const spawnErrorMsg = `Scenario ${scenarioId} (PID: ${scenarioPid ?? 'N/A'}) process spawn error: ${err.message}`;
-                                output += `\n${spawnErrorMsg}`; // Add spawn error to output
-                                cleanupAndResolve(spawnErrorMsg); // Resolve immediately
+                    };
+                    const queuedHypotheses = new Map(); // scenario id -> hypothesis, for queue reviews
+                    // Scenarios spend tokens too, so the budget is watched while they run: once it's gone
+                    // the running ones are killed and the queued ones dropped
+                    const budgetStop = new AbortController();
+                    let checkingBudget = false;
+                    const budgetWatch = setInterval(async () => {
+                        if (checkingBudget || budgetStop.signal.aborted)
+                            return;
+                        checkingBudget = true;
+                        try {
+                            const exhausted = await checkSessionBudget();
+                            if (!exhausted)
+                                return;
+                            budgetExhausted = exhausted;
+                            await log(sessionId, 'mother', 'warn', `Stopping scenarios, ${exhausted.reason}`, { repoPath });
+                            const droppedIds = scenarioPool.dropQueued(exhausted.reason);
+                            scenariosDropped += droppedIds.length;
+                            for (const id of droppedIds) {
+                                await log(sessionId, 'mother', 'info', `Dropped Scenario ${id}: ${exhausted.reason}`, { repoPath });
+                            }
+                            budgetStop.abort();
+                        }
+                        catch (err) {
+                            await log(sessionId, 'mother', 'warn', `Budget check failed: ${err instanceof Error ? err.message : String(err)}`, { repoPath });
+                        }
+                        finally {
+                            checkingBudget = false;
+                        }
+                    }, BUDGET_CHECK_INTERVAL_MS);
+                    const scenarioPromises = hypotheses.map(async (hypothesis) => {
+                        const scenarioId = `${sessionId}-${scenarioCounter++}`; // Use counter for unique ID
+                        queuedHypotheses.set(scenarioId, hypothesis);
+                        await log(sessionId, 'mother', 'info', `Queued Scenario ${scenarioId}`, { repoPath, hypothesis });
+                        return scenarioPool.submit(scenarioId, async () => {
+                            // Each scenario gets its own worktree so parallel investigations never share a checkout
+                            const worktreePath = join(memoryBankPath, 'sessions', sessionId, 'worktrees', scenarioId);
+                            const branchName = await createScenarioWorktree(repoPath, scenarioId, worktreePath, baseCommit);
+                            const scenarioArgs = [
+                                join(DEEBO_ROOT, 'build/scenario-agent.js'),
+                                '--id', scenarioId,
+                                '--session', sessionId,
+                                '--error', error,
+                                '--context', context, // Pass original context or maybe updated? Check requirement.
+                                '--hypothesis', hypothesis,
+                                '--language', language,
+                                '--file', filePath || '',
+                                '--repo', repoPath,
+                                '--branch', branchName,
+                                '--worktree', worktreePath,
+                                ...(repro ? ['--repro', repro.command] : []),
+                                ...(repro?.expectedFailure ? ['--expected-failure', repro.expectedFailure] : [])
+                            ];
+                            const child = spawn('node', scenarioArgs, {
+                                cwd: worktreePath,
+                                env: { ...process.env }
                             });
-                            // Capture stream-level errors (don't resolve promise, just log)
-                            child.stdout.on('error', err => { output += `\nScenario ${scenarioId} Stdout error: ${err.message}`; });
-                            child.stderr.on('error', err => { output += `\nScenario ${scenarioId} Stderr error: ${err.message}`; });
-                            const timeoutHandle = setTimeout(() => {
-                                if (!resolved) {
-                                    log(sessionId, 'mother', 'warn', `Scenario ${scenarioId} (PID: ${scenarioPid}) timed out after ${SCENARIO_TIMEOUT / 1000}s. Killing...`, { repoPath });
+                            let output = '';
+                            const scenarioPid = child.pid; // Capture PID early
+                            if (scenarioPid) {
+                                scenarioPids.add(scenarioPid);
+                                await addScenarioPid(repoPath, sessionId, scenarioPid).catch(() => undefined);
+                                await log(sessionId, 'mother', 'info', `Spawned Scenario ${scenarioId} with PID ${scenarioPid}`, { repoPath, hypothesis, args: scenarioArgs });
+                                emitSessionEvent(sessionId, 'scenario_spawned', `Scenario ${scenarioId} started`, { scenarioId, hypothesis, pid: scenarioPid });
+                            }
+                            else {
+                                await log(sessionId, 'mother', 'warn', `Spawned Scenario ${scenarioId} but PID was unavailable`, { repoPath, hypothesis, args: scenarioArgs });
+                            }
+                            child.stdout.on('data', data => output += data);
+                            child.stderr.on('data', data => output += data); // Capture stderr too
+                            // A scenario never outlives the session's wall-clock budget
+                            const scenarioTimeout = Math.min(SCENARIO_TIMEOUT, getRemainingRuntimeMs(budget, startTime));
+                            const scenarioOutput = await new Promise((resolve) => {
+                                let resolved = false;
+                                const cleanupAndResolve = (exitInfo) => {
+                                    if (resolved)
+                                        return;
+                                    resolved = true;
+                                    if (scenarioPid) {
+                                        scenarioPids.delete(scenarioPid);
+                                        removeScenarioPid(repoPath, sessionId, scenarioPid).catch(() => undefined);
+                                        log(sessionId, 'mother', 'debug', `Removed scenario PID ${scenarioPid} from registry`, { repoPath });
+                                    }
+                                    output += `\n${exitInfo}`; // Append exit info to the captured output
+                                    // Stop its sandbox, then drop the worktree (the branch stays) before handing the output back
+                                    (getSandboxConfig() ? removeSandboxes(sessionId, scenarioId) : Promise.resolve(0))
+                                        .catch(err => log(sessionId, 'mother', 'warn', `Failed to stop sandbox for ${scenarioId}: ${err instanceof Error ? err.message : String(err)}`, { repoPath }))
+                                        .then(() => removeScenarioWorktree(repoPath, worktreePath))
+                                        .catch(err => log(sessionId, 'mother', 'warn', `Failed to remove worktree for ${scenarioId}: ${err instanceof Error ? err.message : String(err)}`, { repoPath }))
+                                        .finally(() => resolve(output)); // Resolve with the full output + exit info
+                                };
+                                child.on('exit', (code, signal) => {
+                                    cleanupAndResolve(`Scenario ${scenarioId} (PID: ${scenarioPid ?? 'N/A'}) exited with code ${code}, signal ${signal}`);
+                                });
+                                child.on('error', err => {
+                                    // Handle spawn errors specifically
+                                    const spawnErrorMsg = `Scenario ${scenarioId} (PID: ${scenarioPid ?? 'N/A'}) process spawn error: ${err.message}`;
+                                    output += `\n${spawnErrorMsg}`; // Add spawn error to output
+                                    cleanupAndResolve(spawnErrorMsg); // Resolve immediately
+                                });
+                                // Capture stream-level errors (don't resolve promise, just log)
+                                child.stdout.on('error', err => { output += `\nScenario ${scenarioId} Stdout error: ${err.message}`; });
+                                child.stderr.on('error', err => { output += `\nScenario ${scenarioId} Stderr error: ${err.message}`; });
+                                const terminate = (why) => {
+                                    if (resolved)
+                                        return;
+                                    log(sessionId, 'mother', 'warn', `Scenario ${scenarioId} (PID: ${scenarioPid}) ${why}. Killing...`, { repoPath });
                                     child.kill('SIGTERM'); // Attempt graceful termination first
                                     // Give it a moment, then force kill if needed
                                     setTimeout(() => {
                                         if (!resolved) {
                                             child.kill('SIGKILL');
-                                            cleanupAndResolve(`Scenario ${scenarioId} (PID: ${scenarioPid}) timed out and was force killed.`);
+                                            cleanupAndResolve(`Scenario ${scenarioId} (PID: ${scenarioPid}) ${why} and was force killed.`);
                                         }
                                     }, 2000); // Wait 2s before SIGKILL
-                                }
-                            }, SCENARIO_TIMEOUT);
-                            // Ensure timeout is cleared if process exits/errors cleanly
-                            child.on('exit', () => clearTimeout(timeoutHandle));
-                            child.on('error', () => clearTimeout(timeoutHandle));
-                        });
+                                };
+                                const timeoutHandle = setTimeout(() => terminate(`timed out after ${Math.round(scenarioTimeout / 1000)}s`), scenarioTimeout);
+                                const onBudgetExhausted = () => terminate(`was stopped, ${budgetExhausted?.reason ?? 'session budget exhausted'}`);
+                                if (budgetStop.signal.aborted)
+                                    onBudgetExhausted();
+                                else
+                                    budgetStop.signal.addEventListener('abort', onBudgetExhausted, { once: true });
+                                // Ensure timeout is cleared if process exits/errors cleanly
+                                const clearTimers = () => {
+                                    clearTimeout(timeoutHandle);
+                                    budgetStop.signal.removeEventListener('abort', onBudgetExhausted);
+                                };
+                                child.on('exit', clearTimers);
+                                child.on('error', clearTimers);
+                            });
+                            await handleScenarioReport(scenarioId);
+                            return scenarioOutput;
+                        }, reason => `Scenario ${scenarioId} was not run: ${reason}.\nHypothesis: ${hypothesis}`);
                     });
-                    // Wait for all spawned scenarios for this turn to complete
-                    const scenarioOutputs = await Promise.all(scenarioPromises);
+                    // Wait for all scenarios of this turn to finish or be dropped
+                    await enterStage('act');
+                    const scenarioOutputs = await Promise.all(scenarioPromises).finally(() => clearInterval(budgetWatch));
+                    await enterStage('orient'); // back to weighing the results
                     await log(sessionId, 'mother', 'debug', `All ${hypotheses.length} scenarios for this turn completed.`, { repoPath });
                     // Add combined scenario outputs as a single user message
                     messages.push({ role: 'user', content: scenarioOutputs.join('\n\n---\n\n') });
+                    reportsSeen = Object.keys(await readScenarioReports(sessionDir)); // their outputs carry the reports
+                    if (budgetExhausted)
+                        break; // straight to the summary, no more turns
                 }
                 else {
                     await log(sessionId, 'mother', 'debug', 'Hypothesis tag found, but no hypotheses extracted.', { repoPath });
@@ -322,6 +642,9 @@ scenarioPids // Added: Set to track scenario PIDs
                 })));
                 observations = newObservations; // Update the baseline observation list
                 await log(sessionId, 'mother', 'debug', `Added ${latestObservations.length} new observations.`, { repoPath });
+                for (const obs of latestObservations) {
+                    emitSessionEvent(sessionId, 'observation', 'Mother agent took in an observation', { observation: obs });
+                }
             }
             //   lastObservationCheck = Date.now();
             // }
@@ -332,9 +655,12 @@ scenarioPids // Added: Set to track scenario PIDs
                 break; // Exit loop if cancelled
             }
             // Make next LLM call using the updated message history
+            await contextWindow.fit(messages);
             await log(sessionId, 'mother', 'debug', `Sending message history (${messages.length} items) to LLM`, { model: llmConfig.model, provider: llmConfig.provider, repoPath });
-            replyText = await callLlm(messages, llmConfig); // Update replyText for the next loop iteration
-            if (!replyText) {
+            reply = await callLlm(messages, llmConfig, nativeTools);
+            await logLlmUsage(sessionId, 'mother', repoPath, reply, reply.usage);
+            replyText = reply.text; // Update replyText for the next loop iteration
+            if (!replyText && !reply.toolCalls.length) {
                 // Log the failure and increment counter
                 consecutiveFailures++;
                 await log(sessionId, 'mother', 'warn', `Received empty/malformed response from LLM (Failure ${consecutiveFailures}/3)`, { provider: llmConfig.provider, model: llmConfig.model, repoPath });
@@ -347,9 +673,10 @@ scenarioPids // Added: Set to track scenario PIDs
                 // Reset failure counter on success
                 consecutiveFailures = 0;
                 // Add the valid response to messages history for the *next* turn
-                messages.push({ role: 'assistant', content: replyText });
-                await log(sessionId, 'mother', 'debug', 'Received response from LLM', { response: replyText, provider: llmConfig.provider, model: llmConfig.model, repoPath });
+                messages.push(assistantMessage(reply));
+                await log(sessionId, 'mother', 'debug', 'Received response from LLM', { response: replyText, toolCalls: reply.toolCalls, provider: llmConfig.provider, model: llmConfig.model, repoPath });
             }
+            await saveProgress();
             // Optional delay between cycles
             await new Promise(resolve => setTimeout(resolve, 1000));
         } // End of while loop
@@ -359,17 +686,41 @@ scenarioPids // Added: Set to track scenario PIDs
         if (signal.aborted) {
             finalStatusMessage = 'Session cancelled by user request.';
             await log(sessionId, 'mother', 'info', finalStatusMessage, { repoPath });
+            await setSessionState(repoPath, sessionId, 'cancelled');
+        }
+        else if (budgetExhausted) {
+            await log(sessionId, 'mother', 'warn', `${BUDGET_EXHAUSTED_PREFIX} ${budgetExhausted.reason}`, { repoPath, budget });
+            replyText = await summarizeOnBudgetExhausted(budgetExhausted, messages, llmConfig, nativeTools, sessionDir, async (response) => {
+                await logLlmUsage(sessionId, 'mother', repoPath, response, response.usage);
+            }).catch(async (err) => {
+                await log(sessionId, 'mother', 'warn', `Best-effort summary from the LLM failed: ${err instanceof Error ? err.message : String(err)}`, { repoPath });
+                return `<solution>\n${await summarizeScenarioReports(sessionDir, budgetExhausted.reason)}\n</solution>`;
+            });
+            finalStatusMessage = `Stopped early (${budgetExhausted.reason}), best-effort summary produced.`;
+            await log(sessionId, 'mother', 'info', finalStatusMessage, { response: replyText, repoPath });
+            if (repro) {
+                // A best-effort summary is no more verified than any other solution
+                const reports = await readScenarioReports(sessionDir);
+                const backing = findSolutionScenario(replyText, reports);
+                solutionScenarioId = backing && hasPassingRepro(reports[backing]) ? backing : null;
+                unverifiedSolution = !solutionScenarioId;
+            }
+            await setSessionState(repoPath, sessionId, unverifiedSolution ? 'unverified' : 'completed');
         }
         else if (replyText?.includes('<solution>')) {
             const match = replyText.match(/<solution>([\s\S]*?)<\/solution>/);
             if (match && match[1].trim()) {
-                finalStatusMessage = 'Solution found or investigation concluded.';
-                await log(sessionId, 'mother', 'info', finalStatusMessage, { repoPath });
+                finalStatusMessage = unverifiedSolution
+                    ? 'Investigation ended UNVERIFIED: no scenario made the repro command pass, the conclusion is not a confirmed fix.'
+                    : 'Solution found or investigation concluded.';
+                await log(sessionId, 'mother', unverifiedSolution ? 'warn' : 'info', finalStatusMessage, { repoPath });
+                await setSessionState(repoPath, sessionId, unverifiedSolution ? 'unverified' : 'completed');
             }
             else {
                 // Empty solution tag, treat as error
                 finalStatusMessage = 'Loop terminated unexpectedly (empty solution tag)';
                 await log(sessionId, 'mother', 'warn', finalStatusMessage, { repoPath });
+                await setSessionState(repoPath, sessionId, 'failed');
                 replyText = finalStatusMessage;
             }
         }
@@ -377,16 +728,50 @@ scenarioPids // Added: Set to track scenario PIDs
             // Loop likely ended due to empty replyText from LLM failure
             finalStatusMessage = 'Loop terminated unexpectedly (e.g., LLM error).';
             await log(sessionId, 'mother', 'warn', finalStatusMessage, { repoPath });
+            await setSessionState(repoPath, sessionId, 'failed');
             replyText = finalStatusMessage; // Use status message as final content
         }
+        // Remember which scenario the solution rests on, its branch survives the cleanup
+        let reproVerified = false;
+        if (!signal.aborted && !unverifiedSolution) {
+            const reports = await readScenarioReports(sessionDir);
+            // With a repro it's the scenario the accepted solution named, never just any confirmed one
+            const winningScenarioId = repro ? solutionScenarioId : pickWinningScenario(reports);
+            if (winningScenarioId) {
+                winningBranch = `debug-${winningScenarioId}`;
+                reproVerified = hasPassingRepro(reports[winningScenarioId]);
+                const meta = await updateSessionMeta(repoPath, sessionId, meta => { meta.winningScenarioId = winningScenarioId; });
+                await log(sessionId, 'mother', 'info', `Winning scenario: ${winningScenarioId}`, { repoPath, branch: winningBranch });
+                // Its changes become reports/solution.patch for apply_solution
+                const patchPath = await exportSolutionPatch(repoPath, sessionDir, winningScenarioId, reports[winningScenarioId], meta?.baseCommit)
+                    .catch(async (err) => {
+                    await log(sessionId, 'mother', 'warn', `Failed to export solution patch: ${err instanceof Error ? err.message : String(err)}`, { repoPath });
+                    return null;
+                });
+                if (patchPath) {
+                    await log(sessionId, 'mother', 'info', `Solution patch written to ${patchPath}`, { repoPath });
+                }
+            }
+        }
+        const solution = replyText.match(/<solution>([\s\S]*?)<\/solution>/)?.[1]?.trim();
+        if (!signal.aborted && solution && !unverifiedSolution) {
+            emitSessionEvent(sessionId, 'solution', 'Solution found', { solution, winningBranch, budgetExhausted: budgetExhausted?.reason, reproVerified: repro ? reproVerified : undefined });
+        }
+        emitSessionEvent(sessionId, 'session_ended', finalStatusMessage);
         // Structured record at the end
         if (useMemoryBank) {
+            const usage = await getSessionUsage(getSessionDir(repoPath, sessionId));
             await updateMemoryBank(projectId, `\n## Debug Session ${sessionId} - ${new Date().toISOString()}
     ${error ? `Initial Error: ${error}` : ''}
     Final Status: ${finalStatusMessage}
     ${replyText}
     Scenarios Spawned: ${scenarioCounter}
-    Duration: ${Math.round((Date.now() - startTime) / 1000)}s`, 'progress').catch(err => log(sessionId, 'mother', 'error', 'Failed to update memory bank progress log', { error: err }));
+    Duration: ${Math.round((Date.now() - startTime) / 1000)}s
+    LLM Usage: ${formatUsage(usage.total)}
+    ${Object.entries(usage.byAgent).map(([agent, agentUsage]) => `  ${agent}: ${formatUsage(agentUsage)}`).join('\n    ')}`, 'progress').catch(err => log(sessionId, 'mother', 'error', 'Failed to update memory bank progress log', { error: err }));
+            await recordSession(projectId, sessionId, sessionDir, solution)
+                .then(() => rebuildDigest(projectId))
+                .catch(err => log(sessionId, 'mother', 'error', 'Failed to record session in the session index', { error: err instanceof Error ? err.message : String(err) }));
         }
         return replyText; // Return the last reply or status
     }
@@ -396,6 +781,8 @@ scenarioPids // Added: Set to track scenario PIDs
         // Check if the error was due to cancellation signal during an operation
         if (signal.aborted) {
             await log(sessionId, 'mother', 'info', `Operation aborted during execution: ${caughtError.message}`, { repoPath });
+            emitSessionEvent(sessionId, 'session_ended', 'Session cancelled by user request.');
+            await setSessionState(repoPath, sessionId, 'cancelled').catch(() => undefined);
             // Optionally update progress log for aborted state
             if (useMemoryBank) {
                 await updateMemoryBank(projectId, `\n## Debug Session ${sessionId} - ABORTED - ${new Date().toISOString()}\nError during abort: ${caughtError.message}`, 'progress').catch(logErr => console.error("Mem bank log fail on abort:", logErr));
@@ -404,9 +791,13 @@ scenarioPids // Added: Set to track scenario PIDs
         }
         else {
             // Log and record other errors
-            await log(sessionId, 'mother', 'error', `Mother agent failed: ${caughtError.message}`, { repoPath, stack: caughtError.stack });
+            // Auth and config errors need the user, `check` shows them in full
+            await log(sessionId, 'mother', 'error', `Mother agent failed: ${caughtError.message}`, { repoPath, stack: caughtError.stack, llmError: getLlmError(caughtError)?.kind });
+            emitSessionEvent(sessionId, 'session_ended', `Mother agent failed: ${caughtError.message}`);
+            await setSessionState(repoPath, sessionId, 'failed').catch(() => undefined);
             if (useMemoryBank) {
                 await updateMemoryBank(projectId, `\n## Debug Session ${sessionId} - FAILED - ${new Date().toISOString()}\nError: ${caughtError.message}\nStack: ${caughtError.stack}`, 'progress').catch(logErr => console.error("Mem bank log fail on error:", logErr));
+                await recordSession(projectId, sessionId, sessionDir).catch(logErr => console.error("Session index record fail on error:", logErr));
             }
             throw caughtError; // Re-throw unexpected errors
         }
@@ -431,5 +822,10 @@ scenarioPids // Added: Set to track scenario PIDs
             }
             scenarioPids.clear(); // Clear the set
         }
+        if (getSandboxConfig()) {
+            await removeSandboxes(sessionId).catch(() => undefined);
+        }
+        await cleanUpScenarioBranches(repoPath, sessionId, winningBranch, baseCommit)
+            .catch(err => log(sessionId, 'mother', 'warn', `Branch cleanup failed: ${err instanceof Error ? err.message : String(err)}`, { repoPath }));
     }
 } // End of runMotherAgent
@@ -0,0 +1,72 @@
+// src/resources.ts
+import { ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { readFile, readdir } from 'fs/promises';
+import { join } from 'path';
+import { listSessionDirs, findSessionDir } from './util/sessions.js';
+import { getSessionStatus } from './util/session-status.js';
+import { isSafePathSegment } from './util/sanitize.js';
+function variable(variables, name) {
+    const value = variables[name];
+    const single = Array.isArray(value) ? value[0] : value;
+    if (!single || !isSafePathSegment(single)) {
+        throw new Error(`Invalid ${name}: ${single}`);
+    }
+    return single;
+}
+async function requireSessionDir(sessionId) {
+    const sessionDir = await findSessionDir(sessionId);
+    if (!sessionDir)
+        throw new Error(`Session ${sessionId} not found`);
+    return sessionDir;
+}
+// Files in `sub` of every session, as resources under deebo://sessions/<id>/<kind>/<name>
+async function listSessionFiles(sub, extension, kind, mimeType) {
+    const resources = [];
+    for (const { sessionId, sessionDir } of await listSessionDirs()) {
+        const files = await readdir(join(sessionDir, sub)).catch(() => []);
+        for (const file of files.filter(f => f.endsWith(extension))) {
+            const name = file.slice(0, -extension.length);
+            resources.push({ uri: `deebo://sessions/${sessionId}/${kind}/${name}`, name: `${sessionId} ${kind.replace(/s$/, '')} ${name}`, mimeType });
+        }
+    }
+    return { resources };
+}
+/**
+ * Session artifacts as MCP resources, for clients that can't open the file paths `check` prints:
+ *   deebo://sessions/{sessionId}/status              session state as JSON (same as check's json format)
+ *   deebo://sessions/{sessionId}/reports/{scenario}  a scenario report
+ *   deebo://sessions/{sessionId}/logs/{agent}        an agent log (JSON lines), e.g. mother
+ */
+export function registerSessionResources(server, terminatedPids) {
+    server.resource("session-status", new ResourceTemplate("deebo://sessions/{sessionId}/status", {
+        list: async () => ({
+            resources: (await listSessionDirs()).map(({ sessionId }) => ({
+                uri: `deebo://sessions/${sessionId}/status`,
+                name: `${sessionId} status`,
+                mimeType: "application/json"
+            }))
+        })
+    }), { description: "Current state of a Deebo session: mother agent, scenarios, solution", mimeType: "application/json" }, async (uri, variables) => {
+        const sessionId = variable(variables, 'sessionId');
+        const state = await getSessionStatus(sessionId, await requireSessionDir(sessionId), terminatedPids);
+        return { contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(state, null, 2) }] };
+    });
+    server.resource("scenario-report", new ResourceTemplate("deebo://sessions/{sessionId}/reports/{scenario}", {
+        list: () => listSessionFiles('reports', '.json', 'reports', "application/json")
+    }), { description: "A scenario agent's report", mimeType: "application/json" }, async (uri, variables) => {
+        const sessionId = variable(variables, 'sessionId');
+        const scenario = variable(variables, 'scenario');
+        const text = await readFile(join(await requireSessionDir(sessionId), 'reports', `${scenario}.json`), 'utf8')
+            .catch(() => { throw new Error(`No report for scenario ${scenario} in session ${sessionId}`); });
+        return { contents: [{ uri: uri.href, mimeType: "application/json", text }] };
+    });
+    server.resource("agent-log", new ResourceTemplate("deebo://sessions/{sessionId}/logs/{agent}", {
+        list: () => listSessionFiles('logs', '.log', 'logs', "application/x-ndjson")
+    }), { description: "An agent's log, one JSON entry per line. The agent is 'mother' or 'scenario-<scenario id>'", mimeType: "application/x-ndjson" }, async (uri, variables) => {
+        const sessionId = variable(variables, 'sessionId');
+        const agent = variable(variables, 'agent');
+        const text = await readFile(join(await requireSessionDir(sessionId), 'logs', `${agent}.log`), 'utf8')
+            .catch(() => { throw new Error(`No log for agent ${agent} in session ${sessionId}`); });
+        return { contents: [{ uri: uri.href, mimeType: "application/x-ndjson", text }] };
+    });
+}
@@ -0,0 +1,39 @@
+// src/sandbox-check.ts
+// Smoke test for the scenario sandbox against the local Docker daemon, with the same DEEBO_SANDBOX_* settings:
+//   npm run sandbox:check -- [path inside a git repo, default: current directory]
+import { getSandboxConfig, createSandbox } from './util/sandbox.js';
+process.env.DEEBO_SANDBOX ??= 'docker';
+const config = getSandboxConfig();
+const worktreePath = process.argv[2] ?? process.cwd();
+const checks = [
+    { name: 'runs commands in the mounted worktree', command: 'pwd && ls', expectSuccess: true },
+    { name: 'git works on the mounted repo', command: 'git -c safe.directory="*" status --short | head -5', expectSuccess: true },
+    { name: "the worktree's git index is writable", command: 'git -c safe.directory="*" update-index --refresh >/dev/null; touch "$(git -c safe.directory="*" rev-parse --git-dir)/index"', expectSuccess: true },
+    { name: 'non-zero exit codes come back', command: 'exit 3', expectSuccess: false },
+    ...(config.network === 'none'
+        ? [{ name: 'no network access', command: 'getent hosts example.com', expectSuccess: false }]
+        : [])
+];
+console.log(`Sandbox: ${JSON.stringify(config)}\nWorktree: ${worktreePath}\n`);
+let failed = 0;
+const sandbox = await createSandbox(config, worktreePath, { 'deebo.session': 'sandbox-check' });
+try {
+    for (const check of checks) {
+        const result = await sandbox.exec(check.command, 60_000);
+        const ok = (result.exitCode === 0) === check.expectSuccess;
+        if (!ok)
+            failed++;
+        console.log(`${ok ? 'ok  ' : 'FAIL'} ${check.name} (exit ${result.exitCode})\n${result.output.trim().replace(/^/gm, '     ')}\n`);
+    }
+    // The command has to be gone afterwards, not just the wait for it
+    const slow = await sandbox.exec('sleep 30', 2_000);
+    const leftover = await sandbox.exec('if command -v ps >/dev/null; then ps -eo args | grep -c "^sleep 30"; else echo unknown; fi', 10_000);
+    const killed = slow.timedOut && leftover.output.trim() === '0';
+    if (!killed)
+        failed++;
+    console.log(`${killed ? 'ok  ' : 'FAIL'} timed-out commands are killed (timed out: ${slow.timedOut}, still running: ${leftover.output.trim() || 'unknown'})\n`);
+}
+finally {
+    await sandbox.close();
+}
+process.exit(failed ? 1 : 0);
@@ -1,9 +1,228 @@
 // src/util/branch-manager.ts
 import { simpleGit } from 'simple-git';
-// note: second parameter is `scenarioId`
-export async function createScenarioBranch(repoPath, scenarioId) {
-    const git = simpleGit(repoPath);
+import { mkdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+// git serializes worktree bookkeeping through lock files, so parallel scenarios
+// queue up here instead of racing each other on `.git/worktrees`
+let worktreeQueue = Promise.resolve();
+function enqueue(task) {
+    const next = worktreeQueue.then(task, task);
+    worktreeQueue = next.catch(() => undefined);
+    return next;
+}
+/**
+ * Creates the scenario branch from `baseCommit` (the session's snapshot, see snapshotWorkingTree)
+ * inside its own worktree at `worktreePath`. The user's checkout (current branch, index,
+ * uncommitted changes) is never touched.
+ */
+export async function createScenarioWorktree(repoPath, scenarioId, worktreePath, baseCommit = 'HEAD') {
     const branchName = `debug-${scenarioId}`; // e.g. debug-session-1745287764331-0
-    await git.checkoutLocalBranch(branchName);
+    await mkdir(dirname(worktreePath), { recursive: true });
+    await enqueue(() => simpleGit(repoPath).raw(['worktree', 'add', '-b', branchName, worktreePath, baseCommit]));
     return branchName;
 }
+/**
+ * The commit a session starts from. With a clean checkout that's HEAD; otherwise a commit on
+ * top of HEAD holding the working tree as it is (staged, unstaged and untracked files, minus
+ * ignored ones), so scenarios see the code the user is actually running. The user's index
+ * and checkout are left alone, the snapshot is built in a throwaway index.
+ */
+export async function snapshotWorkingTree(repoPath) {
+    const git = simpleGit(repoPath);
+    const head = (await git.revparse(['HEAD'])).trim();
+    const status = await git.status();
+    if (status.isClean())
+        return { commit: head, uncommittedFiles: [] };
+    const indexFile = join(tmpdir(), `deebo-index-${process.pid}-${Date.now()}`);
+    try {
+        const snapshotGit = simpleGit(repoPath).env({ ...process.env, GIT_INDEX_FILE: indexFile });
+        await snapshotGit.raw(['read-tree', head]);
+        await snapshotGit.raw(['add', '-A']);
+        const tree = (await snapshotGit.raw(['write-tree'])).trim();
+        const commit = (await git.raw(['-c', 'user.name=Deebo', '-c', 'user.email=deebo@localhost',
+            'commit-tree', tree, '-p', head, '-m', 'deebo: uncommitted changes at session start'])).trim();
+        return { commit, uncommittedFiles: status.files.map(file => file.path) };
+    }
+    finally {
+        await rm(indexFile, { force: true });
+    }
+}
+/**
+ * Removes a scenario worktree. Anything the scenario left uncommitted is committed
+ * onto its branch first so the investigation's changes survive the cleanup.
+ */
+export async function removeScenarioWorktree(repoPath, worktreePath) {
+    try {
+        const worktreeGit = simpleGit(worktreePath);
+        const status = await worktreeGit.status();
+        if (!status.isClean()) {
+            await worktreeGit.add(['-A']);
+            // committed as Deebo so this works even where no git identity is configured
+            await worktreeGit.raw(['-c', 'user.name=Deebo', '-c', 'user.email=deebo@localhost',
+                'commit', '--no-verify', '-m', 'deebo: snapshot of uncommitted scenario changes']);
+        }
+    }
+    catch {
+        // worktree may already be gone or broken, removal below still cleans it up
+    }
+    await discardWorktree(repoPath, worktreePath);
+}
+/**
+ * Checks out `commit` in a worktree without a branch, for running something against
+ * the session's starting point. Remove it with discardWorktree.
+ */
+export async function createDetachedWorktree(repoPath, worktreePath, commit) {
+    await mkdir(dirname(worktreePath), { recursive: true });
+    await enqueue(() => simpleGit(repoPath).raw(['worktree', 'add', '--detach', worktreePath, commit]));
+}
+// Removes a worktree and whatever is in it, nothing is kept
+export async function discardWorktree(repoPath, worktreePath) {
+    await enqueue(async () => {
+        const git = simpleGit(repoPath);
+        await git.raw(['worktree', 'remove', '--force', worktreePath]).catch(() => undefined);
+        await git.raw(['worktree', 'prune']);
+    });
+}
+export async function getHeadCommit(path) {
+    return (await simpleGit(path).revparse(['HEAD'])).trim();
+}
+/**
+ * Everything changed in a worktree since `baseCommit`: commits on the branch,
+ * staged, unstaged and new files alike.
+ */
+export async function getWorktreeChanges(worktreePath, baseCommit) {
+    const git = simpleGit(worktreePath);
+    await git.raw(['add', '--intent-to-add', '--all']); // so brand new files show up in the diff
+    const names = await git.raw(['diff', '--name-only', baseCommit]);
+    const diff = await git.raw(['diff', baseCommit]);
+    return { filesChanged: names.split('\n').filter(Boolean), diff };
+}
+// Scenario branches are `debug-<sessionId>-<n>` and session ids are `session-<epoch ms>`
+const DEEBO_BRANCH_PATTERN = /^debug-(session-(\d+))-\d+$/;
+const DEFAULT_BRANCH_RETENTION_DAYS = 14;
+// DEEBO_BRANCH_RETENTION_DAYS, the default age limit of the `branches` tool's prune; 0 turns age-based pruning off
+export function getBranchRetentionDays() {
+    const days = parseInt(process.env.DEEBO_BRANCH_RETENTION_DAYS ?? '', 10);
+    return Number.isNaN(days) || days < 0 ? DEFAULT_BRANCH_RETENTION_DAYS : days;
+}
+// `exclude`: commits that don't count as a branch's own work, e.g. the session's working tree snapshot.
+// Pass a function to look them up per session when listing several sessions' branches
+export async function listDeeboBranches(repoPath, exclude = []) {
+    const git = simpleGit(repoPath);
+    const names = (await git.raw(['for-each-ref', '--format=%(refname:short)', 'refs/heads/debug-session-*']))
+        .split('\n').map(name => name.trim()).filter(name => DEEBO_BRANCH_PATTERN.test(name));
+    const worktrees = await git.raw(['worktree', 'list', '--porcelain']);
+    const checkedOut = new Set([...worktrees.matchAll(/^branch refs\/heads\/(.+)$/gm)].map(m => m[1]));
+    const branches = [];
+    for (const name of names) {
+        const [, sessionId, timestamp] = name.match(DEEBO_BRANCH_PATTERN);
+        const createdAt = new Date(parseInt(timestamp, 10));
+        const uniqueCommits = parseInt((await git.raw([
+            'rev-list', '--count', `refs/heads/${name}`, '--not', `--exclude=${name}`, '--branches', 'HEAD',
+            ...(typeof exclude === 'function' ? exclude(sessionId) : exclude)
+        ])).trim(), 10);
+        branches.push({
+            name,
+            sessionId,
+            createdAt: createdAt.toISOString(),
+            ageDays: Math.floor((Date.now() - createdAt.getTime()) / (24 * 60 * 60 * 1000)),
+            uniqueCommits,
+            checkedOut: checkedOut.has(name)
+        });
+    }
+    return branches;
+}
+// Refuses anything that isn't a Deebo scenario branch, so a typo can't take out a user branch
+export async function deleteDeeboBranch(repoPath, name) {
+    if (!DEEBO_BRANCH_PATTERN.test(name)) {
+        throw new Error(`'${name}' is not a Deebo scenario branch`);
+    }
+    await enqueue(() => simpleGit(repoPath).raw(['branch', '-D', name]));
+}
+/**
+ * End-of-session cleanup: deletes the session's branches that hold no commits of their own.
+ * `keep` (the branch behind the winning solution) always survives. Returns the deleted names.
+ */
+export async function cleanupSessionBranches(repoPath, sessionId, keep, baseCommit) {
+    const deleted = [];
+    for (const branch of await listDeeboBranches(repoPath, baseCommit ? [baseCommit] : [])) {
+        if (branch.sessionId !== sessionId || branch.name === keep)
+            continue;
+        if (branch.uniqueCommits > 0 || branch.checkedOut)
+            continue;
+        await deleteDeeboBranch(repoPath, branch.name);
+        deleted.push(branch.name);
+    }
+    return deleted;
+}
+/**
+ * Deletes Deebo branches older than `maxAgeDays`, winners included, except for the
+ * sessions in `protectedSessions` (still running). Returns the deleted names.
+ */
+export async function pruneOldBranches(repoPath, maxAgeDays, protectedSessions = new Set()) {
+    if (maxAgeDays <= 0)
+        return [];
+    const deleted = [];
+    for (const branch of await listDeeboBranches(repoPath)) {
+        if (branch.ageDays < maxAgeDays || branch.checkedOut || protectedSessions.has(branch.sessionId))
+            continue;
+        await deleteDeeboBranch(repoPath, branch.name);
+        deleted.push(branch.name);
+    }
+    return deleted;
+}
+/**
+ * The scenario's own changes as a patch: `git diff base...branch` diffs from where the
+ * branch forked, so commits the user made since don't leak into it.
+ */
+export async function getBranchDiff(repoPath, branch, baseCommit) {
+    return simpleGit(repoPath).raw(['diff', '--binary', `${baseCommit ?? 'HEAD'}...${branch}`]);
+}
+/**
+ * `git apply --check`: throws with git's conflict output if the patch doesn't apply cleanly.
+ * Checks the working tree, or with `baseCommit` that commit, in a throwaway index like snapshotWorkingTree.
+ */
+export async function checkPatch(repoPath, patchPath, baseCommit) {
+    if (!baseCommit) {
+        await simpleGit(repoPath).raw(['apply', '--check', patchPath]);
+        return;
+    }
+    const indexFile = join(tmpdir(), `deebo-index-${process.pid}-${Date.now()}`);
+    try {
+        const git = simpleGit(repoPath).env({ ...process.env, GIT_INDEX_FILE: indexFile });
+        await git.raw(['read-tree', baseCommit]);
+        await git.raw(['apply', '--check', '--cached', patchPath]);
+    }
+    finally {
+        await rm(indexFile, { force: true });
+    }
+}
+// Applies the patch to the working tree only, the index and branch stay as they are
+export async function applyPatch(repoPath, patchPath) {
+    await simpleGit(repoPath).raw(['apply', patchPath]);
+}
+/**
+ * Creates `branchName` from `baseCommit` (the session's, where the patch was diffed from) with
+ * the patch committed on it. Works in a throwaway worktree so the user's checkout isn't touched.
+ */
+export async function createBranchWithPatch(repoPath, branchName, patchPath, worktreePath, message, baseCommit = 'HEAD') {
+    await mkdir(dirname(worktreePath), { recursive: true });
+    await enqueue(() => simpleGit(repoPath).raw(['worktree', 'add', '-b', branchName, worktreePath, baseCommit]));
+    try {
+        const git = simpleGit(worktreePath);
+        await git.raw(['apply', '--index', patchPath]);
+        await git.raw(['-c', 'user.name=Deebo', '-c', 'user.email=deebo@localhost', 'commit', '--no-verify', '-m', message]);
+    }
+    catch (err) {
+        // leave nothing half-done behind
+        await removeScenarioWorktree(repoPath, worktreePath);
+        await enqueue(() => simpleGit(repoPath).raw(['branch', '-D', branchName])).catch(() => undefined);
+        throw err;
+    }
+    await enqueue(async () => {
+        const git = simpleGit(repoPath);
+        await git.raw(['worktree', 'remove', '--force', worktreePath]).catch(() => undefined);
+        await git.raw(['worktree', 'prune']);
+    });
+}
@@ -0,0 +1,36 @@
+// src/util/budget.ts
+import { readScenarioReports } from './reports.js';
+export const DEFAULT_MAX_RUNTIME_MINUTES = 60;
+export const SCENARIO_TIMEOUT = 5 * 60 * 1000;
+// Logged by the mother when it stops early, `check` looks for it
+export const BUDGET_EXHAUSTED_PREFIX = 'Budget exhausted:';
+export function getMaxRuntimeMs(budget) {
+    return (budget.maxRuntimeMinutes ?? DEFAULT_MAX_RUNTIME_MINUTES) * 60 * 1000;
+}
+export function getRemainingRuntimeMs(budget, startTime) {
+    return Math.max(0, getMaxRuntimeMs(budget) - (Date.now() - startTime));
+}
+// How many more scenarios may be spawned, Infinity without a cap
+export function getRemainingScenarios(budget, scenariosSpawned) {
+    return budget.maxTotalScenarios === undefined ? Infinity : Math.max(0, budget.maxTotalScenarios - scenariosSpawned);
+}
+// Why the session has to stop, or null while there's budget left
+export function checkBudget(budget, usage) {
+    if (getRemainingRuntimeMs(budget, usage.startTime) === 0) {
+        return { kind: 'runtime', reason: `wall-clock limit of ${budget.maxRuntimeMinutes ?? DEFAULT_MAX_RUNTIME_MINUTES} minutes reached` };
+    }
+    if (budget.maxTotalTokens !== undefined && usage.totalTokens >= budget.maxTotalTokens) {
+        return { kind: 'tokens', reason: `token limit of ${budget.maxTotalTokens} reached (${usage.totalTokens} used)` };
+    }
+    return null;
+}
+/**
+ * Fallback summary when the mother can't be asked for one (e.g. the token budget is gone):
+ * lists what the scenarios found so the session still ends with something useful.
+ */
+export async function summarizeScenarioReports(sessionDir, reason) {
+    const reports = await readScenarioReports(sessionDir);
+    const lines = Object.values(reports).map(report => `- [${report.confirmed}, ${report.confidence} confidence] ${report.hypothesis}\n  ${report.conclusion}`);
+    return `Investigation stopped early: ${reason}. No verified solution was reached.\n\n` +
+        (lines.length ? `Scenario findings so far:\n${lines.join('\n')}` : 'No scenario reported before the budget ran out.');
+}
@@ -0,0 +1,14 @@
+// src/util/events.ts
+import { EventEmitter } from 'events';
+// The mother agent runs inside the server process, so a plain emitter is enough to reach the MCP connection
+const sessionEvents = new EventEmitter();
+sessionEvents.setMaxListeners(0); // one listener per connected client, the HTTP daemon can have many
+export function emitSessionEvent(sessionId, type, message, data) {
+    const event = { sessionId, type, message, data, timestamp: new Date().toISOString() };
+    sessionEvents.emit('event', event);
+}
+// Returns the unsubscribe function
+export function onSessionEvent(listener) {
+    sessionEvents.on('event', listener);
+    return () => sessionEvents.off('event', listener);
+}
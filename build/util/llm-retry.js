@@ -0,0 +1,155 @@
+// src/util/llm-retry.ts
+import { setTimeout as sleep } from 'timers/promises';
+const DEFAULT_MAX_RETRIES = 4;
+const BASE_DELAY_MS = 2_000;
+const MAX_DELAY_MS = 60_000;
+// A Retry-After longer than this means a quota window, not a blip; waiting it out would stall the session
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+const NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+const API_KEY_VARS = {
+    openai: 'OPENAI_API_KEY',
+    openrouter: 'OPENROUTER_API_KEY',
+    gemini: 'GEMINI_API_KEY',
+    anthropic: 'ANTHROPIC_API_KEY'
+};
+function envNumber(name, fallback) {
+    const value = parseInt(process.env[name] ?? '', 10);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+// DEEBO_LLM_TIMEOUT_MS bounds a single request; the SDKs default to ten minutes
+export function getLlmTimeoutMs() {
+    return envNumber('DEEBO_LLM_TIMEOUT_MS', DEFAULT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+}
+// Errors Deebo raises itself (missing key, unknown provider) never get better by retrying
+export function llmConfigError(message) {
+    return Object.assign(new Error(message), {
+        llmError: { kind: 'config', retryable: false, status: null, retryAfterMs: null, message }
+    });
+}
+function header(headers, name) {
+    if (!headers)
+        return null;
+    if (typeof headers.get === 'function')
+        return headers.get(name);
+    return headers[name] ?? headers[name.toLowerCase()] ?? null;
+}
+// retry-after-ms (OpenAI), Retry-After in seconds or as a date, or Gemini's RetryInfo ("12.5s")
+function parseRetryAfter(err) {
+    const ms = parseFloat(header(err.headers, 'retry-after-ms') ?? '');
+    if (!Number.isNaN(ms))
+        return Math.max(0, ms);
+    const retryAfter = header(err.headers, 'retry-after');
+    if (retryAfter) {
+        const seconds = parseFloat(retryAfter);
+        if (!Number.isNaN(seconds))
+            return Math.max(0, seconds * 1000);
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date))
+            return Math.max(0, date - Date.now());
+    }
+    const retryInfo = Array.isArray(err.errorDetails)
+        ? err.errorDetails.find((d) => typeof d?.['@type'] === 'string' && d['@type'].endsWith('RetryInfo'))
+        : null;
+    const delay = parseFloat(retryInfo?.retryDelay ?? '');
+    return Number.isNaN(delay) ? null : Math.max(0, delay * 1000);
+}
+function kindOf(err, status) {
+    // the SDKs' connection errors keep name 'Error', only their class says what they are
+    const name = `${err?.name ?? ''} ${err?.constructor?.name ?? ''}`;
+    const code = err?.code ?? err?.cause?.code;
+    if (/timeout/i.test(name) || code === 'ETIMEDOUT' || status === 408)
+        return 'timeout';
+    if (status === 429) {
+        // an empty balance answers 429 too, but no amount of waiting fixes it
+        return code === 'insufficient_quota' || (/quota|billing|credits/i.test(err?.message ?? '') && !/rate/i.test(err?.message ?? ''))
+            ? 'auth'
+            : 'rate_limit';
+    }
+    if (status === 401 || status === 403 || status === 402)
+        return 'auth';
+    if (status !== null && (status >= 500 || status === 409))
+        return 'server'; // 529 is Anthropic's "overloaded"
+    if (status !== null && status >= 400)
+        return 'config'; // bad model name, malformed or oversized request
+    if (/connection/i.test(name) || NETWORK_CODES.has(code) || /fetch failed|socket hang up|network/i.test(err?.message ?? ''))
+        return 'network';
+    if (/GoogleGenerativeAIRequestInputError/.test(name))
+        return 'config';
+    return 'unknown';
+}
+/**
+ * Sorts a provider SDK's exception into what it means for a retry. Works on the errors of
+ * all three SDKs (they carry `status`, and headers or Gemini's errorDetails) and on plain
+ * network failures.
+ */
+export function classifyLlmError(err) {
+    const tagged = getLlmError(err);
+    if (tagged)
+        return tagged;
+    const e = err;
+    const rawStatus = e?.status ?? e?.statusCode ?? e?.response?.status;
+    const status = typeof rawStatus === 'number' ? rawStatus : null;
+    const kind = kindOf(e, status);
+    return {
+        kind,
+        retryable: kind === 'rate_limit' || kind === 'server' || kind === 'timeout' || kind === 'network',
+        status,
+        retryAfterMs: status !== null ? parseRetryAfter(e) : null,
+        message: e instanceof Error ? e.message : String(err)
+    };
+}
+// The classification of an error that came out of callLlm, null for anything else
+export function getLlmError(err) {
+    return err?.llmError ?? null;
+}
+function describeFailure(info, provider, model, attempts) {
+    const where = `${provider}${model ? ` (${model})` : ''}`;
+    switch (info.kind) {
+        case 'auth':
+            return `LLM authentication failed for ${where}: ${info.message}. Check ${API_KEY_VARS[provider] ?? 'the API key'} and that the account has credit.`;
+        case 'config':
+            return `LLM request rejected by ${where}: ${info.message}. Check the host, model and base URL settings (MOTHER_HOST/MOTHER_MODEL, SCENARIO_HOST/SCENARIO_MODEL).`;
+        case 'rate_limit':
+            return `LLM rate limit at ${where} persisted after ${attempts} attempt(s): ${info.message}`;
+        case 'unknown':
+            return `LLM call to ${where} failed: ${info.message}`;
+        default:
+            return `LLM ${info.kind === 'timeout' ? 'timeout' : `${info.kind} error`} at ${where} persisted after ${attempts} attempt(s): ${info.message}`;
+    }
+}
+// Exponential with equal jitter, so scenarios that hit a limit together don't come back together
+function backoffMs(attempt) {
+    const exponential = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+/**
+ * Runs one provider request, retrying rate limits, server errors, timeouts and dropped
+ * connections (DEEBO_LLM_MAX_RETRIES times, default 4). A Retry-After from the provider is
+ * waited out as given, otherwise the wait backs off with jitter. Auth and config errors fail
+ * at once. Whatever is finally thrown has a readable message and its classification, see getLlmError.
+ */
+export async function withLlmRetries(request, options) {
+    const maxRetries = envNumber('DEEBO_LLM_MAX_RETRIES', DEFAULT_MAX_RETRIES);
+    for (let attempt = 0;; attempt++) {
+        try {
+            return await request();
+        }
+        catch (err) {
+            if (getLlmError(err))
+                throw err; // one of Deebo's own config errors, already readable
+            const info = classifyLlmError(err);
+            const tooLong = info.retryAfterMs !== null && info.retryAfterMs > MAX_RETRY_AFTER_MS;
+            if (!info.retryable || attempt >= maxRetries || tooLong || options.signal?.aborted) {
+                const message = tooLong
+                    ? `LLM rate limit at ${options.provider}: asked to retry in ${Math.round(info.retryAfterMs / 1000)}s, which is too long to wait. ${info.message}`
+                    : describeFailure(info, options.provider, options.model, attempt + 1);
+                throw Object.assign(new Error(message, { cause: err }), { llmError: { ...info, message } });
+            }
+            // A little jitter on top of Retry-After too, every scenario gets the same header
+            const delay = info.retryAfterMs !== null ? info.retryAfterMs + Math.random() * 250 : backoffMs(attempt);
+            await options.onRetry?.(info, attempt + 1, Math.round(delay));
+            await sleep(delay, undefined, options.signal ? { signal: options.signal } : undefined);
+        }
+    }
+}
@@ -1,6 +1,6 @@
 import { writeFile } from 'fs/promises';
 import { join } from 'path';
-import { DEEBO_ROOT } from '../index.js';
+import { DEEBO_ROOT } from './paths.js';
 import { getProjectId } from './sanitize.js';
 // Write logs to memory bank structure
 export async function log(sessionId, name, level, message, data) {
@@ -4,13 +4,20 @@ import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js"
 import { readFile } from 'fs/promises';
 import { join } from 'path';
 import * as path from 'path';
-import { DEEBO_ROOT } from '../index.js';
+import { DEEBO_ROOT } from './paths.js';
 import { getProjectId } from './sanitize.js';
 // Map to track active connections
 const activeConnections = new Map();
-export async function connectMcpTool(name, toolName, sessionId, repoPath) {
-    const rawConfig = JSON.parse(await readFile(join(DEEBO_ROOT, 'config', 'tools.json'), 'utf-8'));
+export async function loadToolsConfig() {
+    return JSON.parse(await readFile(join(DEEBO_ROOT, 'config', 'tools.json'), 'utf-8'));
+}
+// `workingPath` is where the tool operates (a scenario's worktree); defaults to the repo itself
+export async function connectMcpTool(name, toolName, sessionId, repoPath, workingPath = repoPath) {
+    const rawConfig = await loadToolsConfig();
     const def = rawConfig.tools[toolName];
+    if (!def) {
+        throw new Error(`MCP server '${toolName}' is not defined in config/tools.json`);
+    }
     const memoryPath = join(DEEBO_ROOT, 'memory-bank', getProjectId(repoPath));
     const memoryRoot = join(DEEBO_ROOT, 'memory-bank');
     /* --- WINDOWS-ONLY PATCH ----------------------------------------- */
@@ -27,7 +34,7 @@ export async function connectMcpTool(name, toolName, sessionId, repoPath) {
         .replace(/{uvxPath}/g, process.env.DEEBO_UVX_PATH);
     // Replace placeholders in all args
     let args = def.args.map((arg) => arg
-        .replace(/{repoPath}/g, repoPath)
+        .replace(/{repoPath}/g, workingPath)
         .replace(/{memoryPath}/g, memoryPath)
         .replace(/{memoryRoot}/g, memoryRoot));
     // Handle environment variable substitutions
@@ -36,14 +43,14 @@ export async function connectMcpTool(name, toolName, sessionId, repoPath) {
             if (typeof value === 'string') {
                 def.env[key] = value
                     .replace(/{ripgrepPath}/g, process.env.RIPGREP_PATH)
-                    .replace(/{repoPath}/g, repoPath)
+                    .replace(/{repoPath}/g, workingPath)
                     .replace(/{memoryPath}/g, memoryPath)
                     .replace(/{memoryRoot}/g, memoryRoot);
             }
         }
     }
     // No shell: spawn the .cmd/binary directly on all platforms
-    const options = {};
+    const options = { cwd: workingPath };
     const transport = new StdioClientTransport({
         command,
         args,
@@ -64,11 +71,36 @@ export async function connectMcpTool(name, toolName, sessionId, repoPath) {
     await client.connect(transport);
     return client;
 }
-export async function connectRequiredTools(agentName, sessionId, repoPath) {
-    const [gitClient, filesystemClient] = await Promise.all([
-        connectMcpTool(`${agentName}-git`, 'git-mcp', sessionId, repoPath),
-        // Switch from "filesystem-mcp" to "desktop-commander"
-        connectMcpTool(`${agentName}-desktop-commander`, 'desktopCommander', sessionId, repoPath)
-    ]);
-    return { gitClient, filesystemClient };
+/**
+ * Connects every server from config/tools.json that `role` is allowed to use.
+ * Names in the allow-list that don't exist in `tools` are a config error, not something to skip silently.
+ */
+export async function connectTools(role, agentName, sessionId, repoPath, workingPath = repoPath) {
+    const config = await loadToolsConfig();
+    const defined = Object.keys(config.tools);
+    const allowed = config.agents?.[role] ?? defined;
+    const unknown = allowed.filter(name => !config.tools[name]);
+    if (unknown.length) {
+        throw new Error(`tools.json allows unknown MCP server(s) for ${role}: ${unknown.join(', ')}. Defined servers: ${defined.join(', ')}`);
+    }
+    const connected = await Promise.all(allowed.map(async (serverName) => [serverName, await connectMcpTool(`${agentName}-${serverName}`, serverName, sessionId, repoPath, workingPath)]));
+    const aliases = {};
+    for (const serverName of allowed) {
+        for (const alias of config.tools[serverName].aliases ?? [])
+            aliases[alias] = serverName;
+    }
+    return { clients: Object.fromEntries(connected), aliases };
+}
+// Maps a server name from a tool call to its client, throwing if the agent has no such server
+export function resolveToolServer(servers, name) {
+    return servers.clients[resolveToolServerName(servers, name)];
+}
+// The tools.json name behind a name or alias, so policies and logs see one name per server
+export function resolveToolServerName(servers, name) {
+    const resolved = servers.clients[name] ? name : servers.aliases[name];
+    if (!resolved || !servers.clients[resolved]) {
+        const available = Object.keys(servers.clients).join(', ');
+        throw new Error(`Unknown MCP server '${name}'. Available servers: ${available}`);
+    }
+    return resolved;
 }
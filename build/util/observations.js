@@ -1,6 +1,6 @@
 import { writeFile, mkdir, readFile } from 'fs/promises';
 import { join } from 'path';
-import { DEEBO_ROOT } from '../index.js';
+import { DEEBO_ROOT } from './paths.js';
 import { getProjectId } from './sanitize.js';
 export async function getAgentObservations(repoPath, sessionId, agentId) {
     const projectId = getProjectId(repoPath);
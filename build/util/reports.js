@@ -1,7 +1,75 @@
-import { mkdir, writeFile } from "fs/promises";
+import { mkdir, writeFile, readFile, readdir } from "fs/promises";
 import { join } from "path";
-import { DEEBO_ROOT } from "../index.js";
+import { z } from "zod";
+import { DEEBO_ROOT } from "./paths.js";
 import { getProjectId } from "./sanitize.js";
+// LLMs are sloppy with casing ("Yes", "HIGH"), normalize before matching the enum
+const looseEnum = (values) => z.preprocess(v => typeof v === 'string' ? v.trim().toLowerCase() : v, z.enum(values));
+// What the scenario LLM has to put inside <report> tags
+export const LlmReportSchema = z.object({
+    hypothesis: z.string().min(1),
+    confirmed: looseEnum(['yes', 'no', 'partial']),
+    confidence: looseEnum(['high', 'medium', 'low']),
+    evidence: z.array(z.string()).min(1),
+    filesChanged: z.array(z.string()).default([]),
+    diff: z.string().default(''),
+    conclusion: z.string().min(1)
+});
+// `reported` is a report the LLM wrote; everything else is a failure written by the agent itself
+export const ReportStatusSchema = z.enum(['reported', 'invalid_report', 'timeout', 'llm_failure', 'crashed']);
+// One run of the session's repro command. `reproduced` is the failure the user described,
+// `failed` is any other failure (a different error, a timeout)
+export const ReproRunSchema = z.object({
+    command: z.string(),
+    outcome: z.enum(['passed', 'reproduced', 'failed']),
+    exitCode: z.number().nullable(), // null when the command timed out
+    timedOut: z.boolean(),
+    durationMs: z.number(),
+    output: z.string(), // the tail, that's where test runners put their summary
+    ranAt: z.string()
+});
+export const ScenarioReportSchema = LlmReportSchema.extend({
+    status: ReportStatusSchema,
+    repro: ReproRunSchema.optional() // run by the agent on the scenario's branch, sessions without a repro have none
+});
+/**
+ * Parses the body of a <report> tag against the schema.
+ * On failure the error text is meant to be sent back to the LLM so it can correct itself.
+ */
+export function parseScenarioReport(text) {
+    // Tolerate a markdown code fence around the JSON
+    const body = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    let raw;
+    try {
+        raw = JSON.parse(body);
+    }
+    catch (err) {
+        return { error: `Report is not valid JSON: ${err instanceof Error ? err.message : String(err)}` };
+    }
+    const parsed = LlmReportSchema.safeParse(raw);
+    if (!parsed.success) {
+        const issues = parsed.error.issues.map(issue => `- ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+        return { error: `Report does not match the required schema:\n${issues.join('\n')}` };
+    }
+    return { report: { ...parsed.data, status: 'reported' } };
+}
+// Same structure as an LLM report so consumers never have to special-case failures
+export function buildFailureReport(status, hypothesis, message) {
+    return {
+        status,
+        hypothesis,
+        confirmed: 'no',
+        confidence: 'low',
+        evidence: [message],
+        filesChanged: [],
+        diff: '',
+        conclusion: `Scenario did not complete its investigation (${status}): ${message}`
+    };
+}
+// Old sessions stored the raw <report> text; anything that isn't a structured report is legacy
+export function isScenarioReport(report) {
+    return ScenarioReportSchema.safeParse(report).success;
+}
 export async function writeReport(repoPath, sessionId, scenarioId, report) {
     const projectId = getProjectId(repoPath);
     const reportDir = join(DEEBO_ROOT, "memory-bank", projectId, "sessions", sessionId, "reports");
@@ -10,3 +78,52 @@ export async function writeReport(repoPath, sessionId, scenarioId, report) {
     const reportPath = join(reportDir, `${scenarioId}.json`);
     await writeFile(reportPath, JSON.stringify(report, null, 2), "utf8");
 }
+// Every structured report of a session keyed by scenario id; legacy and unreadable reports are skipped
+export async function readScenarioReports(sessionDir) {
+    const reportsDir = join(sessionDir, "reports");
+    const reports = {};
+    let files = [];
+    try {
+        files = (await readdir(reportsDir)).filter(f => f.endsWith(".json"));
+    }
+    catch { /* no reports yet */ }
+    for (const file of files) {
+        try {
+            const report = JSON.parse(await readFile(join(reportsDir, file), "utf8"));
+            if (isScenarioReport(report))
+                reports[file.replace(/\.json$/, "")] = report;
+        }
+        catch {
+            continue;
+        }
+    }
+    return reports;
+}
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+// A confirmed report whose branch passed the repro command, the only kind of evidence a repro session accepts
+export function hasPassingRepro(report) {
+    return report.status === "reported" && report.confirmed === "yes" && report.repro?.outcome === "passed";
+}
+/**
+ * The scenario behind the solution: a confirmed report, one that passed the repro first,
+ * then most confident, preferring one that actually changed code. Null when nothing was confirmed.
+ */
+export function pickWinningScenario(reports) {
+    const confirmed = Object.entries(reports)
+        .filter(([, report]) => report.status === "reported" && report.confirmed === "yes")
+        .sort(([, a], [, b]) => (Number(hasPassingRepro(b)) - Number(hasPassingRepro(a))) ||
+        (CONFIDENCE_RANK[b.confidence] - CONFIDENCE_RANK[a.confidence]) ||
+        (Number(b.filesChanged.length > 0) - Number(a.filesChanged.length > 0)));
+    return confirmed[0]?.[0] ?? null;
+}
+/**
+ * The scenario a solution says it rests on: of the scenario IDs the text names, the best one
+ * by the same ranking. Null when it names none. `session-1-1` doesn't match inside `session-1-10`.
+ */
+export function findSolutionScenario(solution, reports) {
+    const named = Object.entries(reports)
+        .filter(([id]) => new RegExp(`${id.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?!\\d)`).test(solution));
+    if (!named.length)
+        return null;
+    return pickWinningScenario(Object.fromEntries(named)) ?? named[0][0];
+}
@@ -0,0 +1,171 @@
+// src/util/sandbox.ts
+import Docker from 'dockerode';
+import { PassThrough } from 'stream';
+import { simpleGit } from 'simple-git';
+import { resolve } from 'path';
+const DEFAULT_SANDBOX_IMAGE = 'node:20-bookworm';
+const DEFAULT_COMMAND_TIMEOUT_MS = 5 * 60 * 1000;
+// How long past its timeout a command may take to be killed inside the container before we stop waiting
+const KILL_GRACE_MS = 5_000;
+const MAX_OUTPUT_CHARS = 50_000; // the rest goes nowhere useful, the LLM context is the limit
+// Containers outlive a crashed scenario at most this long, even if nobody removes them
+const CONTAINER_LIFETIME_SECONDS = 30 * 60;
+// desktopCommander tools that act on host processes; the sandbox has nothing for them to act on
+export const HOST_PROCESS_TOOLS = ['read_output', 'force_terminate', 'list_sessions', 'list_processes', 'kill_process'];
+// "512m", "2g" or plain bytes
+function parseMemory(value) {
+    const match = value?.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)([kmg]?)b?$/);
+    if (!match)
+        return undefined;
+    const units = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+    return Math.floor(parseFloat(match[1]) * units[match[2]]);
+}
+function parsePositive(value) {
+    const n = parseFloat(value ?? '');
+    return Number.isNaN(n) || n <= 0 ? undefined : n;
+}
+/**
+ * DEEBO_SANDBOX=docker turns the sandbox on, null means scenarios run commands on the host as before.
+ * DEEBO_SANDBOX_IMAGE, DEEBO_SANDBOX_NETWORK, DEEBO_SANDBOX_MEMORY, DEEBO_SANDBOX_CPUS and
+ * DEEBO_SANDBOX_PIDS configure the container.
+ */
+export function getSandboxConfig() {
+    if (process.env.DEEBO_SANDBOX?.trim().toLowerCase() !== 'docker')
+        return null;
+    return {
+        image: process.env.DEEBO_SANDBOX_IMAGE?.trim() || DEFAULT_SANDBOX_IMAGE,
+        network: process.env.DEEBO_SANDBOX_NETWORK?.trim() || 'none',
+        memoryBytes: parseMemory(process.env.DEEBO_SANDBOX_MEMORY),
+        cpus: parsePositive(process.env.DEEBO_SANDBOX_CPUS),
+        pidsLimit: parsePositive(process.env.DEEBO_SANDBOX_PIDS)
+    };
+}
+// Fails with something the user can act on instead of a socket error from deep inside dockerode
+async function connectDocker() {
+    const docker = new Docker();
+    try {
+        await docker.ping();
+    }
+    catch (err) {
+        throw new Error(`DEEBO_SANDBOX=docker is set but Docker isn't reachable (${err instanceof Error ? err.message : String(err)}). Start Docker, point DOCKER_HOST at a running daemon, or unset DEEBO_SANDBOX to run commands on the host.`);
+    }
+    return docker;
+}
+async function ensureImage(docker, image) {
+    try {
+        await docker.getImage(image).inspect();
+        return;
+    }
+    catch {
+        // not there yet, pull it below
+    }
+    const stream = await docker.pull(image);
+    await new Promise((done, fail) => docker.modem.followProgress(stream, err => err ? fail(err) : done()));
+}
+/**
+ * Starts an idle container for one scenario with its worktree mounted read-write at the same
+ * path, so paths the agent already knows keep working. The repo's .git directory is mounted
+ * read-only because a worktree's .git file points into it; only the worktree's own admin dir
+ * (`.git/worktrees/<name>`, its index and HEAD) is writable. So git reads and `git status`
+ * work in the container, but anything that writes objects or refs (add, commit) has to go
+ * through the git-mcp tools, which run on the host. Commands then run through exec().
+ */
+export async function createSandbox(config, worktreePath, labels) {
+    const docker = await connectDocker();
+    await ensureImage(docker, config.image);
+    const worktree = resolve(worktreePath);
+    const git = simpleGit(worktree);
+    const gitCommonDir = resolve(worktree, (await git.raw(['rev-parse', '--git-common-dir'])).trim());
+    const gitDir = resolve(worktree, (await git.raw(['rev-parse', '--git-dir'])).trim());
+    const binds = [`${worktree}:${worktree}:rw`];
+    if (!gitCommonDir.startsWith(worktree))
+        binds.push(`${gitCommonDir}:${gitCommonDir}:ro`);
+    // docker mounts the deeper path last, so this one stays writable inside the read-only common dir
+    if (gitDir !== gitCommonDir && !gitDir.startsWith(worktree))
+        binds.push(`${gitDir}:${gitDir}:rw`);
+    const container = await docker.createContainer({
+        Image: config.image,
+        Cmd: ['sleep', String(CONTAINER_LIFETIME_SECONDS)],
+        WorkingDir: worktree,
+        // files the agent creates stay owned by the user, not root
+        User: typeof process.getuid === 'function' ? `${process.getuid()}:${process.getgid()}` : undefined,
+        Env: ['HOME=/tmp'],
+        Labels: { 'deebo.sandbox': 'true', ...labels },
+        HostConfig: {
+            Binds: binds,
+            NetworkMode: config.network,
+            AutoRemove: true,
+            Memory: config.memoryBytes,
+            NanoCpus: config.cpus ? Math.floor(config.cpus * 1e9) : undefined,
+            PidsLimit: config.pidsLimit,
+            CapDrop: ['ALL'],
+            SecurityOpt: ['no-new-privileges']
+        }
+    });
+    await container.start();
+    return {
+        containerId: container.id,
+        async exec(command, timeoutMs = DEFAULT_COMMAND_TIMEOUT_MS) {
+            // exec has no kill, so the command is killed from inside: coreutils timeout signals its whole
+            // process group. Images without `timeout` run it bare and it lives until the container goes.
+            const seconds = Math.max(1, Math.ceil(timeoutMs / 1000));
+            const exec = await container.exec({
+                Cmd: ['sh', '-c', `if command -v timeout >/dev/null 2>&1; then exec timeout -s KILL ${seconds} sh -c "$1"; else exec sh -c "$1"; fi`, 'sh', command],
+                AttachStdout: true,
+                AttachStderr: true,
+                WorkingDir: worktree
+            });
+            const stream = await exec.start({ hijack: true, stdin: false });
+            let output = '';
+            const collect = new PassThrough();
+            collect.on('data', chunk => {
+                if (output.length < MAX_OUTPUT_CHARS)
+                    output += chunk.toString();
+            });
+            docker.modem.demuxStream(stream, collect, collect);
+            const finished = new Promise(done => {
+                stream.on('end', () => done(true));
+                stream.on('error', () => done(true));
+            });
+            const started = Date.now();
+            let timer;
+            const timedOut = new Promise(done => { timer = setTimeout(() => done(false), timeoutMs + KILL_GRACE_MS); });
+            const completed = await Promise.race([finished, timedOut]);
+            clearTimeout(timer);
+            if (output.length >= MAX_OUTPUT_CHARS)
+                output = output.slice(0, MAX_OUTPUT_CHARS) + '\n[output truncated]';
+            if (!completed) {
+                stream.destroy(); // not killed inside the container, see above
+                return { exitCode: null, output, timedOut: true };
+            }
+            const { ExitCode } = await exec.inspect();
+            // timeout -s KILL exits 137 once it had to kill the command
+            if (ExitCode === 137 && Date.now() - started >= timeoutMs)
+                return { exitCode: null, output, timedOut: true };
+            return { exitCode: ExitCode ?? null, output, timedOut: false };
+        },
+        async close() {
+            await container.stop({ t: 0 }).catch(() => undefined); // AutoRemove deletes it once stopped
+        }
+    };
+}
+// Stops the sandbox containers of a session, or of one of its scenarios. Scenarios exit
+// without cleaning up (or get killed), so the mother does this once they're gone.
+export async function removeSandboxes(sessionId, scenarioId) {
+    const labels = [`deebo.session=${sessionId}`];
+    if (scenarioId)
+        labels.push(`deebo.scenario=${scenarioId}`);
+    const docker = new Docker();
+    const containers = await docker.listContainers({ filters: { label: labels } });
+    for (const info of containers) {
+        await docker.getContainer(info.Id).stop({ t: 0 }).catch(() => undefined);
+    }
+    return containers.length;
+}
+// Prompt note so the agent knows what it's working with
+export function describeSandbox(config) {
+    return `\n\nSANDBOX:
+execute_command runs inside a ${config.image} Docker container, not on the host. Your worktree is mounted at the same path${config.network === 'none' ? ' and the container has no network access, so installing packages or fetching anything will fail' : ''}.
+Commands run to completion (or time out and are killed) and return their full output; ${HOST_PROCESS_TOOLS.join(', ')} are not available.
+The repo's git data is read-only in the container: git status, diff and log work there, but stage and commit with the git tools, not with git in execute_command.`;
+}
@@ -4,3 +4,7 @@ export function getProjectId(repoPath) {
     const hash = createHash('sha256').update(repoPath).digest('hex');
     return hash.slice(0, 12); // use first 12 characters
 }
+// Session ids, scenario ids and agent names coming from clients end up in file paths, only plain names get through
+export function isSafePathSegment(name) {
+    return /^[A-Za-z0-9._-]+$/.test(name) && !name.includes('..');
+}
@@ -0,0 +1,45 @@
+// src/util/scenario-pool.ts
+import pLimit from 'p-limit';
+// Used when neither the session budget nor SCENARIO_CONCURRENCY says otherwise
+export const DEFAULT_SCENARIO_CONCURRENCY = 3;
+export function getScenarioConcurrency(maxConcurrentScenarios) {
+    if (maxConcurrentScenarios)
+        return maxConcurrentScenarios;
+    const fromEnv = parseInt(process.env.SCENARIO_CONCURRENCY ?? '', 10);
+    return fromEnv > 0 ? fromEnv : DEFAULT_SCENARIO_CONCURRENCY;
+}
+/**
+ * One pool per session, shared across turns, so the number of scenario processes
+ * (each with its own MCP servers and LLM stream) stays bounded however many
+ * hypotheses the mother emits.
+ */
+export function createScenarioPool(concurrency) {
+    const limit = pLimit(concurrency);
+    const queued = new Set();
+    const dropped = new Map(); // scenario id -> reason
+    return {
+        submit(scenarioId, run, onDropped) {
+            queued.add(scenarioId);
+            return limit(async () => {
+                queued.delete(scenarioId);
+                const reason = dropped.get(scenarioId);
+                return reason !== undefined ? onDropped(reason) : run();
+            });
+        },
+        dropQueued(reason, ids) {
+            const dropping = [...queued].filter(id => !dropped.has(id) && (!ids || ids.includes(id)));
+            for (const id of dropping)
+                dropped.set(id, reason);
+            return dropping;
+        },
+        get queuedIds() {
+            return [...queued].filter(id => !dropped.has(id));
+        },
+        get runningCount() {
+            return limit.activeCount;
+        },
+        get queuedCount() {
+            return [...queued].filter(id => !dropped.has(id)).length;
+        }
+    };
+}
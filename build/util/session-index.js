@@ -0,0 +1,198 @@
+// src/util/session-index.ts
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { join, basename, dirname } from 'path';
+import { DEEBO_ROOT } from './paths.js';
+import { listSessionDirs, readSessionMeta } from './sessions.js';
+import { getSessionStatus } from './session-status.js';
+// memory-bank/<projectId>/session-index.json
+const INDEX_FILE = 'session-index.json';
+const SIGNATURE_LENGTH = 200;
+const ERROR_LENGTH = 1000;
+const FIX_LENGTH = 1500;
+const CONCLUSION_LENGTH = 300;
+const DEFAULT_MATCHES = 3;
+const MIN_MATCHED_TERMS = 2; // one shared word ("undefined", "null") says nothing about two bugs
+// BM25 parameters, the usual defaults
+const K1 = 1.2;
+const B = 0.75;
+const STOPWORDS = new Set(['the', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by', 'from',
+    'is', 'are', 'was', 'be', 'it', 'this', 'that', 'not', 'as', 'but', 'if', 'when', 'then']);
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
+/**
+ * The part of an error that stays the same between occurrences: `Cannot read properties of
+ * undefined (reading 'id') at /app/src/x.ts:12:5` and the same error elsewhere match.
+ */
+export function getErrorSignature(error) {
+    const firstLine = error.trim().split('\n').find(line => line.trim()) ?? '';
+    return truncate(firstLine
+        .replace(/(^|[\s(])(?:[A-Za-z]:)?[\\/][^\s:'"()]+/g, '$1<path>')
+        .replace(/(['"`])[^'"`]*\1/g, '$1…$1')
+        .replace(/\b0x[0-9a-f]+\b/gi, '<hex>')
+        .replace(/\d+/g, '<n>')
+        .replace(/\s+/g, ' ')
+        .trim(), SIGNATURE_LENGTH);
+}
+// Words of a text; camelCase and snake_case identifiers are split so `getUserById` meets `user id`
+function tokenize(text) {
+    return text
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => token.length > 1 && !/^\d+$/.test(token) && !STOPWORDS.has(token));
+}
+function indexPath(projectId) {
+    return join(DEEBO_ROOT, 'memory-bank', projectId, INDEX_FILE);
+}
+/**
+ * The index entry for a finished session, from its metadata, reports and mother log.
+ * `solution` overrides what the log says (the mother records before the log is final).
+ * Null for sessions from before the registry, they don't know their error.
+ */
+export async function buildIndexEntry(sessionId, sessionDir, solution) {
+    const meta = await readSessionMeta(sessionDir);
+    if (!meta)
+        return null;
+    const status = await getSessionStatus(sessionId, sessionDir, new Set());
+    return {
+        sessionId,
+        startedAt: meta.startedAt,
+        recordedAt: new Date().toISOString(),
+        errorSignature: getErrorSignature(meta.startArgs.error),
+        error: truncate(meta.startArgs.error.trim(), ERROR_LENGTH),
+        language: meta.startArgs.language,
+        filePath: meta.startArgs.filePath,
+        outcome: meta.state !== 'running' ? meta.state : status.status,
+        hypotheses: status.scenarios
+            .filter(scenario => scenario.state === 'reported')
+            .map(scenario => ({
+            hypothesis: scenario.hypothesis,
+            confirmed: scenario.confirmed,
+            confidence: scenario.confidence,
+            conclusion: scenario.conclusion ? truncate(scenario.conclusion, CONCLUSION_LENGTH) : null
+        })),
+        fix: (solution ?? status.solution) ? truncate((solution ?? status.solution), FIX_LENGTH) : null,
+        winningScenarioId: meta.winningScenarioId
+    };
+}
+// Projects that had sessions before the index existed get one built from their session directories
+async function rebuildSessionIndex(projectId) {
+    const index = { entries: [] };
+    for (const { sessionId, sessionDir } of await listSessionDirs()) {
+        if (basename(dirname(dirname(sessionDir))) !== projectId)
+            continue;
+        const meta = await readSessionMeta(sessionDir);
+        if (!meta || meta.state === 'running')
+            continue;
+        const entry = await buildIndexEntry(sessionId, sessionDir).catch(() => null);
+        if (entry)
+            index.entries.push(entry);
+    }
+    await saveSessionIndex(projectId, index);
+    return index;
+}
+async function loadSessionIndex(projectId) {
+    try {
+        return JSON.parse(await readFile(indexPath(projectId), 'utf8'));
+    }
+    catch (err) {
+        if (err.code === 'ENOENT')
+            return rebuildSessionIndex(projectId);
+        return { entries: [] }; // unreadable, the next recorded session starts it over
+    }
+}
+async function saveSessionIndex(projectId, index) {
+    await mkdir(dirname(indexPath(projectId)), { recursive: true });
+    await writeFile(indexPath(projectId), JSON.stringify(index, null, 2), 'utf8');
+}
+// Sessions of a project finish independently, their read-modify-write cycles go one at a time
+const pendingWrites = new Map();
+export function recordSession(projectId, sessionId, sessionDir, solution) {
+    const previous = pendingWrites.get(projectId) ?? Promise.resolve();
+    const next = previous.catch(() => undefined).then(async () => {
+        const entry = await buildIndexEntry(sessionId, sessionDir, solution);
+        if (!entry)
+            return;
+        const index = await loadSessionIndex(projectId);
+        index.entries = [...index.entries.filter(e => e.sessionId !== sessionId), entry];
+        await saveSessionIndex(projectId, index);
+    });
+    pendingWrites.set(projectId, next);
+    return next;
+}
+// Every recorded session of a project, oldest first
+export async function listIndexedSessions(projectId) {
+    return (await loadSessionIndex(projectId)).entries;
+}
+// What a past session is matched on: the error first of all, then what was tried and what fixed it
+function entryText(entry) {
+    return [
+        entry.errorSignature,
+        entry.error,
+        entry.filePath,
+        ...entry.hypotheses.map(h => `${h.hypothesis} ${h.conclusion ?? ''}`),
+        entry.fix ?? ''
+    ].join('\n');
+}
+/**
+ * The project's past sessions most similar to `error`, best first, ranked with BM25 over a
+ * keyword index built on the fly. Local and offline; the index is a few hundred entries at most.
+ */
+export async function findSimilarSessions(projectId, error, options = {}) {
+    const entries = (await loadSessionIndex(projectId)).entries
+        .filter(entry => !options.exclude?.includes(entry.sessionId));
+    const queryTerms = [...new Set(tokenize(error))];
+    if (!entries.length || !queryTerms.length)
+        return [];
+    const docs = entries.map(entry => {
+        const tokens = tokenize(entryText(entry));
+        const counts = new Map();
+        for (const token of tokens)
+            counts.set(token, (counts.get(token) ?? 0) + 1);
+        return { entry, counts, length: tokens.length };
+    });
+    const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / docs.length || 1;
+    const documentFrequency = (term) => docs.filter(doc => doc.counts.has(term)).length;
+    const idf = new Map(queryTerms.map(term => {
+        const df = documentFrequency(term);
+        return [term, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))];
+    }));
+    const signature = getErrorSignature(error);
+    const results = [];
+    for (const doc of docs) {
+        let score = 0;
+        let matched = 0;
+        for (const term of queryTerms) {
+            const tf = doc.counts.get(term);
+            if (!tf)
+                continue;
+            matched++;
+            score += idf.get(term) * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / averageLength));
+        }
+        if (doc.entry.errorSignature === signature)
+            score *= 2; // the same error again
+        else if (matched < Math.min(MIN_MATCHED_TERMS, queryTerms.length))
+            continue;
+        if (score > 0)
+            results.push({ entry: doc.entry, score });
+    }
+    return results.sort((a, b) => b.score - a.score).slice(0, options.limit ?? DEFAULT_MATCHES);
+}
+// For the mother's first message
+export function describeSimilarSessions(matches) {
+    const sections = matches.map(({ entry }, i) => {
+        const lines = [`${i + 1}. ${entry.sessionId} (${entry.outcome}, ${entry.startedAt.slice(0, 10)}): ${entry.errorSignature}`];
+        if (entry.filePath)
+            lines.push(`   File: ${entry.filePath}`);
+        if (entry.hypotheses.length) {
+            lines.push('   Tried:');
+            for (const h of entry.hypotheses) {
+                lines.push(`   - [${h.confirmed}${h.confidence ? `, ${h.confidence}` : ''}] ${h.hypothesis}${h.conclusion ? ` => ${h.conclusion}` : ''}`);
+            }
+        }
+        lines.push(entry.fix ? `   Fix: ${entry.fix.replace(/\n/g, '\n   ')}` : '   No fix was found.');
+        return lines.join('\n');
+    });
+    return `SIMILAR PAST BUGS IN THIS PROJECT (most similar first):\n${sections.join('\n\n')}\nThey may or may not be the same bug. Use what applies, and don't re-test hypotheses these sessions already ruled out for the same cause.`;
+}
@@ -0,0 +1,474 @@
+// src/util/session-status.ts
+import { readFile, readdir } from 'fs/promises';
+import { join } from 'path';
+import * as path from 'path';
+import { DEEBO_ROOT } from './paths.js';
+import { readSessionMeta, liveScenarioPids } from './sessions.js';
+import { isScenarioReport } from './reports.js';
+import { BUDGET_EXHAUSTED_PREFIX } from './budget.js';
+import { getSolutionPatchPath, hasSolutionPatch } from './solution.js';
+import { emptyUsage, addUsage, sumUsage, formatUsage, USAGE_LOG_MESSAGE } from './usage.js';
+import { getAuditSummary } from './policy.js';
+const SCENARIO_PID_PATTERN = /(?:Spawned|Removed|Terminated|Cancelled) Scenario .* PID (\d+)/;
+export function parseLines(raw) {
+    const events = [];
+    for (const line of raw.split('\n').filter(Boolean)) {
+        try {
+            events.push(JSON.parse(line));
+        }
+        catch {
+            continue;
+        }
+    }
+    return events;
+}
+function secondsBetween(from, to) {
+    return Math.max(0, Math.floor((to - new Date(from).getTime()) / 1000));
+}
+function summarizeReport(report) {
+    if (isScenarioReport(report)) {
+        return {
+            confirmed: report.confirmed,
+            reportStatus: report.status,
+            confidence: report.confidence,
+            evidence: report.evidence,
+            conclusion: report.conclusion,
+            filesChanged: report.filesChanged,
+            repro: report.repro?.outcome ?? null
+        };
+    }
+    return summarizeLegacyReport(report);
+}
+// Pulls CONFIRMED and INVESTIGATION out of a free-text report from older sessions
+function summarizeLegacyReport(report) {
+    const reportStr = typeof report === 'string' ? report : JSON.stringify(report, null, 2);
+    const lines = reportStr.split('\n');
+    let confirmedText = '';
+    const investigation = [];
+    let inInvestigation = false;
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        if (line.startsWith('CONFIRMED:')) {
+            confirmedText = line.split(':')[1].trim().toLowerCase();
+        }
+        if (line === 'INVESTIGATION:') {
+            inInvestigation = true;
+            continue;
+        }
+        if (inInvestigation && line && !line.startsWith('CONCLUSION:')) {
+            investigation.push(line);
+        }
+        if (line.startsWith('CONCLUSION:')) {
+            break;
+        }
+    }
+    const confirmed = confirmedText.startsWith('yes') ? 'yes'
+        : confirmedText.startsWith('no') ? 'no'
+            : confirmedText.startsWith('partial') ? 'partial'
+                : 'unknown';
+    return { confirmed, reportStatus: null, confidence: null, evidence: investigation, conclusion: null, filesChanged: [], repro: null };
+}
+/**
+ * Builds the session state from the logs and reports on disk.
+ * `terminatedPids` is shared with the cancel tool and gets updated from the mother log.
+ */
+export async function getSessionStatus(sessionId, sessionDir, terminatedPids) {
+    const logsDir = join(sessionDir, 'logs');
+    const reportsDir = join(sessionDir, 'reports');
+    const motherLogPath = join(logsDir, 'mother.log');
+    const normalizedPath = sessionDir.split(path.sep).join('/'); // Normalize to forward slashes
+    const projectId = normalizedPath.split('/memory-bank/')[1].split('/')[0];
+    const state = {
+        sessionId,
+        status: 'initializing',
+        startedAt: null,
+        durationSeconds: 0,
+        mother: { status: 'initializing', stage: null, lastMessage: null, lastActivityAt: null, orphanedPids: [], usage: emptyUsage() },
+        usage: emptyUsage(),
+        budgetExhausted: null,
+        llmError: null,
+        policy: await getAuditSummary(sessionDir),
+        repro: null,
+        uncommittedFiles: [],
+        solution: null,
+        scenarios: [],
+        paths: {
+            sessionDir: path.resolve(sessionDir),
+            motherLog: path.resolve(motherLogPath),
+            reportsDir: path.resolve(reportsDir),
+            progress: path.resolve(join(DEEBO_ROOT, 'memory-bank', projectId, 'progress.md')),
+            solutionPatch: null
+        }
+    };
+    let motherEvents;
+    try {
+        motherEvents = parseLines(await readFile(motherLogPath, 'utf8'));
+    }
+    catch {
+        motherEvents = [];
+    }
+    if (!motherEvents.length)
+        return state;
+    const now = Date.now();
+    state.startedAt = motherEvents[0].timestamp;
+    state.durationSeconds = secondsBetween(motherEvents[0].timestamp, now);
+    // A resumed session starts over at its last 'Session resumed' entry, earlier outcomes no longer apply
+    const resumedAt = motherEvents.map(e => e.message).lastIndexOf('Session resumed');
+    const currentRun = resumedAt >= 0 ? motherEvents.slice(resumedAt) : motherEvents;
+    // Scenarios of an earlier run that never reported are gone for good
+    const earlierRunScenarios = new Set(motherEvents.slice(0, Math.max(resumedAt, 0))
+        .map(e => (e.message || '').match(/^(?:Queued|Spawned) Scenario (\S+)/)?.[1])
+        .filter(Boolean));
+    // Determine status by scanning for solution tag, cancellation, or errors (newest first)
+    let status = 'in_progress';
+    let lastValidEvent = null;
+    for (const event of [...currentRun].reverse()) {
+        if (!lastValidEvent && event.message !== USAGE_LOG_MESSAGE)
+            lastValidEvent = event; // usage entries follow every call, they say nothing
+        const content = event.data?.response || event.message || '';
+        // Check for process spawn and termination with comprehensive pattern
+        const pidMatch = typeof content === 'string' ? content.match(SCENARIO_PID_PATTERN) : null;
+        if (pidMatch && content.match(/(Removed|Terminated|Cancelled)/)) {
+            terminatedPids.add(parseInt(pidMatch[1]));
+        }
+        if (typeof content !== 'string')
+            continue;
+        // Check for session cancellation
+        if (content.includes('Session cancelled by user request')) {
+            status = 'cancelled';
+            break;
+        }
+        // Check for solution tag
+        const solutionMatch = content.match(/<solution>\s*([\s\S]*?)\s*<\/solution>/);
+        if (solutionMatch && solutionMatch[1].trim()) {
+            status = 'completed';
+            state.solution = solutionMatch[1].trim();
+            break;
+        }
+        // Completion message - keep searching for the actual solution content
+        if (content === 'Solution found or investigation concluded.') {
+            status = 'completed';
+            continue;
+        }
+        // Only mark as failed if we haven't found a solution
+        if (event.level === 'error' && status !== 'completed') {
+            status = 'failed';
+        }
+    }
+    // If status is still 'in_progress' after scan, check the last valid event's level
+    if (status === 'in_progress' && lastValidEvent?.level === 'error') {
+        status = 'failed';
+    }
+    // The on-disk registry knows about sessions whose server died mid-run
+    const sessionMeta = await readSessionMeta(sessionDir);
+    if (sessionMeta?.startArgs.reproCommand) {
+        state.repro = {
+            command: sessionMeta.startArgs.reproCommand,
+            expectedFailure: sessionMeta.startArgs.expectedFailure ?? null,
+            baseline: sessionMeta.reproBaseline?.outcome ?? null
+        };
+    }
+    state.uncommittedFiles = sessionMeta?.uncommittedFiles ?? [];
+    // The log has a <solution> either way, only the registry knows no passing repro backed it
+    if (sessionMeta?.state === 'unverified')
+        status = 'unverified';
+    if (sessionMeta?.state === 'orphaned') {
+        state.mother.orphanedPids = await liveScenarioPids(sessionMeta);
+        if (status === 'in_progress')
+            status = 'orphaned';
+    }
+    state.status = status;
+    if (await hasSolutionPatch(sessionDir))
+        state.paths.solutionPatch = path.resolve(getSolutionPatchPath(sessionDir));
+    state.mother.status = status === 'in_progress' ? 'working' : status;
+    state.mother.lastActivityAt = lastValidEvent?.timestamp ?? null;
+    state.mother.lastMessage = lastValidEvent ? (lastValidEvent.message || JSON.stringify(lastValidEvent.data)) : null;
+    const stageEvent = [...motherEvents].reverse().find(e => typeof e.message === 'string' && e.message.startsWith('OODA:'));
+    state.mother.stage = stageEvent ? stageEvent.message.replace('OODA:', '').trim() : null;
+    const budgetEvent = currentRun.find(e => typeof e.message === 'string' && e.message.startsWith(BUDGET_EXHAUSTED_PREFIX));
+    state.budgetExhausted = budgetEvent ? budgetEvent.message.slice(BUDGET_EXHAUSTED_PREFIX.length).trim() : null;
+    if (status === 'failed') {
+        const llmErrorEvent = [...currentRun].reverse().find(e => e.level === 'error' && e.data?.llmError);
+        state.llmError = llmErrorEvent ? llmErrorEvent.message.replace(/^Mother agent failed: /, '') : null;
+    }
+    state.mother.usage = sumUsage(motherEvents);
+    addUsage(state.usage, state.mother.usage);
+    // Map scenario ids to PIDs from the spawn messages, and collect the ones waiting in (or dropped from) the pool's queue
+    const pidMapping = new Map();
+    const queued = new Map();
+    const dropped = new Map(); // scenario id -> reason
+    for (const event of motherEvents) {
+        const message = event.message || '';
+        const matches = message.match(/Spawned Scenario ([^ ]+) with PID (\d+)/);
+        if (matches)
+            pidMapping.set(matches[1], parseInt(matches[2]));
+        const queuedMatch = message.match(/^Queued Scenario (\S+)/);
+        if (queuedMatch)
+            queued.set(queuedMatch[1], { hypothesis: event.data?.hypothesis ?? 'Unknown hypothesis', queuedAt: event.timestamp });
+        const droppedMatch = message.match(/^Dropped Scenario (\S+): (.*)/);
+        if (droppedMatch)
+            dropped.set(droppedMatch[1], droppedMatch[2]);
+    }
+    let logFiles = [];
+    let reportFiles = [];
+    try {
+        logFiles = await readdir(logsDir);
+    }
+    catch { /* no logs yet */ }
+    try {
+        reportFiles = (await readdir(reportsDir)).filter(f => f.endsWith('.json'));
+    }
+    catch { /* no reports yet */ }
+    const scenarioIds = new Set([
+        ...reportFiles.map(f => f.replace('.json', '')),
+        ...logFiles.filter(f => f.startsWith('scenario-')).map(f => f.replace('scenario-', '').replace('.log', ''))
+    ]);
+    for (const scenarioId of scenarioIds) {
+        const logPath = join(logsDir, `scenario-${scenarioId}.log`);
+        let scenarioEvents;
+        try {
+            scenarioEvents = parseLines(await readFile(logPath, 'utf8'));
+        }
+        catch {
+            continue; // Skip if log file doesn't exist
+        }
+        if (!scenarioEvents.length)
+            continue;
+        const hypothesis = scenarioEvents.find(e => e.data?.hypothesis)?.data.hypothesis ?? 'Unknown hypothesis';
+        const firstEvent = scenarioEvents[0];
+        const lastEvent = scenarioEvents[scenarioEvents.length - 1];
+        const lastActivity = [...scenarioEvents].reverse().find(e => e.message !== USAGE_LOG_MESSAGE) ?? lastEvent;
+        const hasReport = reportFiles.includes(`${scenarioId}.json`);
+        const scenario = {
+            id: scenarioId,
+            hypothesis,
+            state: 'running',
+            // Reported scenarios ran until their report, the rest are still counting
+            runtimeSeconds: hasReport
+                ? secondsBetween(firstEvent.timestamp, new Date(lastEvent.timestamp).getTime())
+                : secondsBetween(firstEvent.timestamp, now),
+            confirmed: 'unknown',
+            reportStatus: null,
+            confidence: null,
+            evidence: [],
+            conclusion: null,
+            filesChanged: [],
+            repro: null,
+            latestActivity: lastActivity.message ?? null,
+            usage: sumUsage(scenarioEvents),
+            logPath: path.resolve(logPath),
+            reportPath: hasReport ? path.resolve(join(reportsDir, `${scenarioId}.json`)) : null
+        };
+        if (hasReport) {
+            scenario.state = 'reported';
+            try {
+                const report = JSON.parse(await readFile(join(reportsDir, `${scenarioId}.json`), 'utf8'));
+                Object.assign(scenario, summarizeReport(report));
+            }
+            catch {
+                // unreadable report, leave the outcome unknown
+            }
+        }
+        else if (status === 'completed' || status === 'unverified') {
+            scenario.state = 'crashed';
+        }
+        else if (earlierRunScenarios.has(scenarioId)) {
+            scenario.state = 'terminated';
+        }
+        else {
+            const pid = pidMapping.get(scenarioId);
+            scenario.state = pid && terminatedPids.has(pid) ? 'terminated' : 'running';
+        }
+        addUsage(state.usage, scenario.usage);
+        state.scenarios.push(scenario);
+    }
+    // Queued scenarios have no log yet; once the session is over they never will
+    for (const [scenarioId, entry] of queued) {
+        if (scenarioIds.has(scenarioId))
+            continue;
+        const dropReason = dropped.get(scenarioId)
+            ?? (status === 'in_progress' && !earlierRunScenarios.has(scenarioId) ? null : 'session ended before it ran');
+        state.scenarios.push({
+            id: scenarioId,
+            hypothesis: entry.hypothesis,
+            state: dropReason ? 'dropped' : 'queued',
+            runtimeSeconds: 0,
+            confirmed: 'unknown',
+            reportStatus: null,
+            confidence: null,
+            evidence: [],
+            conclusion: null,
+            filesChanged: [],
+            repro: null,
+            latestActivity: dropReason ? `Dropped: ${dropReason}` : `Waiting for a free scenario slot since ${entry.queuedAt}`,
+            usage: emptyUsage(),
+            logPath: path.resolve(join(logsDir, `scenario-${scenarioId}.log`)),
+            reportPath: null
+        });
+    }
+    return state;
+}
+export function formatDuration(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes > 0
+        ? `${minutes} minute${minutes > 1 ? 's' : ''} ${seconds} second${seconds !== 1 ? 's' : ''}`
+        : `${totalSeconds} second${totalSeconds !== 1 ? 's' : ''}`;
+}
+function formatRuntime(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+}
+// Renders the human-readable pulse from the session state
+export function formatPulse(state) {
+    if (state.status === 'initializing')
+        return 'Session initializing';
+    let pulse = `=== Deebo Session Pulse: ${state.sessionId} ===\n`;
+    const now = new Date();
+    const formattedDate = now.toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric'
+    });
+    const formattedTime = now.toLocaleTimeString('en-US', {
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: true
+    }).toLowerCase();
+    pulse += `${formattedDate} | ${formattedTime}\n`;
+    pulse += `Overall Status: ${state.status}\n`;
+    pulse += `Session Duration: ${formatDuration(state.durationSeconds)}\n`;
+    pulse += `LLM Usage: ${formatUsage(state.usage)}\n`;
+    pulse += `Policy: ${state.policy.toolCalls} tool call(s), ${state.policy.denied} blocked\n`;
+    for (const [rule, count] of Object.entries(state.policy.byRule)) {
+        pulse += `  ${rule}: ${count}x\n`;
+    }
+    if (state.repro) {
+        pulse += `Repro: ${state.repro.command} (base commit: ${state.repro.baseline ?? 'not run yet'})\n`;
+    }
+    if (state.uncommittedFiles.length) {
+        pulse += `Started from uncommitted changes in ${state.uncommittedFiles.length} file(s), included in every scenario's worktree: ${state.uncommittedFiles.join(', ')}\n`;
+    }
+    pulse += `\n`;
+    pulse += `--- Mother Agent ---\n`;
+    pulse += `Status: ${state.mother.status}\n`;
+    const lastActivityStr = state.mother.lastActivityAt
+        ? `${formatDuration(secondsBetween(state.mother.lastActivityAt, Date.now()))} ago`
+        : 'N/A';
+    pulse += `Last Activity: ${lastActivityStr}\n`;
+    pulse += `LLM Usage: ${formatUsage(state.mother.usage)}\n`;
+    if (state.status === 'orphaned') {
+        const pids = state.mother.orphanedPids;
+        pulse += `The Deebo server restarted while this session was running, so the mother agent is gone.\n`;
+        pulse += pids.length
+            ? `${pids.length} stale scenario process(es) still running (PIDs ${pids.join(', ')}). Call cancel on this session to kill them.\n`
+            : `No scenario processes are left running.\n`;
+    }
+    pulse += `${state.paths.motherLog}\n`;
+    if (state.budgetExhausted) {
+        pulse += `Stopped early: ${state.budgetExhausted}. The solution below is a best-effort summary.\n`;
+    }
+    if (state.llmError) {
+        pulse += `LLM provider error: ${state.llmError}\n`;
+    }
+    if (state.status === 'unverified') {
+        pulse += `UNVERIFIED: no scenario's branch made the repro command pass, so this is the mother's best conclusion, not a confirmed fix.\n`;
+        pulse += `<<<<<<< CONCLUSION (UNVERIFIED)\n`;
+        pulse += (state.solution ?? 'No conclusion found, check the mother.log file.') + '\n';
+        pulse += `======= CONCLUSION END >>>>>>>\n\n`;
+    }
+    else if (state.status === 'completed') {
+        if (state.solution) {
+            pulse += `<<<<<<< SOLUTION\n`;
+            pulse += state.solution + '\n';
+            pulse += `======= SOLUTION END >>>>>>>\n`;
+            if (state.paths.solutionPatch) {
+                pulse += `Patch: ${state.paths.solutionPatch}\n`;
+                pulse += `Use apply_solution to check it against your working tree, apply it, or open it as a branch.\n`;
+            }
+            pulse += `\n`;
+        }
+        else {
+            pulse += `STATUS COMPLETE BUT SOLUTION CONTENT NOT FOUND\n`;
+            pulse += `Check the mother.log file for more details.\n\n`;
+        }
+    }
+    else if (state.status === 'in_progress' || state.status === 'failed' || state.status === 'orphaned') {
+        // For in-progress, failed or orphaned, show last known stage or last message
+        const lastMessage = state.mother.lastMessage;
+        if (lastMessage === null) {
+            pulse += `Last Stage: No stage information found.\n\n`;
+        }
+        else if (lastMessage.includes('OODA:')) {
+            pulse += `Last Stage: ${lastMessage}\n\n`;
+        }
+        else {
+            pulse += `Last Log Message: ${lastMessage.substring(0, 100)}${lastMessage.length > 100 ? '...' : ''}\n\n`;
+        }
+    }
+    // Reported scenarios first, then the ones still running or gone without a report
+    const reported = state.scenarios.filter(s => s.state === 'reported');
+    const unreported = state.scenarios.filter(s => s.state !== 'reported');
+    for (const scenario of reported) {
+        pulse += `* ${scenario.id} [${formatRuntime(scenario.runtimeSeconds)}]\n`;
+        // Failure reports (timeouts, LLM failures, crashes) say so right away
+        const failed = scenario.reportStatus && scenario.reportStatus !== 'reported';
+        pulse += `  Reported${failed ? ` (${scenario.reportStatus})` : ''}\n`;
+        if (scenario.repro) {
+            pulse += `  Repro on its branch: ${scenario.repro}\n`;
+        }
+        if (state.status !== 'completed' && state.status !== 'unverified') {
+            pulse += `  HYPOTHESIS: ${scenario.hypothesis}\n\n`;
+        }
+        else {
+            pulse += `  <<<<<<< OUTCOME ${scenario.id}\n`;
+            pulse += `  HYPOTHESIS: ${scenario.hypothesis}\n\n`;
+            pulse += `  CONFIRMED: ${scenario.confirmed}${scenario.confidence ? ` (confidence: ${scenario.confidence})` : ''}\n\n`;
+            if (scenario.evidence.length > 0) {
+                pulse += `  INVESTIGATION:\n`;
+                pulse += `  ${scenario.evidence.join('\n  ')}\n`;
+            }
+            if (scenario.conclusion) {
+                pulse += `  CONCLUSION: ${scenario.conclusion}\n`;
+            }
+            if (scenario.filesChanged.length > 0) {
+                pulse += `  FILES CHANGED: ${scenario.filesChanged.join(', ')}\n`;
+            }
+        }
+        pulse += `  LLM Usage: ${formatUsage(scenario.usage)}\n`;
+        pulse += `  ---------------------------------------------------------------------------\n`;
+        pulse += `  ${scenario.reportPath}\n\n`;
+    }
+    const stateLabels = {
+        queued: 'Queued',
+        dropped: 'Dropped',
+        running: 'Investigating...',
+        terminated: 'Terminated',
+        crashed: 'Crashed',
+        reported: 'Reported'
+    };
+    for (const scenario of unreported) {
+        pulse += `* ${scenario.id} [${formatRuntime(scenario.runtimeSeconds)}]\n`;
+        pulse += `  ${stateLabels[scenario.state]}\n`;
+        pulse += `  HYPOTHESIS: ${scenario.hypothesis}\n\n`;
+        pulse += `  Latest Activity: ${scenario.latestActivity}\n`;
+        if (scenario.state === 'queued' || scenario.state === 'dropped') {
+            pulse += `\n`; // never started, so no usage or log yet
+            continue;
+        }
+        pulse += `  LLM Usage: ${formatUsage(scenario.usage)}\n`;
+        pulse += `  ---------------------------------------------------------------------------\n`;
+        pulse += `  ${scenario.logPath}\n\n`;
+    }
+    pulse += `--- End Session Pulse ---\n\n`;
+    if (state.status === 'completed' || state.status === 'unverified' || state.status === 'failed' || state.status === 'orphaned') {
+        pulse += `\n=======================================\n`;
+        pulse += `Not the result you were looking for?\n`;
+        pulse += `Resume this session with a new observation, or fork it to start fresh from what it found!\n`;
+        pulse += `Need a refresher? Ask your agent to read Deebo Guide, or check out the GitHub:\n`;
+        pulse += `https://github.com/snagasuri/deebo-prototype\n`;
+        pulse += `=======================================\n`;
+    }
+    return pulse;
+}
@@ -0,0 +1,202 @@
+// src/util/sessions.ts
+import { readFile, writeFile, readdir, mkdir, access } from 'fs/promises';
+import { join } from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { DEEBO_ROOT } from './paths.js';
+import { getProjectId } from './sanitize.js';
+export function getSessionDir(repoPath, sessionId) {
+    return join(DEEBO_ROOT, 'memory-bank', getProjectId(repoPath), 'sessions', sessionId);
+}
+export async function readSessionMeta(sessionDir) {
+    try {
+        return JSON.parse(await readFile(join(sessionDir, 'session.json'), 'utf8'));
+    }
+    catch {
+        return null; // Sessions started before the registry existed have no metadata
+    }
+}
+export async function writeSessionMeta(meta) {
+    const sessionDir = getSessionDir(meta.repoPath, meta.sessionId);
+    await mkdir(sessionDir, { recursive: true });
+    await writeFile(join(sessionDir, 'session.json'), JSON.stringify(meta, null, 2), 'utf8');
+}
+// Read-modify-write updates are chained per session so concurrent scenario
+// spawns/exits in this process can't clobber each other's PID changes
+const pendingUpdates = new Map();
+export function updateSessionMeta(repoPath, sessionId, update) {
+    const previous = pendingUpdates.get(sessionId) ?? Promise.resolve();
+    const next = previous.catch(() => undefined).then(async () => {
+        const meta = await readSessionMeta(getSessionDir(repoPath, sessionId));
+        if (!meta)
+            return null;
+        update(meta);
+        meta.updatedAt = new Date().toISOString();
+        await writeSessionMeta(meta);
+        return meta;
+    });
+    pendingUpdates.set(sessionId, next);
+    next.finally(() => {
+        if (pendingUpdates.get(sessionId) === next)
+            pendingUpdates.delete(sessionId);
+    }).catch(() => undefined);
+    return next;
+}
+export function setSessionState(repoPath, sessionId, state) {
+    return updateSessionMeta(repoPath, sessionId, meta => {
+        meta.state = state;
+        if (state !== 'running')
+            meta.endedAt = new Date().toISOString();
+    });
+}
+export async function addScenarioPid(repoPath, sessionId, pid) {
+    const startTime = await getProcessStartTime(pid);
+    return updateSessionMeta(repoPath, sessionId, meta => {
+        if (!meta.scenarioPids.includes(pid))
+            meta.scenarioPids.push(pid);
+        if (startTime)
+            meta.scenarioStartTimes = { ...meta.scenarioStartTimes, [pid]: startTime };
+    });
+}
+export function removeScenarioPid(repoPath, sessionId, pid) {
+    return updateSessionMeta(repoPath, sessionId, meta => {
+        meta.scenarioPids = meta.scenarioPids.filter(p => p !== pid);
+        if (meta.scenarioStartTimes)
+            delete meta.scenarioStartTimes[pid];
+    });
+}
+// Every session directory in the memory bank, across all projects, with or without metadata
+export async function listSessionDirs() {
+    const memoryBank = join(DEEBO_ROOT, 'memory-bank');
+    const dirs = [];
+    let projects;
+    try {
+        projects = await readdir(memoryBank);
+    }
+    catch {
+        return dirs;
+    }
+    for (const project of projects) {
+        let sessionIds;
+        try {
+            sessionIds = await readdir(join(memoryBank, project, 'sessions'));
+        }
+        catch {
+            continue;
+        }
+        for (const sessionId of sessionIds) {
+            dirs.push({ sessionId, sessionDir: join(memoryBank, project, 'sessions', sessionId) });
+        }
+    }
+    return dirs;
+}
+// Helper to find session directory
+export async function findSessionDir(sessionId) {
+    const memoryBank = join(DEEBO_ROOT, 'memory-bank');
+    const projects = await readdir(memoryBank);
+    for (const project of projects) {
+        const sessionPath = join(memoryBank, project, 'sessions', sessionId);
+        try {
+            await access(sessionPath);
+            return sessionPath;
+        }
+        catch {
+            continue;
+        }
+    }
+    return null;
+}
+// Every session with metadata, across all projects in the memory bank
+export async function listSessionMetas() {
+    const metas = [];
+    for (const { sessionDir } of await listSessionDirs()) {
+        const meta = await readSessionMeta(sessionDir);
+        if (meta)
+            metas.push(meta);
+    }
+    return metas;
+}
+export function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    }
+    catch (err) {
+        return err.code === 'EPERM'; // exists, just not ours to signal
+    }
+}
+const execFileAsync = promisify(execFile);
+/**
+ * When a process started, as an opaque string, or null where that can't be read. PIDs are
+ * reused once a process exits or the machine reboots; a PID whose start time changed is
+ * someone else's process. On Linux the boot id is part of it, start ticks restart at boot.
+ */
+export async function getProcessStartTime(pid) {
+    try {
+        if (process.platform === 'linux') {
+            const stat = await readFile(`/proc/${pid}/stat`, 'utf8');
+            // fields after the parenthesised command name; starttime is field 22 of the whole line
+            const startTicks = stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19];
+            const bootId = (await readFile('/proc/sys/kernel/random/boot_id', 'utf8')).trim();
+            return startTicks ? `${bootId}:${startTicks}` : null;
+        }
+        if (process.platform === 'darwin' || process.platform === 'freebsd') {
+            const { stdout } = await execFileAsync('ps', ['-o', 'lstart=', '-p', String(pid)]);
+            return stdout.trim() || null;
+        }
+    }
+    catch {
+        // gone, or no procfs/ps here
+    }
+    return null;
+}
+/**
+ * Whether `pid` is still the process recorded with `startTime`. Without a recorded start
+ * time there is no telling, and the answer is no: such a PID is never signalled.
+ */
+export async function isSameProcess(pid, startTime) {
+    if (!startTime || !isProcessAlive(pid))
+        return false;
+    return (await getProcessStartTime(pid)) === startTime;
+}
+// The session's scenario PIDs that are verifiably still its own scenario processes
+export async function liveScenarioPids(meta) {
+    const live = [];
+    for (const pid of meta.scenarioPids) {
+        if (await isSameProcess(pid, meta.scenarioStartTimes?.[pid]))
+            live.push(pid);
+    }
+    return live;
+}
+// Whether the server that owns a running session is still alive; a session without a recorded
+// start time falls back to the PID alone, which errs on the side of leaving it alone
+export async function isServerAlive(meta) {
+    if (meta.serverStartTime === undefined || meta.serverStartTime === null)
+        return isProcessAlive(meta.serverPid);
+    return isSameProcess(meta.serverPid, meta.serverStartTime);
+}
+/**
+ * Called on server startup. Any session still marked running belongs to a server
+ * process that is gone, so its mother agent is dead. Those sessions are marked
+ * orphaned, keeping only the scenario PIDs that are verifiably still its scenario
+ * processes so they can be reattached to and killed through `cancel`.
+ */
+export async function reconcileSessions() {
+    const orphaned = [];
+    for (const meta of await listSessionMetas()) {
+        if (meta.state !== 'running')
+            continue;
+        if (await isServerAlive(meta))
+            continue; // another live Deebo server owns it (or this one)
+        const live = await liveScenarioPids(meta);
+        const updated = await updateSessionMeta(meta.repoPath, meta.sessionId, m => {
+            m.state = 'orphaned';
+            m.scenarioPids = live;
+            m.scenarioStartTimes = Object.fromEntries(live.map(pid => [pid, m.scenarioStartTimes[pid]]));
+            m.endedAt = new Date().toISOString();
+        });
+        if (updated)
+            orphaned.push(updated);
+    }
+    return orphaned;
+}
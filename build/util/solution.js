@@ -0,0 +1,27 @@
+// src/util/solution.ts
+import { writeFile, access } from 'fs/promises';
+import { join } from 'path';
+import { getBranchDiff } from './branch-manager.js';
+// Lives next to the scenario reports; status code only reads the .json files there
+export const SOLUTION_PATCH_FILE = 'solution.patch';
+export function getSolutionPatchPath(sessionDir) {
+    return join(sessionDir, 'reports', SOLUTION_PATCH_FILE);
+}
+export async function hasSolutionPatch(sessionDir) {
+    return access(getSolutionPatchPath(sessionDir)).then(() => true, () => false);
+}
+/**
+ * Writes the winning scenario's changes to reports/solution.patch. The branch is the
+ * source of truth; the diff in the report only fills in if the branch is gone.
+ * Returns the patch path, or null when the scenario changed nothing.
+ */
+export async function exportSolutionPatch(repoPath, sessionDir, scenarioId, report, baseCommit) {
+    let patch = await getBranchDiff(repoPath, `debug-${scenarioId}`, baseCommit).catch(() => '');
+    if (!patch.trim())
+        patch = report?.diff ?? '';
+    if (!patch.trim())
+        return null;
+    const patchPath = getSolutionPatchPath(sessionDir);
+    await writeFile(patchPath, patch.endsWith('\n') ? patch : patch + '\n', 'utf8');
+    return patchPath;
+}
@@ -0,0 +1,122 @@
+// Native tool names are `<server>__<tool>` since providers only allow [a-zA-Z0-9_-] in names
+const NAME_SEPARATOR = '__';
+/**
+ * MOTHER_TOOL_MODE / SCENARIO_TOOL_MODE pick the tool protocol per agent.
+ * XML stays the default so models without tool support keep working.
+ */
+export function getToolMode(agent) {
+    const value = process.env[agent === 'mother' ? 'MOTHER_TOOL_MODE' : 'SCENARIO_TOOL_MODE'];
+    return value?.trim().toLowerCase() === 'native' ? 'native' : 'xml';
+}
+// Turns every tool of every connected MCP server into a native tool definition
+export async function listToolDefinitions(clients) {
+    const definitions = [];
+    for (const [server, client] of Object.entries(clients)) {
+        const { tools } = await client.listTools();
+        for (const tool of tools) {
+            definitions.push({
+                name: `${server}${NAME_SEPARATOR}${tool.name}`,
+                description: tool.description,
+                parameters: tool.inputSchema
+            });
+        }
+    }
+    return definitions;
+}
+// The prompts document these servers by hand; anything else configured in tools.json is described from its tool list
+const PROMPT_DOCUMENTED_SERVERS = ['git-mcp', 'desktopCommander'];
+/**
+ * Prompt section for the extra MCP servers in XML mode, so the model knows their
+ * server_name, tools and arguments. Empty when only the built-in servers are connected.
+ */
+export async function describeExtraToolServers(clients) {
+    const sections = [];
+    for (const [server, client] of Object.entries(clients)) {
+        if (PROMPT_DOCUMENTED_SERVERS.includes(server))
+            continue;
+        const { tools } = await client.listTools();
+        const lines = tools.map(tool => `- ${tool.name}: ${tool.description ?? 'No description'}\n  Arguments (JSON schema): ${JSON.stringify(tool.inputSchema.properties ?? {})}`);
+        sections.push(`<server_name>${server}</server_name>\n${lines.join('\n')}`);
+    }
+    if (!sections.length)
+        return '';
+    return `\n\nADDITIONAL MCP SERVERS:
+These servers are also available through <use_mcp_tool> with the server_name shown:
+
+${sections.join('\n\n')}`;
+}
+export function parseXmlToolCalls(text) {
+    const blocks = text.match(/<use_mcp_tool>[\s\S]*?<\/use_mcp_tool>/g) || [];
+    return blocks.map(raw => {
+        try {
+            const serverNameMatch = raw.match(/<server_name>(.*?)<\/server_name>/);
+            if (!serverNameMatch || !serverNameMatch[1])
+                throw new Error('Missing server_name');
+            const toolMatch = raw.match(/<tool_name>(.*?)<\/tool_name>/);
+            if (!toolMatch || !toolMatch[1])
+                throw new Error('Missing tool_name');
+            const argsMatch = raw.match(/<arguments>([\s\S]*?)<\/arguments>/); // Use [\s\S]*? for multiline args
+            if (!argsMatch || !argsMatch[1] || !argsMatch[1].trim())
+                throw new Error('Missing arguments block');
+            return {
+                server: serverNameMatch[1].trim(),
+                tool: toolMatch[1].trim(),
+                args: JSON.parse(argsMatch[1].trim())
+            };
+        }
+        catch (err) {
+            return { error: err instanceof Error ? err.message : String(err), raw };
+        }
+    });
+}
+export function parseNativeToolCalls(calls) {
+    return calls.map(call => {
+        const raw = `${call.name}(${call.arguments})`;
+        const separator = call.name.indexOf(NAME_SEPARATOR);
+        if (separator <= 0) {
+            return { error: `Unknown tool '${call.name}', expected <server>${NAME_SEPARATOR}<tool>`, raw, id: call.id };
+        }
+        try {
+            return {
+                server: call.name.slice(0, separator),
+                tool: call.name.slice(separator + NAME_SEPARATOR.length),
+                args: JSON.parse(call.arguments || '{}'),
+                id: call.id
+            };
+        }
+        catch (err) {
+            return { error: `Malformed JSON arguments: ${err instanceof Error ? err.message : String(err)}`, raw, id: call.id };
+        }
+    });
+}
+// Native calls win; XML is still honoured in native mode for models that fall back to the prompt's format
+export function extractToolCalls(response, mode) {
+    if (mode === 'native' && response.toolCalls.length > 0) {
+        return parseNativeToolCalls(response.toolCalls);
+    }
+    return parseXmlToolCalls(response.text);
+}
+// The assistant turn as it goes into the history, native tool calls included
+export function assistantMessage(response) {
+    if (!response.toolCalls.length) {
+        return { role: 'assistant', content: response.text };
+    }
+    return {
+        role: 'assistant',
+        content: response.text || null,
+        tool_calls: response.toolCalls.map(tc => ({
+            id: tc.id,
+            type: 'function',
+            function: { name: tc.name, arguments: tc.arguments }
+        }))
+    };
+}
+// Every native call needs a matching `tool` message (errors included), XML results are plain user turns
+export function toolResultMessage(call, content) {
+    return call.id
+        ? { role: 'tool', tool_call_id: call.id, content }
+        : { role: 'user', content };
+}
+export const NATIVE_TOOL_NOTE = `NATIVE TOOL CALLING:
+Call tools through the native tool-calling interface. Each tool is named <server>__<tool>, e.g. git-mcp__git_status.
+The XML examples below only document which tools exist and what arguments they take.`;
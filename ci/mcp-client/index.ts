@@ -1,6 +1,7 @@
 // ci/mcp-client/index.ts
 import { Client } from "@modelcontextprotocol/sdk/client/index.js";
 import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { SSEClientTransport } from "@modelcontextprotocol/sdk/client/sse.js";
 import OpenAI from "openai";
 import dotenv from "dotenv";
 import path from 'path';
@@ -21,7 +22,7 @@ const openrouterClient = new OpenAI({
 
 class MinimalMCPClient {
   private mcp: Client;
-  private transport: StdioClientTransport | null = null;
+  private transport: StdioClientTransport | SSEClientTransport | null = null;
   private connected: boolean = false; // Track connection status internally
 
   constructor() {
@@ -88,6 +89,39 @@ class MinimalMCPClient {
     }
   }
 
+  // Attaches to an already running Deebo daemon (`deebo --http`) instead of spawning one
+  async connectToServerUrl(serverUrl: string) {
+    if (this.connected) {
+        console.log("CI Client already connected.");
+        return;
+    }
+    const token = process.env.DEEBO_HTTP_TOKEN;
+    if (!token) {
+      throw new Error("DEEBO_HTTP_TOKEN environment variable is required to connect to a Deebo server URL");
+    }
+    try {
+      const authorization = `Bearer ${token}`;
+      this.transport = new SSEClientTransport(new URL(serverUrl), {
+        // the SSE stream and the message POSTs both need the token
+        eventSourceInit: {
+          fetch: (url, init) => fetch(url, { ...init, headers: { ...init?.headers, Authorization: authorization } })
+        },
+        requestInit: { headers: { Authorization: authorization } }
+      });
+      const connectPromise = this.mcp.connect(this.transport);
+      const timeoutPromise = new Promise((_, reject) =>
+        setTimeout(() => reject(new Error("Connection timed out after 15 seconds")), 15000)
+      );
+      await Promise.race([connectPromise, timeoutPromise]);
+      this.connected = true;
+      console.log(`CI Client Connected to Deebo Server at ${serverUrl}`);
+    } catch (e) {
+      this.connected = false;
+      console.error("CI Client Failed to connect to MCP server: ", e);
+      throw e;
+    }
+  }
+
   private ensureConnected() {
       if (!this.connected || !this.transport) {
            throw new Error("Client is not connected to the Deebo server.");
@@ -232,12 +266,14 @@ Analysis:`;
 
 // --- Main Execution Logic ---
 async function main() {
-  // Args: <path_to_deebo_build_index.js> <repo_fixture_path_abs>
+  // Args: <path_to_deebo_build_index.js | deebo_server_url> <repo_fixture_path_abs>
   if (process.argv.length < 4) {
-    console.error("Usage: node ci/mcp-client/build/index.js <path_to_deebo_build_index.js> <repo_fixture_path_abs>");
+    console.error("Usage: node ci/mcp-client/build/index.js <path_to_deebo_build_index.js | http://127.0.0.1:<port>/sse> <repo_fixture_path_abs>");
     process.exit(1);
   }
 
+  // A URL means a Deebo daemon is already running (token in DEEBO_HTTP_TOKEN), otherwise spawn the server script
+  const serverUrl = /^https?:\/\//.test(process.argv[2]) ? process.argv[2] : null;
   const deeboServerScriptPath = path.resolve(process.argv[2]);
   const repoFixturePathAbs = path.resolve(process.argv[3]);
 
@@ -256,7 +292,11 @@ async function main() {
 
   try {
       console.log("--- Connecting Client to Server ---");
-      await client.connectToServer(deeboServerScriptPath);
+      if (serverUrl) {
+        await client.connectToServerUrl(serverUrl);
+      } else {
+        await client.connectToServer(deeboServerScriptPath);
+      }
 
       console.log("--- Forcing Start Session ---");
       sessionId = await client.forceStartSession(startArgs);
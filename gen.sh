@@ -18,12 +18,37 @@ echo "Generating core-files.txt in mode: $MODE"
 
 # Core source files
 add_file_content "src/index.ts"
+add_file_content "src/resources.ts"
+add_file_content "src/http-server.ts"
+add_file_content "src/dashboard.ts"
+add_file_content "src/dashboard-page.ts"
+add_file_content "src/sandbox-check.ts"
 add_file_content "src/util/mcp.ts"
 add_file_content "config/tools.json"
+add_file_content "config/pricing.json"
+add_file_content "config/context-limits.json"
+add_file_content "config/policy.json"
+add_file_content "src/util/paths.ts"
 add_file_content "src/util/sanitize.ts"
+add_file_content "src/util/sessions.ts"
+add_file_content "src/util/session-status.ts"
 add_file_content "src/util/reports.ts"
 add_file_content "src/util/branch-manager.ts"
 add_file_content "src/util/agent-utils.ts"
+add_file_content "src/util/tool-calls.ts"
+add_file_content "src/util/usage.ts"
+add_file_content "src/util/budget.ts"
+add_file_content "src/util/scenario-pool.ts"
+add_file_content "src/util/solution.ts"
+add_file_content "src/util/conversation.ts"
+add_file_content "src/util/events.ts"
+add_file_content "src/util/session-list.ts"
+add_file_content "src/util/sandbox.ts"
+add_file_content "src/util/policy.ts"
+add_file_content "src/util/repro.ts"
+add_file_content "src/util/session-index.ts"
+add_file_content "src/util/context-window.ts"
+add_file_content "src/util/llm-retry.ts"
 add_file_content "src/util/logger.ts"
 add_file_content "src/util/membank.ts"
 add_file_content "src/util/observations.ts"
@@ -0,0 +1,119 @@
+// src/dashboard.ts
+import express, { Router, Request, Response } from 'express';
+import { readFile, readdir } from 'fs/promises';
+import { join } from 'path';
+import { findSessionDir } from './util/sessions.js';
+import { getSessionStatus, parseLines } from './util/session-status.js';
+import { listSessions } from './util/session-list.js';
+import { isSafePathSegment } from './util/sanitize.js';
+import { DASHBOARD_HTML } from './dashboard-page.js';
+
+// What the dashboard can do besides reading the memory bank; index.ts owns the session registry
+export interface DashboardActions {
+  terminatedPids: Set<number>;
+  cancelSession(sessionId: string): Promise<string>;
+  addObservation(sessionId: string, observation: string, agentId?: string): Promise<void>;
+}
+
+async function readLogEntries(path: string): Promise<any[]> {
+  try {
+    return parseLines(await readFile(path, 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+// observations/<agentId>.log for every agent that got one
+async function readObservations(sessionDir: string): Promise<Record<string, { timestamp: string; observation: string }[]>> {
+  const dir = join(sessionDir, 'observations');
+  const observations: Record<string, { timestamp: string; observation: string }[]> = {};
+  const files = await readdir(dir).catch(() => [] as string[]);
+  for (const file of files.filter(f => f.endsWith('.log'))) {
+    observations[file.replace(/\.log$/, '')] = await readLogEntries(join(dir, file));
+  }
+  return observations;
+}
+
+// Resolves :sessionId to its directory, answering 400/404 itself when it can't
+async function sessionDirFor(req: Request, res: Response): Promise<string | null> {
+  const sessionId = String(req.params.sessionId);
+  if (!isSafePathSegment(sessionId)) {
+    res.status(400).json({ error: `Invalid session id: ${sessionId}` });
+    return null;
+  }
+  const sessionDir = await findSessionDir(sessionId).catch(() => null);
+  if (!sessionDir) res.status(404).json({ error: `Session ${sessionId} not found` });
+  return sessionDir;
+}
+
+/**
+ * The web dashboard: the page at / and the JSON API it polls under /api.
+ * Everything is read from the session directories, so it shows sessions of any Deebo process.
+ */
+export function createDashboardRouter(actions: DashboardActions): Router {
+  const router = Router();
+  router.use(express.json());
+
+  router.get('/', (req, res) => {
+    res.type('html').send(DASHBOARD_HTML);
+  });
+
+  router.get('/api/sessions', async (req, res) => {
+    res.json({ sessions: await listSessions({}, actions.terminatedPids) });
+  });
+
+  router.get('/api/sessions/:sessionId', async (req, res) => {
+    const sessionDir = await sessionDirFor(req, res);
+    if (!sessionDir) return;
+    const sessionId = String(req.params.sessionId);
+    const motherEvents = await readLogEntries(join(sessionDir, 'logs', 'mother.log'));
+    res.json({
+      status: await getSessionStatus(sessionId, sessionDir, actions.terminatedPids),
+      // debug entries are the conversation itself, everything else is a milestone
+      timeline: motherEvents
+        .filter(e => e.level !== 'debug')
+        .map(e => ({ timestamp: e.timestamp, level: e.level, message: e.message })),
+      observations: await readObservations(sessionDir)
+    });
+  });
+
+  // Raw log entries of one agent: prompts, responses, tool calls and results
+  router.get('/api/sessions/:sessionId/logs/:agent', async (req, res) => {
+    const sessionDir = await sessionDirFor(req, res);
+    if (!sessionDir) return;
+    const agent = String(req.params.agent);
+    if (!isSafePathSegment(agent)) {
+      res.status(400).json({ error: `Invalid agent: ${agent}` });
+      return;
+    }
+    res.json({ entries: await readLogEntries(join(sessionDir, 'logs', `${agent}.log`)) });
+  });
+
+  router.post('/api/sessions/:sessionId/observations', async (req, res) => {
+    const sessionDir = await sessionDirFor(req, res);
+    if (!sessionDir) return;
+    const { observation, agentId } = req.body ?? {};
+    if (typeof observation !== 'string' || !observation.trim()) {
+      res.status(400).json({ error: 'observation is required' });
+      return;
+    }
+    if (agentId !== undefined && (typeof agentId !== 'string' || !isSafePathSegment(agentId))) {
+      res.status(400).json({ error: `Invalid agent: ${agentId}` });
+      return;
+    }
+    try {
+      await actions.addObservation(String(req.params.sessionId), observation.trim(), agentId);
+      res.json({ message: 'Observation logged' });
+    } catch (err) {
+      res.status(500).json({ error: `Observation write failed: ${err instanceof Error ? err.message : String(err)}` });
+    }
+  });
+
+  router.post('/api/sessions/:sessionId/cancel', async (req, res) => {
+    const sessionDir = await sessionDirFor(req, res);
+    if (!sessionDir) return;
+    res.json({ message: await actions.cancelSession(String(req.params.sessionId)) });
+  });
+
+  return router;
+}
@@ -1,13 +1,23 @@
 // src/scenario-agent.ts
 
 import { log } from './util/logger.js';
-import { connectRequiredTools } from './util/mcp.js';
-import { writeReport } from './util/reports.js';
+import { connectTools, resolveToolServer, resolveToolServerName } from './util/mcp.js';
+import { createPolicyGuard, formatPolicyViolation } from './util/policy.js';
+import { writeReport, parseScenarioReport, buildFailureReport, ScenarioReport } from './util/reports.js';
+import { getHeadCommit, getWorktreeChanges } from './util/branch-manager.js';
 import { ChatCompletionMessageParam } from 'openai/resources/chat/completions'; // Keep OpenAI type for structure
 import { writeObservation, getAgentObservations } from './util/observations.js';
-import { callLlm, getScenarioAgentPrompt } from './util/agent-utils.js';
+import { callLlm, getScenarioAgentPrompt, getLlmFallbacks, LlmResponse, LlmTarget } from './util/agent-utils.js';
+import { logLlmUsage } from './util/usage.js';
+import { createContextManager } from './util/context-window.js';
+import { getLlmError, LlmErrorInfo } from './util/llm-retry.js';
+import { getToolMode, listToolDefinitions, describeExtraToolServers, extractToolCalls, assistantMessage, toolResultMessage } from './util/tool-calls.js';
+import { getSandboxConfig, createSandbox, describeSandbox, HOST_PROCESS_TOOLS, Sandbox } from './util/sandbox.js';
+import { ReproSpec, getReproSpec, runRepro, describeOutcome, formatReproRun, describeReproForScenario } from './util/repro.js';
 
 const MAX_RUNTIME = 15 * 60 * 1000; // 15 minutes
+const MAX_REPORT_ATTEMPTS = 3; // schema-invalid reports before giving up
+const MAX_REPRO_ATTEMPTS = 2; // "confirmed" reports the repro doesn't back before the verdict is downgraded
 
 // Define LlmConfig interface (can be moved to a shared types file later if needed)
 interface LlmConfig {
@@ -20,6 +30,10 @@ interface LlmConfig {
   openaiApiKey?: string; // For OpenAI and compatible providers
   geminiApiKey?: string;
   anthropicApiKey?: string;
+  onRetry?: (info: LlmErrorInfo, attempt: number, delayMs: number, target: LlmTarget) => void | Promise<void>;
+  fallbacks?: LlmTarget[];
+  onFallback?: (failed: LlmTarget, info: LlmErrorInfo, next: LlmTarget) => void | Promise<void>;
+  cooldowns?: Map<string, number>;
 }
 
 interface ScenarioArgs {
@@ -32,6 +46,8 @@ interface ScenarioArgs {
   repoPath: string;
   filePath?: string;
   branch: string;
+  worktreePath: string;
+  repro?: ReproSpec;
 }
 
 function parseArgs(args: string[]): ScenarioArgs {
@@ -59,10 +75,43 @@ function parseArgs(args: string[]): ScenarioArgs {
     language: result.language || 'typescript',
     repoPath,
     filePath: result.file || undefined,
-    branch: result.branch || ''
+    branch: result.branch || '',
+    worktreePath: result.worktree || repoPath,
+    repro: getReproSpec({ reproCommand: result.repro, expectedFailure: result['expected-failure'] })
   };
 }
 
+// execute_command inside the sandbox, answered in the shape of an MCP tool result
+async function runInSandbox(sandbox: Sandbox, toolArgs: Record<string, any>) {
+  if (typeof toolArgs.command !== 'string' || !toolArgs.command.trim()) {
+    throw new Error('execute_command needs a command');
+  }
+  const { exitCode, output, timedOut } = await sandbox.exec(toolArgs.command);
+  const status = timedOut ? 'Command timed out in the sandbox' : `Command exited with code ${exitCode}`;
+  return { content: [{ type: 'text', text: `${status}\n${output}` }], isError: timedOut || exitCode !== 0 };
+}
+
+/**
+ * Runs the repro on the scenario's branch and attaches the run to the report. A "confirmed"
+ * report the run doesn't back goes back to the LLM (returned as the note to send), until
+ * the attempts run out and it is downgraded to partial instead.
+ */
+async function checkReportAgainstRepro(args: ScenarioArgs, report: ScenarioReport, sandbox: Sandbox | null, attempt: number): Promise<string | null> {
+  const repro = args.repro!;
+  await log(args.session, `scenario-${args.id}`, 'info', `Running repro on the scenario branch: ${repro.command}`, { repoPath: args.repoPath });
+  const run = await runRepro(repro, args.worktreePath, sandbox);
+  report.repro = run;
+  await log(args.session, `scenario-${args.id}`, run.outcome === 'passed' ? 'info' : 'warn', `Repro on the scenario branch ${describeOutcome(run, repro)}`, { repro: run, repoPath: args.repoPath });
+
+  if (report.confirmed !== 'yes' || run.outcome === 'passed') return null;
+  if (attempt < MAX_REPRO_ATTEMPTS) {
+    return `Your report says "confirmed": "yes", but the repro command does not pass on your branch:\n${formatReproRun(run, repro)}\n\nEither make it pass and report again, or report with "confirmed": "partial" or "no".`;
+  }
+  report.confirmed = 'partial';
+  report.evidence.push(`Deebo's repro run on this branch ${describeOutcome(run, repro)}, so "confirmed" was downgraded from yes to partial.`);
+  return null;
+}
+
 export async function runScenarioAgent(args: ScenarioArgs) {
   await log(args.session, `scenario-${args.id}`, 'info', 'Scenario agent started', { repoPath: args.repoPath, hypothesis: args.hypothesis });
   await log(
@@ -75,14 +124,35 @@ export async function runScenarioAgent(args: ScenarioArgs) {
   try {
     // Set up tools
     await log(args.session, `scenario-${args.id}`, 'info', 'Connecting to tools...', { repoPath: args.repoPath });
-  const { gitClient, filesystemClient } = await connectRequiredTools(
+  const toolServers = await connectTools(
+    'scenario',
     `scenario-${args.id}`,
     args.session,
-    args.repoPath
+    args.repoPath,
+    args.worktreePath
   );
   await log(args.session, `scenario-${args.id}`, 'info', 'Connected to tools successfully', { repoPath: args.repoPath });
+    const policy = await createPolicyGuard('scenario', `scenario-${args.id}`, args.session, args.repoPath, [args.worktreePath]);
+    const toolMode = getToolMode('scenario');
+    const nativeTools = toolMode === 'native'
+      ? await listToolDefinitions(toolServers.clients)
+      : undefined;
+    const extraToolsPrompt = toolMode === 'xml' ? await describeExtraToolServers(toolServers.clients) : '';
+
+    // Opt-in: shell commands go to a container with only the worktree mounted. The mother stops it once we exit.
+    const sandboxConfig = getSandboxConfig();
+    const sandbox = sandboxConfig
+      ? await createSandbox(sandboxConfig, args.worktreePath, { 'deebo.session': args.session, 'deebo.scenario': args.id })
+      : null;
+    if (sandbox) {
+      await log(args.session, `scenario-${args.id}`, 'info', `Sandbox container started from ${sandboxConfig!.image}`, { containerId: sandbox.containerId, network: sandboxConfig!.network, repoPath: args.repoPath });
+    }
 
-    // Branch creation is handled by system infrastructure before this agent is spawned.
+    // Branch and worktree creation is handled by system infrastructure before this agent is spawned.
+    // Remember where the branch started so the report can carry the real diff.
+    const baseCommit = await getHeadCommit(args.worktreePath).catch(() => undefined);
+    let invalidReports = 0;
+    let reproAttempts = 0;
 
     // Start LLM conversation with initial context
     const startTime = Date.now();
@@ -93,15 +163,16 @@ export async function runScenarioAgent(args: ScenarioArgs) {
         branch: args.branch,
         hypothesis: args.hypothesis,
         context: args.context,
-        repoPath: args.repoPath
-      })
+        repoPath: args.worktreePath,
+        toolMode
+      }) + extraToolsPrompt + (sandboxConfig ? describeSandbox(sandboxConfig) : '') + (args.repro ? describeReproForScenario(args.repro) : '')
     }, {
       role: 'user',
       content: `Error: ${args.error}
 Context: ${args.context}
 Language: ${args.language}
 File: ${args.filePath}
-Repo: ${args.repoPath}
+Repo: ${args.worktreePath}
 Hypothesis: ${args.hypothesis}`
     }];
 
@@ -132,20 +203,40 @@ Hypothesis: ${args.hypothesis}`
       openaiApiKey: openaiApiKey, // For OpenAI and compatible providers
       baseURL: openaiBaseUrl, // For OpenAI-compatible APIs
       geminiApiKey: geminiApiKey,
-      anthropicApiKey: anthropicApiKey
+      anthropicApiKey: anthropicApiKey,
+      onRetry: (info, attempt, delayMs, target) =>
+        log(args.session, `scenario-${args.id}`, 'warn', `LLM ${info.kind} error, retrying in ${Math.round(delayMs / 1000)}s (retry ${attempt}): ${info.message}`, { repoPath: args.repoPath, provider: target.provider, model: target.model }),
+      fallbacks: getLlmFallbacks('scenario'),
+      cooldowns: new Map<string, number>(),
+      onFallback: (failed, info, next) =>
+        log(args.session, `scenario-${args.id}`, 'warn', `Falling back from ${failed.provider}/${failed.model ?? 'default'} to ${next.provider}/${next.model ?? 'default'}: ${info.message}`, { repoPath: args.repoPath, llmError: info.kind })
     };
+    const contextWindow = createContextManager({
+      sessionId: args.session,
+      agentName: `scenario-${args.id}`,
+      repoPath: args.repoPath,
+      provider: llmConfig.provider,
+      model: llmConfig.model,
+      fallbacks: llmConfig.fallbacks,
+      summarize: async request => {
+        const response = await callLlm(request, llmConfig);
+        await logLlmUsage(args.session, `scenario-${args.id}`, args.repoPath, response, response.usage);
+        return response.text;
+      }
+    });
 
     await log(args.session, `scenario-${args.id}`, 'debug', 'Sending to LLM', { model: llmConfig.model, provider: llmConfig.provider, messages, repoPath: args.repoPath });
     
     // Add retry logic with exponential backoff for initial call
     let consecutiveFailures = 0;
     const MAX_RETRIES = 3;
-    let replyText: string | undefined;
+    let reply: LlmResponse | undefined;
     
     while (consecutiveFailures < MAX_RETRIES) {
-      replyText = await callLlm(messages, llmConfig);
+      reply = await callLlm(messages, llmConfig, nativeTools);
+      await logLlmUsage(args.session, `scenario-${args.id}`, args.repoPath, reply, reply.usage);
       
-      if (!replyText) {
+      if (!reply.text && !reply.toolCalls.length) {
         // Log the failure and increment counter
         consecutiveFailures++;
         await log(args.session, `scenario-${args.id}`, 'warn', `Received empty/malformed response from LLM on initial call (Failure ${consecutiveFailures}/${MAX_RETRIES})`, { provider: llmConfig.provider, model: llmConfig.model, repoPath: args.repoPath });
@@ -168,14 +259,14 @@ Hypothesis: ${args.hypothesis}`
         // Max retries hit - write report and exit
         const errorMsg = `Initial LLM call failed to return valid response after ${MAX_RETRIES} attempts`;
         await log(args.session, `scenario-${args.id}`, 'error', errorMsg, { provider: llmConfig.provider, model: llmConfig.model, repoPath: args.repoPath });
-        await writeReport(args.repoPath, args.session, args.id, errorMsg);
+        await writeReport(args.repoPath, args.session, args.id, buildFailureReport('llm_failure', args.hypothesis, errorMsg));
         console.log(errorMsg);
         process.exit(1);
       }
       
       // Valid response received
-      messages.push({ role: 'assistant', content: replyText });
-      await log(args.session, `scenario-${args.id}`, 'debug', 'Received response from LLM', { response: { content: replyText }, repoPath: args.repoPath });
+      messages.push(assistantMessage(reply));
+      await log(args.session, `scenario-${args.id}`, 'debug', 'Received response from LLM', { response: { content: reply.text, toolCalls: reply.toolCalls }, repoPath: args.repoPath });
       break; // Exit retry loop on success
     }
 
@@ -184,30 +275,32 @@ Hypothesis: ${args.hypothesis}`
       if (Date.now() - startTime > MAX_RUNTIME) {
         const timeoutMsg = 'Investigation exceeded maximum runtime';
         await log(args.session, `scenario-${args.id}`, 'warn', timeoutMsg, { repoPath: args.repoPath });
-        await writeReport(args.repoPath, args.session, args.id, timeoutMsg);
+        await writeReport(args.repoPath, args.session, args.id, buildFailureReport('timeout', args.hypothesis, timeoutMsg));
         console.log(timeoutMsg);
         process.exit(1);
       }
 
       // Get the latest assistant response
-      if (!replyText) {
+      if (!reply) {
         const errorMsg = 'Unexpected undefined response in main loop';
         await log(args.session, `scenario-${args.id}`, 'error', errorMsg, { repoPath: args.repoPath });
-        await writeReport(args.repoPath, args.session, args.id, errorMsg);
+        await writeReport(args.repoPath, args.session, args.id, buildFailureReport('crashed', args.hypothesis, errorMsg));
         console.log(errorMsg);
         process.exit(1);
       }
 
       // --- Check for Report and Tool Calls ---
-      const toolCalls = replyText.match(/<use_mcp_tool>[\s\S]*?<\/use_mcp_tool>/g) || [];
-      const reportMatch = replyText.match(/<report>\s*([\s\S]*?)<\/report>/i);
+      const toolCalls = extractToolCalls(reply, toolMode);
+      const reportMatch = reply.text.match(/<report>\s*([\s\S]*?)<\/report>/i);
 
       let executeToolsThisTurn = false;
       let exitThisTurn = false;
+      // Notes for the LLM go in after the tool results, native tool results must directly follow their call
+      const deferredMessages: ChatCompletionMessageParam[] = [];
 
       if (reportMatch && toolCalls.length > 0) {
           // LLM included both - prioritize executing tools, ignore report this turn
-          messages.push({
+          deferredMessages.push({
               role: 'user',
               content: `Instructions conflict: You provided tool calls and a report in the same message. I will execute the tool calls now. Provide the report ONLY after analyzing the tool results in the next turn.`
           });
@@ -215,12 +308,43 @@ Hypothesis: ${args.hypothesis}`
           await log(args.session, `scenario-${args.id}`, 'warn', 'LLM provided tools and report simultaneously. Executing tools, ignoring report.', { repoPath: args.repoPath });
 
       } else if (reportMatch) {
-          // Only report found - process it and exit
-          const reportText = reportMatch[1].trim();
-          await log(args.session, `scenario-${args.id}`, 'info', 'Report found. Writing report and exiting.', { repoPath: args.repoPath });
-          await writeReport(args.repoPath, args.session, args.id, reportText);
-          console.log(reportText); // Print report to stdout for mother agent
-          exitThisTurn = true; // Signal to exit loop cleanly
+          // Only report found - validate it against the schema before accepting it
+          const parsed = parseScenarioReport(reportMatch[1]);
+          if ('error' in parsed) {
+            invalidReports++;
+            await log(args.session, `scenario-${args.id}`, 'warn', `Report failed validation (${invalidReports}/${MAX_REPORT_ATTEMPTS})`, { error: parsed.error, repoPath: args.repoPath });
+            if (invalidReports >= MAX_REPORT_ATTEMPTS) {
+              const report = buildFailureReport('invalid_report', args.hypothesis, `Report failed validation ${MAX_REPORT_ATTEMPTS} times. Last error: ${parsed.error}\nLast report: ${reportMatch[1].trim()}`);
+              await writeReport(args.repoPath, args.session, args.id, report);
+              console.log(JSON.stringify(report, null, 2));
+              exitThisTurn = true;
+            } else {
+              messages.push({
+                role: 'user',
+                content: `${parsed.error}\n\nReply with a corrected <report> containing only the JSON object described in REPORT FORMAT.`
+              });
+            }
+          } else {
+            const report = parsed.report;
+            // Prefer what actually changed in the worktree over what the LLM says it changed
+            if (baseCommit) {
+              try {
+                Object.assign(report, await getWorktreeChanges(args.worktreePath, baseCommit));
+              } catch (err) {
+                await log(args.session, `scenario-${args.id}`, 'warn', `Could not collect worktree changes: ${err instanceof Error ? err.message : String(err)}`, { repoPath: args.repoPath });
+              }
+            }
+            // With a repro command the verdict is the command's, not the LLM's
+            const reproNote = args.repro ? await checkReportAgainstRepro(args, report, sandbox, ++reproAttempts) : null;
+            if (reproNote) {
+              messages.push({ role: 'user', content: reproNote });
+            } else {
+              await log(args.session, `scenario-${args.id}`, 'info', 'Report found. Writing report and exiting.', { repoPath: args.repoPath });
+              await writeReport(args.repoPath, args.session, args.id, report);
+              console.log(JSON.stringify(report, null, 2)); // Print report to stdout for mother agent
+              exitThisTurn = true; // Signal to exit loop cleanly
+            }
+          }
 
       } else if (toolCalls.length > 0) {
            // Only tool calls found - execute them
@@ -236,27 +360,17 @@ Hypothesis: ${args.hypothesis}`
 
       // --- Execute Tools if Flagged ---
       if (executeToolsThisTurn) {
-        const parsedCalls = toolCalls.map((tc: string) => {
+        // Resolve server names to connected clients
+        const parsedCalls = toolCalls.map(call => {
+          if ('error' in call) {
+            log(args.session, `scenario-${args.id}`, 'error', `Failed to parse tool call: ${call.error}`, { toolCall: call.raw, repoPath: args.repoPath });
+            return call;
+          }
           try {
-            const serverNameMatch = tc.match(/<server_name>(.*?)<\/server_name>/);
-            if (!serverNameMatch || !serverNameMatch[1]) throw new Error('Missing server_name');
-            const serverName = serverNameMatch[1];
-            const server = serverName === 'git-mcp' ? gitClient! : filesystemClient!; // Select client based on name
-            if (!server) throw new Error(`Invalid server_name: ${serverName}`);
-
-            const toolMatch = tc.match(/<tool_name>(.*?)<\/tool_name>/);
-            if (!toolMatch || !toolMatch[1]) throw new Error('Missing tool_name');
-            const tool = toolMatch[1]!;
-
-            const argsMatch = tc.match(/<arguments>(.*?)<\/arguments>/s);
-            if (!argsMatch || !argsMatch[1]) throw new Error('Missing arguments');
-            const args = JSON.parse(argsMatch[1]!);
-
-            return { server, tool, args };
+            return { ...call, server: resolveToolServer(toolServers, call.server), serverName: resolveToolServerName(toolServers, call.server) };
           } catch (err) {
-            const errorMsg = err instanceof Error ? err.message : String(err);
-            log(args.session, `scenario-${args.id}`, 'error', `Failed to parse tool call: ${errorMsg}`, { toolCall: tc, repoPath: args.repoPath });
-            return { error: errorMsg }; // Return error object for specific call
+            log(args.session, `scenario-${args.id}`, 'error', `Unknown tool server: ${call.server}`, { tool: call.tool, repoPath: args.repoPath });
+            return { error: err instanceof Error ? err.message : String(err), raw: call.server, id: call.id };
           }
         });
 
@@ -264,38 +378,35 @@ Hypothesis: ${args.hypothesis}`
         let toolCallFailed = false;
         for (const parsed of parsedCalls) {
           if ('error' in parsed) {
-            messages.push({
-              role: 'user',
-              content: `Tool call parsing failed: ${parsed.error}`
-            });
+            messages.push(toolResultMessage(parsed, `Tool call parsing failed: ${parsed.error}`));
             toolCallFailed = true; // Mark failure, but continue processing other calls if needed, or let LLM handle it next turn
             continue; // Skip execution for this malformed call
           }
 
-          // Prevent disallowed tools
-          if (parsed.tool === 'git_create_branch') {
-              messages.push({
-                role: 'user',
-                content: 'Error: Tool call `git_create_branch` is not allowed. The branch was already created by the mother agent.'
-              });
-              await log(args.session, `scenario-${args.id}`, 'warn', `Attempted disallowed tool call: ${parsed.tool}`, { repoPath: args.repoPath });
+          // config/policy.json decides what may run (git_create_branch among others is denied for scenarios)
+          const violation = await policy.check(parsed.serverName, parsed.tool, parsed.args);
+          if (violation) {
+              messages.push(toolResultMessage(parsed, formatPolicyViolation(parsed.tool, violation)));
               continue; // Skip this specific call
           }
 
+          const sandboxed = sandbox && parsed.serverName === 'desktopCommander';
+          if (sandboxed && HOST_PROCESS_TOOLS.includes(parsed.tool)) {
+              messages.push(toolResultMessage(parsed, `Error: \`${parsed.tool}\` is not available in the sandbox. execute_command runs each command to completion and returns all of its output.`));
+              await log(args.session, `scenario-${args.id}`, 'warn', `Attempted host process tool in sandbox: ${parsed.tool}`, { repoPath: args.repoPath });
+              continue;
+          }
+
           try {
-              await log(args.session, `scenario-${args.id}`, 'debug', `Executing tool: ${parsed.tool}`, { args: parsed.args, repoPath: args.repoPath });
-              const result = await parsed.server.callTool({ name: parsed.tool, arguments: parsed.args });
-              messages.push({
-                role: 'user',
-                content: JSON.stringify(result) // Tool results are added as user messages
-              });
+              await log(args.session, `scenario-${args.id}`, 'debug', `Executing tool: ${parsed.tool}`, { args: parsed.args, sandboxed: !!sandboxed, repoPath: args.repoPath });
+              const result = sandboxed && parsed.tool === 'execute_command'
+                ? await runInSandbox(sandbox, parsed.args)
+                : await parsed.server.callTool({ name: parsed.tool, arguments: parsed.args });
+              messages.push(await contextWindow.toolResult(parsed, parsed.tool, JSON.stringify(result))); // Tool results are added as user (or native tool) messages
               await log(args.session, `scenario-${args.id}`, 'debug', `Tool result for ${parsed.tool}`, { result: result, repoPath: args.repoPath });
           } catch (toolErr) {
               const errorMsg = toolErr instanceof Error ? toolErr.message : String(toolErr);
-              messages.push({
-                role: 'user',
-                content: `Tool call failed for '${parsed.tool}': ${errorMsg}`
-              });
+              messages.push(toolResultMessage(parsed, `Tool call failed for '${parsed.tool}': ${errorMsg}`));
               await log(args.session, `scenario-${args.id}`, 'error', `Tool call execution failed: ${parsed.tool}`, { error: errorMsg, repoPath: args.repoPath });
               toolCallFailed = true; // Mark failure
           }
@@ -303,6 +414,7 @@ Hypothesis: ${args.hypothesis}`
         // Decide if we should immediately ask LLM again after tool failure, or let the loop naturally continue.
         // Current logic lets loop continue, LLM will see the error messages.
       }
+      messages.push(...deferredMessages);
 
       // --- Check for New Observations ---
       const newObservations = await getAgentObservations(args.repoPath, args.session, `scenario-${args.id}`);
@@ -317,6 +429,7 @@ Hypothesis: ${args.hypothesis}`
       }
 
       // --- Make Next LLM Call ---
+      await contextWindow.fit(messages);
       await log(args.session, `scenario-${args.id}`, 'debug', `Sending message history (${messages.length} items) to LLM`, { model: llmConfig.model, provider: llmConfig.provider, repoPath: args.repoPath });
       
       // Add retry logic with exponential backoff
@@ -324,9 +437,10 @@ Hypothesis: ${args.hypothesis}`
       const MAX_RETRIES = 3;
       
       while (consecutiveFailures < MAX_RETRIES) {
-        replyText = await callLlm(messages, llmConfig);
+        reply = await callLlm(messages, llmConfig, nativeTools);
+        await logLlmUsage(args.session, `scenario-${args.id}`, args.repoPath, reply, reply.usage);
         
-        if (!replyText) {
+        if (!reply.text && !reply.toolCalls.length) {
           // Log the failure and increment counter
           consecutiveFailures++;
           await log(args.session, `scenario-${args.id}`, 'warn', `Received empty/malformed response from LLM (Failure ${consecutiveFailures}/${MAX_RETRIES})`, { provider: llmConfig.provider, model: llmConfig.model, repoPath: args.repoPath });
@@ -349,14 +463,14 @@ Hypothesis: ${args.hypothesis}`
           // Max retries hit - write report and exit
           const errorMsg = `LLM failed to return valid response after ${MAX_RETRIES} attempts`;
           await log(args.session, `scenario-${args.id}`, 'error', errorMsg, { provider: llmConfig.provider, model: llmConfig.model, repoPath: args.repoPath });
-          await writeReport(args.repoPath, args.session, args.id, errorMsg);
+          await writeReport(args.repoPath, args.session, args.id, buildFailureReport('llm_failure', args.hypothesis, errorMsg));
           console.log(errorMsg);
           process.exit(1);
         }
         
         // Valid response received
-        messages.push({ role: 'assistant', content: replyText });
-        await log(args.session, `scenario-${args.id}`, 'debug', 'Received response from LLM', { responseLength: replyText.length, provider: llmConfig.provider, model: llmConfig.model, repoPath: args.repoPath });
+        messages.push(assistantMessage(reply));
+        await log(args.session, `scenario-${args.id}`, 'debug', 'Received response from LLM', { responseLength: reply.text.length, toolCalls: reply.toolCalls.length, provider: llmConfig.provider, model: llmConfig.model, repoPath: args.repoPath });
         break; // Exit retry loop on success
       }
 
@@ -364,10 +478,18 @@ Hypothesis: ${args.hypothesis}`
       await new Promise(resolve => setTimeout(resolve, 1000));
     }
   } catch (error) {
+    // A provider that kept failing (or rejected the key) is an LLM failure, not a crash
+    const llmError = getLlmError(error);
+    if (llmError) {
+      await log(args.session, `scenario-${args.id}`, 'error', llmError.message, { repoPath: args.repoPath, llmError: llmError.kind });
+      await writeReport(args.repoPath, args.session, args.id, buildFailureReport('llm_failure', args.hypothesis, llmError.message));
+      console.error(llmError.message);
+      process.exit(1);
+    }
     // Catch unexpected errors during setup or within the loop if not handled
     const errorText = error instanceof Error ? `${error.message}${error.stack ? `\nStack: ${error.stack}` : ''}` : String(error);
     await log(args.session, `scenario-${args.id}`, 'error', `Unhandled scenario error: ${errorText}`, { repoPath: args.repoPath });
-    await writeReport(args.repoPath, args.session, args.id, `SCENARIO FAILED UNEXPECTEDLY: ${errorText}`);
+    await writeReport(args.repoPath, args.session, args.id, buildFailureReport('crashed', args.hypothesis, `SCENARIO FAILED UNEXPECTEDLY: ${errorText}`));
     console.error(`SCENARIO FAILED UNEXPECTEDLY: ${errorText}`); // Log error to stderr as well
     process.exit(1);
   }
@@ -1,9 +1,24 @@
-import { ChatCompletionMessageParam } from 'openai/resources/chat/completions';
-import { GoogleGenerativeAI, Content, Part } from "@google/generative-ai";
+import { ChatCompletionMessageParam, ChatCompletionMessageToolCall, ChatCompletionTool } from 'openai/resources/chat/completions';
+import { GoogleGenerativeAI, Content, Part, FunctionDeclaration } from "@google/generative-ai";
 import Anthropic from "@anthropic-ai/sdk"; // Import the default export
-import { MessageParam } from "@anthropic-ai/sdk/resources/messages.mjs"; // Import the specific type
+import { MessageParam, ContentBlockParam, ToolResultBlockParam, Tool as AnthropicTool } from "@anthropic-ai/sdk/resources/messages.mjs"; // Import the specific type
 import OpenAI from "openai";
 import { ChatModel } from 'openai/resources';
+import { ToolMode, NATIVE_TOOL_NOTE } from './tool-calls.js';
+import { getContextLimit, fitMessagesToLimit } from './context-window.js';
+import { withLlmRetries, llmConfigError, getLlmError, getLlmTimeoutMs, LlmErrorInfo, LlmErrorKind } from './llm-retry.js';
+
+const PROVIDERS = ['openai', 'openrouter', 'gemini', 'anthropic'];
+// A chain entry that just failed is skipped for this long, so every turn doesn't sit through its retries again
+const FALLBACK_COOLDOWN_MS = 5 * 60 * 1000;
+// Failures that are the provider's doing. Anything else (a malformed or oversized request) would fail the same way on the next entry
+const PROVIDER_FAILURES = new Set<LlmErrorKind>(['auth', 'rate_limit', 'server', 'timeout', 'network']);
+
+// One provider and model an agent can use
+export interface LlmTarget {
+  provider: string;
+  model?: string;
+}
 
 // Define an interface for the configuration passed from agents
 interface LlmConfig {
@@ -16,12 +31,68 @@ interface LlmConfig {
   openaiApiKey?: string; // For OpenAI and compatible providers
   geminiApiKey?: string;
   anthropicApiKey?: string;
+  signal?: AbortSignal; // cuts a retry wait short when the session is cancelled
+  onRetry?: (info: LlmErrorInfo, attempt: number, delayMs: number, target: LlmTarget) => void | Promise<void>; // for the agent's log
+  fallbacks?: LlmTarget[]; // tried in order when `provider`/`model` fails, see getLlmFallbacks
+  onFallback?: (failed: LlmTarget, error: LlmErrorInfo, next: LlmTarget) => void | Promise<void>;
+  cooldowns?: Map<string, number>; // chain entries that failed recently -> when they may be tried again; one map per session
+}
+
+// A tool the model may call natively; `parameters` is the MCP tool's JSON Schema
+export interface ToolDefinition {
+  name: string;
+  description?: string;
+  parameters: Record<string, any>;
+}
+
+// Tool calls come back in OpenAI's shape whatever the provider: `arguments` is raw JSON text
+export interface LlmToolCall {
+  id: string;
+  name: string;
+  arguments: string;
+}
+
+// Token counts as reported by the provider; zero when it doesn't report them
+export interface LlmUsage {
+  promptTokens: number;
+  completionTokens: number;
+}
+
+export interface LlmResponse {
+  text: string;
+  toolCalls: LlmToolCall[];
+  usage: LlmUsage;
+  // Who actually answered, which differs from the config once a fallback kicked in
+  provider: string;
+  model: string;
+}
+
+/**
+ * A role's fallback chain from MOTHER_FALLBACKS or SCENARIO_FALLBACKS: comma-separated
+ * `provider:model` entries, tried in order after MOTHER_HOST/MOTHER_MODEL (SCENARIO_*).
+ * Only the first colon splits, so `openai:llama3:8b` is the openai provider with model `llama3:8b`.
+ */
+export function getLlmFallbacks(role: 'mother' | 'scenario'): LlmTarget[] {
+  const variable = role === 'mother' ? 'MOTHER_FALLBACKS' : 'SCENARIO_FALLBACKS';
+  return (process.env[variable] ?? '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    const provider = (separator >= 0 ? entry.slice(0, separator) : entry).trim().toLowerCase();
+    const model = separator >= 0 ? entry.slice(separator + 1).trim() : '';
+    if (!PROVIDERS.includes(provider)) {
+      throw llmConfigError(`Unknown provider '${provider}' in ${variable} (entry '${entry}'). Use one of: ${PROVIDERS.join(', ')}.`);
+    }
+    return model ? { provider, model } : { provider };
+  });
+}
+
+function targetKey(target: LlmTarget): string {
+  return `${target.provider?.toLowerCase()}:${target.model ?? ''}`;
 }
 
 /**
  * Generates the mother agent's system prompt with the given parameters
  */
-export function getMotherAgentPrompt(useMemoryBank: boolean, memoryBankPath: string): string {
+export function getMotherAgentPrompt(useMemoryBank: boolean, memoryBankPath: string, toolMode: ToolMode = 'xml'): string {
   return `You are the mother agent in an OODA loop debugging investigation. Your core mission:
 
 1. HYPOTHESIZE aggressively. YOU SHOULD ONLY USE TOOLS BRIEFLY, THEN SPAWN JUST HYPOTHESES. I BETTER NOT SEE ANY TOOL USAGE FROM YOU, THE MOTHER AGENT, AFTER MORE THAN 3 RESPONSES. IT SHOULD BE HYPOTHESES TAGS TO SPAWN SCENARIO AGENTS ONLY.
@@ -59,12 +130,17 @@ The memory bank at ${memoryBankPath} contains two key files to help your investi
 - Read this to understand which parts of the code were already examined
 - To edit, use read_file to get the latest state, then write a targeted diff using edit_file instead of write_file to avoid overwriting
 
-2. progress.md - The full debugging history (access at ${memoryBankPath}/progress.md):
-- Contains complete records of all debug sessions
+2. progress.md - The recent debugging history (access at ${memoryBankPath}/progress.md):
+- Contains records of the latest debug sessions
 - Shows which hypotheses were tried and their outcomes
 - Lists all scenarios that were run and their results
 - Use this to see if similar bugs were fixed before
 
+3. digest.md - A bounded summary of every past session (access at ${memoryBankPath}/digest.md):
+- Each session's error, hypotheses with their verdicts, and fix
+- Once the two files above grow too large their older entries are moved to ${memoryBankPath}/archive/, and this digest is what remains of them
+- Read it instead of the archive unless you need a specific old record
+
 Use these files to:
 - Build on previous investigation progress
 - Spot patterns in failing scenarios
@@ -75,7 +151,7 @@ Use these files to:
 
 IMPORTANT: Always use ${memoryBankPath} as the absolute path for memory bank files. Never use relative paths.
 ` : ''}
-
+${toolMode === 'native' ? `\n${NATIVE_TOOL_NOTE}\n` : ''}
 TOOL USAGE:
 Always use this exact format for tools:
 <use_mcp_tool>
@@ -353,9 +429,11 @@ export function getScenarioAgentPrompt(args: {
   hypothesis: string;
   context: string;
   repoPath: string;
+  toolMode?: ToolMode;
 }): string {
   return `You are a scenario agent investigating a bug based on a specific hypothesis.
-A dedicated Git branch '${args.branch}' has been created for your investigation.
+A dedicated Git branch '${args.branch}' has been created for your investigation and checked out in its own worktree at ${args.repoPath}.
+Work only inside that worktree. Other scenarios run in parallel in their own worktrees, so never switch branches.
 
 Your hypothesis: "${args.hypothesis}"
 Your job is to either validate the hypothesis, falsify it, or propose alternative directions if stuck. You do not need to fix the entire bug — your focus is the truth of the SPECIFIC hypothesis you are assigned to.
@@ -367,7 +445,7 @@ IMPORTANT:
 - These are instructions, not suggestions. Do not retry any approach listed here as 'already attempted'.
 - Mother agent is counting on you to explore NEW approaches
 - When you're reasonably confident, wrap up with <report> tags
-
+${args.toolMode === 'native' ? `\n${NATIVE_TOOL_NOTE}\n` : ''}
 TOOL USAGE:
 Always use this exact format for tools:
 <use_mcp_tool>
@@ -628,30 +706,173 @@ Filesystem Tools:
   </use_mcp_tool>
 
 REPORT FORMAT:
-When you've completed your investigation, use:
+When you've completed your investigation, put a single JSON object inside report tags.
+It is validated against a schema; if it doesn't match you will be asked to correct it.
 <report>
-HYPOTHESIS: [Original hypothesis]
-CONFIRMED: [Yes/No/Partially]
-INVESTIGATION:
-[Briefly explain what context you took into account and how this differed]
-[Summary of what you tried]
-[Key findings]
-[Why this confirms/refutes hypothesis]
-
-CHANGES MADE:
-[List any file changes]
-[Why each change was needed]
-
-CONFIDENCE: [High/Medium/Low]
-[Explanation of confidence level]
+{
+  "hypothesis": "[Original hypothesis]",
+  "confirmed": "yes | no | partial",
+  "confidence": "high | medium | low",
+  "evidence": [
+    "[What context you took into account and how this differed]",
+    "[What you tried and the key findings]",
+    "[Why this confirms/refutes the hypothesis]"
+  ],
+  "filesChanged": ["[relative/path/of/each/changed/file]"],
+  "diff": "[unified diff of your changes, or empty string]",
+  "conclusion": "[Final conclusion and why you are this confident]"
+}
 </report>`;
 }
 
 
+// The name of the tool a `tool` message answers, looked up from the assistant turn that called it
+function findToolName(messages: ChatCompletionMessageParam[], toolCallId: string): string {
+  for (const m of messages) {
+    if (m.role === 'assistant' && m.tool_calls) {
+      const call = m.tool_calls.find(tc => tc.id === toolCallId);
+      if (call) return call.function.name;
+    }
+  }
+  return 'unknown_tool';
+}
+
+function parseToolArguments(raw: string): Record<string, any> {
+  try {
+    return JSON.parse(raw || '{}');
+  } catch {
+    return {}; // the dispatcher reports malformed arguments back to the model
+  }
+}
+
+function messageText(m: ChatCompletionMessageParam): string {
+  if (typeof m.content === 'string') return m.content;
+  if (Array.isArray(m.content)) return m.content.map(part => 'text' in part ? part.text : '').join('');
+  return '';
+}
+
+// Gemini only understands a subset of JSON Schema and rejects the rest outright
+const GEMINI_SCHEMA_KEYS = new Set(['type', 'description', 'properties', 'items', 'required', 'enum', 'nullable', 'format']);
+
+function toGeminiSchema(schema: any): any {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const result: any = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (!GEMINI_SCHEMA_KEYS.has(key)) continue;
+    if (key === 'properties') {
+      result.properties = Object.fromEntries(Object.entries(value as object).map(([k, v]) => [k, toGeminiSchema(v)]));
+    } else if (key === 'items') {
+      result.items = toGeminiSchema(value);
+    } else if (key === 'type' && Array.isArray(value)) {
+      result.type = value.find(t => t !== 'null') ?? 'string'; // ["string", "null"] unions
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+function toAnthropicMessages(messages: ChatCompletionMessageParam[]): MessageParam[] {
+  const result: MessageParam[] = [];
+  for (const m of messages) {
+    let role: 'user' | 'assistant' = m.role === 'assistant' ? 'assistant' : 'user';
+    let blocks: ContentBlockParam[];
+
+    if (m.role === 'assistant' && m.tool_calls?.length) {
+      blocks = [];
+      const text = messageText(m);
+      if (text) blocks.push({ type: 'text', text });
+      for (const tc of m.tool_calls) {
+        blocks.push({ type: 'tool_use', id: tc.id, name: tc.function.name, input: parseToolArguments(tc.function.arguments) });
+      }
+    } else if (m.role === 'tool') {
+      const toolResult: ToolResultBlockParam = { type: 'tool_result', tool_use_id: m.tool_call_id, content: messageText(m) };
+      blocks = [toolResult];
+    } else {
+      result.push({ role, content: messageText(m) });
+      continue;
+    }
+
+    // Results for one assistant turn have to arrive together in a single user message
+    const previous = result[result.length - 1];
+    if (m.role === 'tool' && previous?.role === 'user' && Array.isArray(previous.content)
+      && previous.content.every(b => b.type === 'tool_result')) {
+      (previous.content as ContentBlockParam[]).push(...blocks);
+    } else {
+      result.push({ role, content: blocks });
+    }
+  }
+  return result;
+}
+
+function toGeminiContents(messages: ChatCompletionMessageParam[]): Content[] {
+  return messages.map(m => {
+    if (m.role === 'assistant' && m.tool_calls?.length) {
+      const parts: Part[] = [];
+      const text = messageText(m);
+      if (text) parts.push({ text });
+      for (const tc of m.tool_calls) {
+        parts.push({ functionCall: { name: tc.function.name, args: parseToolArguments(tc.function.arguments) } });
+      }
+      return { role: 'model', parts };
+    }
+    if (m.role === 'tool') {
+      return {
+        role: 'function',
+        parts: [{ functionResponse: { name: findToolName(messages, m.tool_call_id), response: { content: messageText(m) } } }]
+      };
+    }
+    return {
+      role: m.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: messageText(m) }] as Part[] // Ensure parts is an array of Part
+    };
+  });
+}
+
+/**
+ * Calls the configured provider. When `tools` are given they are offered to the model as
+ * native tool definitions and any calls it makes come back in `toolCalls`; without them
+ * the model only sees the XML tool protocol described in its prompt.
+ * Transient failures are retried per provider (see withLlmRetries). Once a provider gives up
+ * or rejects the key, the next entry of `fallbacks` takes over; entries that failed in the
+ * last few minutes (per `cooldowns`) are skipped unless nothing else is left. Errors in the
+ * request itself are thrown as they are, no other provider would take it either.
+ */
 export async function callLlm(
   messages: ChatCompletionMessageParam[],
-  config: LlmConfig
-): Promise<string> {
+  config: LlmConfig,
+  tools?: ToolDefinition[]
+): Promise<LlmResponse> {
+  const chain: LlmTarget[] = [{ provider: config.provider ?? '', model: config.model }, ...(config.fallbacks ?? [])];
+  const now = Date.now();
+  const cooldowns = config.cooldowns ?? new Map<string, number>();
+  const available = chain.filter(target => (cooldowns.get(targetKey(target)) ?? 0) <= now);
+  const candidates = available.length ? available : chain;
+
+  for (let i = 0; ; i++) {
+    const target = candidates[i];
+    try {
+      const response = await callProvider(messages, { ...config, provider: target.provider, model: target.model }, tools);
+      cooldowns.delete(targetKey(target));
+      return response;
+    } catch (err) {
+      const llmError = getLlmError(err);
+      // Cancellation, Deebo's own bugs and bad requests aren't the provider's fault, no point in trying another
+      if (!llmError || config.signal?.aborted || !PROVIDER_FAILURES.has(llmError.kind)) throw err;
+      if (chain.length > 1) cooldowns.set(targetKey(target), Date.now() + FALLBACK_COOLDOWN_MS);
+      if (i === candidates.length - 1) throw err;
+      await config.onFallback?.(target, llmError, candidates[i + 1]);
+    }
+  }
+}
+
+// One provider and model of the chain, with its retries
+async function callProvider(
+  messages: ChatCompletionMessageParam[],
+  config: LlmConfig,
+  tools?: ToolDefinition[]
+): Promise<LlmResponse> {
   const {
     provider,
     model,
@@ -661,80 +882,139 @@ export async function callLlm(
     baseURL,
     openaiApiKey,
     geminiApiKey,
-    anthropicApiKey
+    anthropicApiKey,
+    signal,
+    onRetry
   } = config;
 
   const lowerCaseProvider = provider?.toLowerCase();
+  const useTools = !!tools?.length;
+  // Agents summarize their history well before this; an overflow would otherwise come back as an error
+  messages = fitMessagesToLimit(messages, (await getContextLimit(lowerCaseProvider, model)) - maxTokens);
+  const retry = <T>(request: () => Promise<T>) => withLlmRetries(request, {
+    provider: lowerCaseProvider ?? 'unknown',
+    model,
+    signal,
+    onRetry: onRetry && ((info, attempt, delayMs) => onRetry(info, attempt, delayMs, { provider: lowerCaseProvider ?? 'unknown', model }))
+  });
+  const timeout = getLlmTimeoutMs();
+
+  if (lowerCaseProvider === 'openai' || lowerCaseProvider === 'openrouter') {
+    let openai: OpenAI;
+    if (lowerCaseProvider === 'openai') {
+      if (!openaiApiKey) throw llmConfigError("API key is required for 'openai' provider.");
+      if (!baseURL) throw llmConfigError("Base URL is required for 'openai' provider.");
+      openai = new OpenAI({
+        apiKey: openaiApiKey,
+        baseURL: baseURL,
+        maxRetries: 0,
+        timeout
+      });
+    } else {
+      if (!openrouterApiKey && !apiKey) throw llmConfigError("OpenRouter API key is required for 'openrouter' provider.");
+      openai = new OpenAI({
+        apiKey: openrouterApiKey || apiKey, // Use new name if available, fall back to old name
+        baseURL: 'https://openrouter.ai/api/v1',
+        maxRetries: 0,
+        timeout
+      });
+    }
+    const openaiTools: ChatCompletionTool[] | undefined = useTools
+      ? tools!.map(t => ({ type: 'function', function: { name: t.name, description: t.description, parameters: t.parameters } }))
+      : undefined;
 
-  if (lowerCaseProvider === 'openai') {
-    if (!openaiApiKey) throw new Error("API key is required for 'openai' provider.");
-    if (!baseURL) throw new Error("Base URL is required for 'openai' provider.");
-    const openai = new OpenAI({
-      apiKey: openaiApiKey,
-      baseURL: baseURL,
-    });
-    const completion = await openai.chat.completions.create({
-      model: (model || 'gpt-4o') as ChatModel,
-      max_tokens: maxTokens,
-      messages
-    });
-    return completion.choices?.[0]?.message?.content || '';
-  }
-
-  if (lowerCaseProvider === 'openrouter') {
-    if (!openrouterApiKey && !apiKey) throw new Error("OpenRouter API key is required for 'openrouter' provider.");
-    const openai = new OpenAI({
-      apiKey: openrouterApiKey || apiKey, // Use new name if available, fall back to old name
-      baseURL: 'https://openrouter.ai/api/v1',
-    });
-    const completion = await openai.chat.completions.create({
-      model: (model || 'openai/gpt-4o') as ChatModel, // Use provided model or default
+    const modelName = model || (lowerCaseProvider === 'openai' ? 'gpt-4o' : 'openai/gpt-4o'); // Use provided model or default
+    const completion = await retry(() => openai.chat.completions.create({
+      model: modelName as ChatModel,
       max_tokens: maxTokens,
-      messages
-    });
-    return completion.choices?.[0]?.message?.content || '';
+      messages,
+      ...(openaiTools ? { tools: openaiTools } : {})
+    }));
+    const message = completion.choices?.[0]?.message;
+    return {
+      text: message?.content || '',
+      toolCalls: (message?.tool_calls ?? []).map((tc: ChatCompletionMessageToolCall) => ({
+        id: tc.id,
+        name: tc.function.name,
+        arguments: tc.function.arguments
+      })),
+      usage: {
+        promptTokens: completion.usage?.prompt_tokens ?? 0,
+        completionTokens: completion.usage?.completion_tokens ?? 0
+      },
+      provider: lowerCaseProvider,
+      model: modelName
+    };
   }
 
   if (lowerCaseProvider === 'gemini') {
-    if (!geminiApiKey) throw new Error("Gemini API key is required for 'gemini' provider.");
+    if (!geminiApiKey) throw llmConfigError("Gemini API key is required for 'gemini' provider.");
     const gemini = new GoogleGenerativeAI(geminiApiKey);
     const model_name = model || 'gemini-1.5-pro'; // Use provided model or default
-    const genModel = gemini.getGenerativeModel({ model: model_name });
-
-    // Correctly map messages to Gemini's Content[] format
-    const geminiHistory: Content[] = messages.map(m => ({
-      role: m.role === 'assistant' ? 'model' : 'user',
-      parts: [{ text: m.content as string }] as Part[] // Ensure parts is an array of Part
-    }));
-
-    const result = await genModel.generateContent({
-      contents: geminiHistory,
+    const genModel = gemini.getGenerativeModel({ model: model_name }, { timeout });
+
+    const functionDeclarations: FunctionDeclaration[] | undefined = useTools
+      ? tools!.map(t => {
+          const parameters = toGeminiSchema(t.parameters);
+          // Gemini rejects object schemas without properties, parameterless tools just omit them
+          const hasParameters = parameters?.properties && Object.keys(parameters.properties).length > 0;
+          return { name: t.name, description: t.description, ...(hasParameters ? { parameters } : {}) };
+        })
+      : undefined;
+
+    const result = await retry(() => genModel.generateContent({
+      contents: toGeminiContents(messages),
+      ...(functionDeclarations ? { tools: [{ functionDeclarations }] } : {}),
       generationConfig: {
         maxOutputTokens: maxTokens
       }
-    });
+    }));
     const response = await result.response;
-    return response.text() || '';
+    const parts = response.candidates?.[0]?.content?.parts ?? [];
+    return {
+      text: parts.map(p => p.text ?? '').join(''),
+      // Gemini has no call ids, make up stable ones so results can be paired with calls
+      toolCalls: parts.filter(p => p.functionCall).map((p, i) => ({
+        id: `gemini-call-${Date.now()}-${i}`,
+        name: p.functionCall!.name,
+        arguments: JSON.stringify(p.functionCall!.args ?? {})
+      })),
+      usage: {
+        promptTokens: response.usageMetadata?.promptTokenCount ?? 0,
+        completionTokens: response.usageMetadata?.candidatesTokenCount ?? 0
+      },
+      provider: lowerCaseProvider,
+      model: model_name
+    };
   }
 
   if (lowerCaseProvider === 'anthropic') {
-    if (!anthropicApiKey) throw new Error("Anthropic API key is required for 'anthropic' provider.");
-    const anthropic = new Anthropic({ apiKey: anthropicApiKey });
-    // Correctly map messages to Anthropic's MessageParam[] format with explicit roles
-    const anthropicMessages: MessageParam[] = messages.map(m => ({
-      role: (m.role === 'assistant' ? 'assistant' : 'user') as 'user' | 'assistant',
-      content: m.content as string
-    }));
-
-    const raw = await anthropic.messages.create({
-      model: (model || 'claude-3-sonnet-20240229') as any, // Use provided model or default
+    if (!anthropicApiKey) throw llmConfigError("Anthropic API key is required for 'anthropic' provider.");
+    const anthropic = new Anthropic({ apiKey: anthropicApiKey, maxRetries: 0, timeout });
+    const anthropicTools: AnthropicTool[] | undefined = useTools
+      ? tools!.map(t => ({ name: t.name, description: t.description, input_schema: { type: 'object', ...t.parameters } }))
+      : undefined;
+
+    const modelName = model || 'claude-3-sonnet-20240229'; // Use provided model or default
+    const raw = await retry(() => anthropic.messages.create({
+      model: modelName as any,
       max_tokens: maxTokens,
-      messages: anthropicMessages,
-    });
-    // Check if the first content block is a TextBlock before accessing text
-    const firstContent = raw.content[0];
-    return firstContent && firstContent.type === 'text' ? firstContent.text : '';
+      messages: toAnthropicMessages(messages),
+      ...(anthropicTools ? { tools: anthropicTools } : {})
+    }));
+    return {
+      text: raw.content.map(block => block.type === 'text' ? block.text : '').join(''),
+      toolCalls: raw.content.flatMap(block => block.type === 'tool_use'
+        ? [{ id: block.id, name: block.name, arguments: JSON.stringify(block.input ?? {}) }]
+        : []),
+      usage: {
+        promptTokens: raw.usage?.input_tokens ?? 0,
+        completionTokens: raw.usage?.output_tokens ?? 0
+      },
+      provider: lowerCaseProvider,
+      model: modelName
+    };
   }
 
-  throw new Error(`Unsupported provider '${lowerCaseProvider}'. Set LLM_PROVIDER env var to 'openai', 'openrouter', 'gemini', or 'anthropic'`);
+  throw llmConfigError(`Unsupported provider '${lowerCaseProvider}'. Set LLM_PROVIDER env var to 'openai', 'openrouter', 'gemini', or 'anthropic'`);
 }
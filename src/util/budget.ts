@@ -0,0 +1,64 @@
+// src/util/budget.ts
+import { readScenarioReports } from './reports.js';
+
+// Optional limits given to `start`; anything left out falls back to the defaults below
+export interface SessionBudget {
+  maxTotalTokens?: number;
+  maxRuntimeMinutes?: number;
+  maxConcurrentScenarios?: number;
+  maxTotalScenarios?: number;
+}
+
+export const DEFAULT_MAX_RUNTIME_MINUTES = 60;
+export const SCENARIO_TIMEOUT = 5 * 60 * 1000;
+
+// Logged by the mother when it stops early, `check` looks for it
+export const BUDGET_EXHAUSTED_PREFIX = 'Budget exhausted:';
+
+export interface BudgetUsage {
+  startTime: number;
+  totalTokens: number; // prompt + completion, mother and scenarios
+  scenariosSpawned: number;
+}
+
+export function getMaxRuntimeMs(budget: SessionBudget): number {
+  return (budget.maxRuntimeMinutes ?? DEFAULT_MAX_RUNTIME_MINUTES) * 60 * 1000;
+}
+
+export function getRemainingRuntimeMs(budget: SessionBudget, startTime: number): number {
+  return Math.max(0, getMaxRuntimeMs(budget) - (Date.now() - startTime));
+}
+
+// How many more scenarios may be spawned, Infinity without a cap
+export function getRemainingScenarios(budget: SessionBudget, scenariosSpawned: number): number {
+  return budget.maxTotalScenarios === undefined ? Infinity : Math.max(0, budget.maxTotalScenarios - scenariosSpawned);
+}
+
+export interface BudgetExhausted {
+  kind: 'runtime' | 'tokens' | 'scenarios';
+  reason: string;
+}
+
+// Why the session has to stop, or null while there's budget left
+export function checkBudget(budget: SessionBudget, usage: BudgetUsage): BudgetExhausted | null {
+  if (getRemainingRuntimeMs(budget, usage.startTime) === 0) {
+    return { kind: 'runtime', reason: `wall-clock limit of ${budget.maxRuntimeMinutes ?? DEFAULT_MAX_RUNTIME_MINUTES} minutes reached` };
+  }
+  if (budget.maxTotalTokens !== undefined && usage.totalTokens >= budget.maxTotalTokens) {
+    return { kind: 'tokens', reason: `token limit of ${budget.maxTotalTokens} reached (${usage.totalTokens} used)` };
+  }
+  return null;
+}
+
+/**
+ * Fallback summary when the mother can't be asked for one (e.g. the token budget is gone):
+ * lists what the scenarios found so the session still ends with something useful.
+ */
+export async function summarizeScenarioReports(sessionDir: string, reason: string): Promise<string> {
+  const reports = await readScenarioReports(sessionDir);
+  const lines = Object.values(reports).map(report =>
+    `- [${report.confirmed}, ${report.confidence} confidence] ${report.hypothesis}\n  ${report.conclusion}`);
+
+  return `Investigation stopped early: ${reason}. No verified solution was reached.\n\n` +
+    (lines.length ? `Scenario findings so far:\n${lines.join('\n')}` : 'No scenario reported before the budget ran out.');
+}
@@ -0,0 +1,203 @@
+// src/util/context-window.ts
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { ChatCompletionMessageParam } from 'openai/resources/chat/completions';
+import { DEEBO_ROOT } from './paths.js';
+import { log } from './logger.js';
+import { normalizeModel } from './usage.js';
+import { getSessionDir } from './sessions.js';
+import { toolResultMessage } from './tool-calls.js';
+
+const DEFAULT_CONTEXT_LIMIT = 128_000;
+// No tokenizer for every provider, so this estimates; code and JSON run close to 3 characters a token
+const CHARS_PER_TOKEN = 3;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const COMPACT_AT = 0.75; // share of the usable window that triggers a summary of older turns
+const KEEP_RECENT = 0.3; // share of the usable window the newest turns keep verbatim
+// The system prompt and the first user message (error, context, hypothesis) are never compacted
+const PINNED_MESSAGES = 2;
+const TRANSCRIPT_MESSAGE_CHARS = 2_000; // per message, in what the summarizer gets to read
+const DEFAULT_MAX_TOOL_RESULT_CHARS = 20_000;
+
+interface ContextLimitTable {
+  providers: Record<string, number>;
+  models: Record<string, number>;
+}
+
+let limitTable: ContextLimitTable | null = null;
+
+async function loadLimitTable(): Promise<ContextLimitTable> {
+  if (!limitTable) {
+    try {
+      const raw = JSON.parse(await readFile(join(DEEBO_ROOT, 'config', 'context-limits.json'), 'utf8'));
+      limitTable = {
+        providers: raw.providers ?? {},
+        models: Object.fromEntries(Object.entries(raw.models ?? {}).map(([model, limit]) => [normalizeModel(model), limit as number]))
+      };
+    } catch {
+      limitTable = { providers: {}, models: {} }; // no table, everything gets the default
+    }
+  }
+  return limitTable;
+}
+
+/**
+ * Context window of a model in tokens, from config/context-limits.json: the longest model
+ * entry the name starts with (like the price table), else the provider's default.
+ */
+export async function getContextLimit(provider: string | undefined, model: string | undefined): Promise<number> {
+  const table = await loadLimitTable();
+  if (model) {
+    const name = normalizeModel(model);
+    const match = Object.keys(table.models)
+      .filter(key => name.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    if (match) return table.models[match];
+  }
+  return table.providers[provider?.toLowerCase() ?? ''] ?? DEFAULT_CONTEXT_LIMIT;
+}
+
+function contentText(m: ChatCompletionMessageParam): string {
+  if (typeof m.content === 'string') return m.content;
+  if (Array.isArray(m.content)) return m.content.map(part => 'text' in part ? part.text : '').join('');
+  return '';
+}
+
+function messageChars(m: ChatCompletionMessageParam): number {
+  const toolCalls = m.role === 'assistant' && m.tool_calls
+    ? m.tool_calls.reduce((sum, tc) => sum + tc.function.name.length + tc.function.arguments.length, 0)
+    : 0;
+  return contentText(m).length + toolCalls;
+}
+
+export function estimateTokens(messages: ChatCompletionMessageParam[]): number {
+  return messages.reduce((sum, m) => sum + Math.ceil(messageChars(m) / CHARS_PER_TOKEN) + MESSAGE_OVERHEAD_TOKENS, 0);
+}
+
+// A native tool result can't lose the assistant turn that called it, so a cut never lands on one
+function nextCutPoint(messages: ChatCompletionMessageParam[], index: number): number {
+  while (index < messages.length && messages[index].role === 'tool') index++;
+  return index;
+}
+
+/**
+ * Last line of defence in callLlm: drops the oldest unpinned turns until the history fits in
+ * `maxTokens`. The agents summarize long before this, it only fires when that wasn't enough.
+ */
+export function fitMessagesToLimit(messages: ChatCompletionMessageParam[], maxTokens: number): ChatCompletionMessageParam[] {
+  if (estimateTokens(messages) <= maxTokens || messages.length <= PINNED_MESSAGES + 1) return messages;
+  const pinned = messages.slice(0, PINNED_MESSAGES);
+  let start = PINNED_MESSAGES;
+  const note = (dropped: number): ChatCompletionMessageParam => ({
+    role: 'user',
+    content: `[${dropped} earlier messages were dropped to fit the model's context window.]`
+  });
+  while (start < messages.length - 1) {
+    start = nextCutPoint(messages, start + 1);
+    const candidate = [...pinned, note(start - PINNED_MESSAGES), ...messages.slice(start)];
+    if (estimateTokens(candidate) <= maxTokens || start >= messages.length - 1) return candidate;
+  }
+  return [...pinned, note(messages.length - 1 - PINNED_MESSAGES), ...messages.slice(-1)];
+}
+
+function transcript(messages: ChatCompletionMessageParam[]): string {
+  return messages.map(m => {
+    let text = contentText(m);
+    if (m.role === 'assistant' && m.tool_calls?.length) {
+      text += m.tool_calls.map(tc => `\n<tool call ${tc.function.name}(${tc.function.arguments})>`).join('');
+    }
+    if (text.length > TRANSCRIPT_MESSAGE_CHARS) text = `${text.slice(0, TRANSCRIPT_MESSAGE_CHARS)} [...]`;
+    return `[${m.role === 'tool' ? 'tool result' : m.role}]\n${text}`;
+  }).join('\n\n');
+}
+
+function summaryRequest(messages: ChatCompletionMessageParam[]): ChatCompletionMessageParam[] {
+  return [{
+    role: 'user',
+    content: `Below is the middle part of a debugging agent's conversation: its own turns, tool results and notes it received. It is being replaced by your summary to free up the context window, so anything you leave out is gone.
+Write a dense summary that keeps:
+- every hypothesis tested and its verdict, with the evidence
+- concrete findings: file paths, function names, line numbers, error messages, command results
+- what was tried and ruled out, and why
+- changes made to files, and decisions still pending
+Skip pleasantries and repeated tool output. Plain text, no more than about 800 words.
+
+${transcript(messages)}`
+  }];
+}
+
+export interface ContextManager {
+  // Tool output for the history; oversized output is cut down and stored whole in the session
+  toolResult(call: { id?: string }, tool: string, content: string): Promise<ChatCompletionMessageParam>;
+  // Summarizes older turns in place once the history nears the model's context window
+  fit(messages: ChatCompletionMessageParam[]): Promise<void>;
+}
+
+/**
+ * One per agent. `summarize` runs the summary request through the agent's own model (and
+ * logs its usage). DEEBO_MAX_TOOL_RESULT_CHARS sets how much of a tool result stays inline.
+ */
+export function createContextManager(options: {
+  sessionId: string;
+  agentName: string;
+  repoPath: string;
+  provider?: string;
+  model?: string;
+  fallbacks?: { provider: string; model?: string }[]; // any of them may answer, so the smallest window counts
+  maxTokens?: number; // the completion budget, it comes out of the same window
+  summarize: (messages: ChatCompletionMessageParam[]) => Promise<string>;
+}): ContextManager {
+  const { sessionId, agentName, repoPath } = options;
+  const outputsDir = join(getSessionDir(repoPath, sessionId), 'tool-outputs', agentName);
+  const parsedMax = parseInt(process.env.DEEBO_MAX_TOOL_RESULT_CHARS ?? '', 10);
+  const maxToolResultChars = Number.isNaN(parsedMax) || parsedMax <= 0 ? DEFAULT_MAX_TOOL_RESULT_CHARS : parsedMax;
+  let stored = 0;
+
+  return {
+    async toolResult(call, tool, content) {
+      if (content.length <= maxToolResultChars) return toolResultMessage(call, content);
+      await mkdir(outputsDir, { recursive: true });
+      const path = join(outputsDir, `${Date.now()}-${stored++}-${tool.replace(/[^\w-]/g, '_')}.txt`);
+      await writeFile(path, content, 'utf8');
+      const head = Math.floor(maxToolResultChars * 0.7);
+      const tail = maxToolResultChars - head;
+      await log(sessionId, agentName, 'debug', `Truncated ${tool} output (${content.length} chars), full copy at ${path}`, { repoPath });
+      return toolResultMessage(call, `${content.slice(0, head)}\n\n[... ${content.length - head - tail} characters omitted. The full output is saved at ${path}, read the parts you need from there with read_file ...]\n\n${content.slice(-tail)}`);
+    },
+
+    async fit(messages) {
+      const limits = await Promise.all([{ provider: options.provider, model: options.model }, ...(options.fallbacks ?? [])]
+        .map(target => getContextLimit(target.provider, target.model)));
+      const usable = Math.min(...limits) - (options.maxTokens ?? 4096);
+      const before = estimateTokens(messages);
+      if (before <= usable * COMPACT_AT) return;
+
+      // The newest turns stay as they are, everything between them and the pinned messages is summarized
+      let tailStart = messages.length;
+      let tailTokens = 0;
+      while (tailStart > PINNED_MESSAGES + 1) {
+        const tokens = estimateTokens([messages[tailStart - 1]]);
+        if (tailTokens + tokens > usable * KEEP_RECENT) break;
+        tailTokens += tokens;
+        tailStart--;
+      }
+      tailStart = nextCutPoint(messages, tailStart);
+      const middle = messages.slice(PINNED_MESSAGES, tailStart);
+      if (middle.length < 2) return; // nothing worth summarizing, callLlm trims if it must
+
+      let summary: string;
+      try {
+        summary = (await options.summarize(summaryRequest(middle))).trim();
+        if (!summary) throw new Error('empty summary');
+      } catch (err) {
+        await log(sessionId, agentName, 'warn', `Summarizing older turns failed, dropping them instead: ${err instanceof Error ? err.message : String(err)}`, { repoPath });
+        summary = '(The summary could not be generated. Re-check anything you need from these turns.)';
+      }
+      messages.splice(PINNED_MESSAGES, middle.length, {
+        role: 'user',
+        content: `CONVERSATION SUMMARY (${middle.length} earlier messages were compacted to fit the context window):\n${summary}`
+      });
+      await log(sessionId, agentName, 'info', `Compacted ${middle.length} older messages into a summary (~${before} -> ~${estimateTokens(messages)} tokens)`, { repoPath, contextTokens: usable });
+    }
+  };
+}
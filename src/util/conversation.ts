@@ -0,0 +1,96 @@
+// src/util/conversation.ts
+import { readFile, writeFile, readdir } from 'fs/promises';
+import { join } from 'path';
+import { ChatCompletionMessageParam } from 'openai/resources/chat/completions';
+import { getSessionStatus } from './session-status.js';
+import { readSessionMeta } from './sessions.js';
+
+// The mother's conversation, saved every turn so `resume` can pick up where the session stopped
+export interface MotherConversation {
+  messages: ChatCompletionMessageParam[];
+  observationsSeen: number; // mother observations already in `messages`
+  reportsSeen?: string[]; // scenarios whose report is already in `messages`, missing in older saves
+  updatedAt: string;
+}
+
+const CONVERSATION_FILE = 'mother-conversation.json';
+
+export async function saveConversation(sessionDir: string, messages: ChatCompletionMessageParam[], observationsSeen: number, reportsSeen: string[]): Promise<void> {
+  const conversation: MotherConversation = { messages, observationsSeen, reportsSeen, updatedAt: new Date().toISOString() };
+  await writeFile(join(sessionDir, CONVERSATION_FILE), JSON.stringify(conversation), 'utf8');
+}
+
+export async function loadConversation(sessionDir: string): Promise<MotherConversation | null> {
+  let conversation: MotherConversation;
+  try {
+    conversation = JSON.parse(await readFile(join(sessionDir, CONVERSATION_FILE), 'utf8'));
+  } catch {
+    return null; // sessions from before conversations were saved
+  }
+  return { ...conversation, messages: completeToolCalls(conversation.messages) };
+}
+
+/**
+ * Answers native tool calls that never got a result. The conversation is saved right after
+ * each assistant turn, so a session that stopped while its tools ran ends on calls the
+ * providers won't accept without results.
+ */
+export function completeToolCalls(messages: ChatCompletionMessageParam[]): ChatCompletionMessageParam[] {
+  const answered = new Set(messages.flatMap(m => m.role === 'tool' ? [m.tool_call_id] : []));
+  const completed: ChatCompletionMessageParam[] = [];
+  for (let i = 0; i < messages.length; i++) {
+    const message = messages[i];
+    completed.push(message);
+    if (message.role !== 'assistant' || !message.tool_calls?.length) continue;
+    // Results go after the ones that did come back, before the next turn
+    while (messages[i + 1]?.role === 'tool') completed.push(messages[++i]);
+    for (const call of message.tool_calls) {
+      if (answered.has(call.id)) continue;
+      completed.push({ role: 'tool', tool_call_id: call.id, content: 'Not run: the session stopped before this tool call finished. Call it again if you still need it.' });
+    }
+  }
+  return completed;
+}
+
+// First free scenario index, so a resumed session never reuses an id (and with it a branch or report)
+export async function nextScenarioIndex(sessionDir: string, sessionId: string): Promise<number> {
+  const names = [
+    ...await readdir(join(sessionDir, 'reports')).catch(() => [] as string[]),
+    ...await readdir(join(sessionDir, 'logs')).catch(() => [] as string[])
+  ];
+  const pattern = new RegExp(`^(?:scenario-)?${sessionId}-(\\d+)\\.(?:json|log)$`);
+  let next = 0;
+  for (const name of names) {
+    const match = name.match(pattern);
+    if (match) next = Math.max(next, parseInt(match[1], 10) + 1);
+  }
+  return next;
+}
+
+/**
+ * What a session found, as context for the mother: its outcome, the solution if any,
+ * and every scenario's hypothesis and verdict. Used to resume without a saved
+ * conversation and to seed forks.
+ */
+export async function describeSessionOutcome(sessionId: string, sessionDir: string): Promise<string> {
+  const status = await getSessionStatus(sessionId, sessionDir, new Set());
+  // The registry knows how it ended even when the logs don't say (crashed server, killed process)
+  const meta = await readSessionMeta(sessionDir);
+  const outcome = meta && meta.state !== 'running' ? meta.state : status.status;
+  const lines = [`Session ${sessionId} ended as: ${outcome}${status.budgetExhausted ? ` (stopped early: ${status.budgetExhausted})` : ''}`];
+  if (status.solution) {
+    lines.push(`Its proposed solution:\n${status.solution}`);
+  }
+  const scenarios = status.scenarios.filter(s => s.state === 'reported');
+  if (scenarios.length) {
+    lines.push('Scenario outcomes:');
+    for (const scenario of scenarios) {
+      lines.push(`- [CONFIRMED: ${scenario.confirmed}${scenario.confidence ? `, ${scenario.confidence} confidence` : ''}] ${scenario.hypothesis}`);
+      if (scenario.conclusion) lines.push(`  Conclusion: ${scenario.conclusion}`);
+      else if (scenario.evidence.length) lines.push(`  Evidence: ${scenario.evidence.join(' ')}`);
+    }
+  } else {
+    lines.push('No scenario reported.');
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,34 @@
+// src/util/events.ts
+import { EventEmitter } from 'events';
+
+export type SessionEventType =
+  | 'stage'              // mother moved to another OODA stage
+  | 'scenario_spawned'
+  | 'scenario_reported'
+  | 'observation'        // the mother took in an observation
+  | 'repro_baseline'     // the repro command's run on the base commit
+  | 'solution'
+  | 'session_ended';     // completed, failed or cancelled; last event of a run
+
+export interface SessionEvent {
+  sessionId: string;
+  type: SessionEventType;
+  message: string;
+  data?: Record<string, unknown>;
+  timestamp: string;
+}
+
+// The mother agent runs inside the server process, so a plain emitter is enough to reach the MCP connection
+const sessionEvents = new EventEmitter();
+sessionEvents.setMaxListeners(0); // one listener per connected client, the HTTP daemon can have many
+
+export function emitSessionEvent(sessionId: string, type: SessionEventType, message: string, data?: Record<string, unknown>) {
+  const event: SessionEvent = { sessionId, type, message, data, timestamp: new Date().toISOString() };
+  sessionEvents.emit('event', event);
+}
+
+// Returns the unsubscribe function
+export function onSessionEvent(listener: (event: SessionEvent) => void): () => void {
+  sessionEvents.on('event', listener);
+  return () => sessionEvents.off('event', listener);
+}
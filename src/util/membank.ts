@@ -1,9 +1,247 @@
 // src/util/membank.js
 import { join } from 'path';
-import { writeFile } from 'fs/promises';
-import { DEEBO_ROOT } from '../index.js';
+import { writeFile, readFile, readdir, stat, mkdir } from 'fs/promises';
+import { DEEBO_ROOT } from './paths.js';
+import { listIndexedSessions, SessionIndexEntry } from './session-index.js';
 
-export async function updateMemoryBank(projectId: string, content: string, file: 'activeContext' | 'progress'): Promise<void> {
-  const path = join(DEEBO_ROOT, 'memory-bank', projectId, `${file}.md`);
-  await writeFile(path, '\n' + content, { flag: 'a' });
-}
\ No newline at end of file
+export type MemoryBankFile = 'activeContext' | 'progress';
+
+const MEMORY_BANK_FILES: MemoryBankFile[] = ['activeContext', 'progress'];
+const DEFAULT_MAX_KB = 128;
+const KEEP_RATIO = 0.5; // a compacted file keeps its newest entries up to half the limit
+const DIGEST_FILE = 'digest.md';
+const ARCHIVE_DIR = 'archive';
+const DIGEST_MAX_CHARS = 24_000;
+const DIGEST_DETAILED_CHARS = 16_000; // past this, sessions get one line each
+const DIGEST_FIX_CHARS = 400;
+const DIGEST_ARCHIVE_CHARS = 8_000; // on top of DIGEST_MAX_CHARS, for the archived notes
+const ARCHIVE_LINE_CHARS = 240;
+const COMPACTED_NOTE = '> Older entries were compacted:';
+
+// Hypothesis records and session records both start with a recognisable header
+const ENTRY_START = /^[ \t]*(?:={3,}[ \t]*\r?\n[ \t]*AUTOMATED HYPOTHESIS RECORD|## )/gm;
+
+export interface MemoryBankStatus {
+  limitBytes: number; // 0 when compaction is off
+  files: Record<MemoryBankFile | 'digest', number>; // sizes in bytes, 0 for missing files
+  archives: string[];
+}
+
+export interface CompactionResult {
+  file: MemoryBankFile;
+  archivedEntries: number;
+  keptEntries: number;
+  archivePath: string | null;
+  bytesBefore: number;
+  bytesAfter: number;
+}
+
+// DEEBO_MEMORY_BANK_MAX_KB caps each memory bank file of a project, 0 turns compaction off
+export function getMemoryBankLimitBytes(): number {
+  const kb = parseInt(process.env.DEEBO_MEMORY_BANK_MAX_KB ?? '', 10);
+  return (Number.isNaN(kb) || kb < 0 ? DEFAULT_MAX_KB : kb) * 1024;
+}
+
+function projectDir(projectId: string): string {
+  return join(DEEBO_ROOT, 'memory-bank', projectId);
+}
+
+async function fileSize(path: string): Promise<number> {
+  return stat(path).then(s => s.size, () => 0);
+}
+
+// Appends and compactions of a project go one at a time so a compaction can't drop an append
+const pendingWrites = new Map<string, Promise<unknown>>();
+
+function enqueue<T>(projectId: string, task: () => Promise<T>): Promise<T> {
+  const next = (pendingWrites.get(projectId) ?? Promise.resolve()).catch(() => undefined).then(task);
+  pendingWrites.set(projectId, next);
+  return next;
+}
+
+/**
+ * Runs `task` in line with the project's appends and compactions. For writes Deebo doesn't
+ * make itself, like the mother's edit_file calls on activeContext.md, so a compaction can't
+ * rewrite the file under them.
+ */
+export function withMemoryBankLock<T>(projectId: string, task: () => Promise<T>): Promise<T> {
+  return enqueue(projectId, task);
+}
+
+export async function updateMemoryBank(projectId: string, content: string, file: MemoryBankFile): Promise<void> {
+  const path = join(projectDir(projectId), `${file}.md`);
+  await enqueue(projectId, async () => {
+    await writeFile(path, '\n' + content, { flag: 'a' });
+    const limit = getMemoryBankLimitBytes();
+    if (limit && await fileSize(path) > limit) {
+      await compactFile(projectId, file, Math.floor(limit * KEEP_RATIO));
+      await writeDigest(projectId);
+    }
+  });
+}
+
+// Splits a memory bank file into its entries; text before the first header is an entry of its own
+function splitEntries(text: string): string[] {
+  const starts = [...text.matchAll(ENTRY_START)].map(match => match.index!);
+  if (!starts.length || starts[0] !== 0) starts.unshift(0);
+  return starts.map((start, i) => text.slice(start, starts[i + 1] ?? text.length)).filter(entry => entry.trim());
+}
+
+/**
+ * Moves the oldest entries of a file to archive/ until what's left fits in `keepBytes`
+ * (the newest entry always stays). The file then points at the archive and the digest.
+ */
+async function compactFile(projectId: string, file: MemoryBankFile, keepBytes: number): Promise<CompactionResult> {
+  const path = join(projectDir(projectId), `${file}.md`);
+  const original = await readFile(path, 'utf8').catch(() => '');
+  // the note from an earlier compaction isn't an entry, it gets rewritten below
+  const text = original.split('\n').filter(line => !line.startsWith(COMPACTED_NOTE)).join('\n');
+  const entries = splitEntries(text);
+
+  let kept = 0;
+  let keptBytes = 0;
+  while (kept < entries.length) {
+    const size = Buffer.byteLength(entries[entries.length - 1 - kept]);
+    if (kept > 0 && keptBytes + size > keepBytes) break;
+    keptBytes += size;
+    kept++;
+  }
+  const archived = entries.slice(0, entries.length - kept);
+  const result: CompactionResult = {
+    file,
+    archivedEntries: archived.length,
+    keptEntries: kept,
+    archivePath: null,
+    bytesBefore: Buffer.byteLength(original),
+    bytesAfter: Buffer.byteLength(original)
+  };
+  if (!archived.length) return result;
+
+  const archiveDir = join(projectDir(projectId), ARCHIVE_DIR);
+  await mkdir(archiveDir, { recursive: true });
+  const archivePath = join(archiveDir, `${file}-${new Date().toISOString().replace(/[:.]/g, '-')}.md`);
+  await writeFile(archivePath, archived.join(''), 'utf8');
+
+  const compacted = `${COMPACTED_NOTE} originals in ${ARCHIVE_DIR}/, a summary of every session in ${DIGEST_FILE}.\n` +
+    entries.slice(entries.length - kept).join('');
+  await writeFile(path, compacted, 'utf8');
+  return { ...result, archivePath, bytesAfter: Buffer.byteLength(compacted) };
+}
+
+function describeSession(entry: SessionIndexEntry): string {
+  const lines = [`### ${entry.sessionId} (${entry.startedAt.slice(0, 10)}, ${entry.outcome})`, `Error: ${entry.errorSignature}`];
+  if (entry.filePath) lines.push(`File: ${entry.filePath}`);
+  for (const h of entry.hypotheses) {
+    lines.push(`- [${h.confirmed}] ${h.hypothesis}`);
+  }
+  if (entry.fix) {
+    const fix = entry.fix.length > DIGEST_FIX_CHARS ? `${entry.fix.slice(0, DIGEST_FIX_CHARS - 3)}...` : entry.fix;
+    lines.push(`Fix: ${fix}`);
+  }
+  return lines.join('\n');
+}
+
+function truncate(text: string, max: number): string {
+  return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+}
+
+// One line per archived entry: the hypotheses of a hypothesis record, else its heading and first line
+function describeArchivedEntry(entry: string): string {
+  const hypotheses = [...entry.matchAll(/<hypothesis>([\s\S]*?)<\/hypothesis>/g)].map(match => match[1].trim().replace(/\s+/g, ' '));
+  if (hypotheses.length) {
+    const date = entry.match(/Timestamp: (\S+)/)?.[1]?.slice(0, 10);
+    return `- ${truncate(`Hypotheses${date ? ` (${date})` : ''}: ${hypotheses.join('; ')}`, ARCHIVE_LINE_CHARS)}`;
+  }
+  const [heading = '', first] = entry.split('\n').map(line => line.trim()).filter(line => line && !/^=+$/.test(line));
+  const title = heading.replace(/^#+\s*/, '');
+  return `- ${truncate(first ? `${title}: ${first}` : title, ARCHIVE_LINE_CHARS)}`;
+}
+
+// What compactions moved to archive/, newest first, a line per entry
+async function describeArchives(projectId: string): Promise<string> {
+  const archiveDir = join(projectDir(projectId), ARCHIVE_DIR);
+  const files = (await readdir(archiveDir).catch(() => [] as string[]))
+    .filter(name => name.endsWith('.md'))
+    .sort((a, b) => b.slice(b.indexOf('-')).localeCompare(a.slice(a.indexOf('-')))); // by timestamp, whichever file
+  if (!files.length) return '';
+
+  let section = `\n## Archived notes\nWhat compactions moved out of activeContext.md and progress.md, newest first, one line per entry.\n`;
+  let total = 0;
+  let shown = 0;
+  for (const name of files) {
+    const entries = splitEntries(await readFile(join(archiveDir, name), 'utf8').catch(() => '')).reverse();
+    for (const entry of entries) {
+      total++;
+      const line = `${describeArchivedEntry(entry)} (${name})\n`;
+      if (section.length + line.length > DIGEST_ARCHIVE_CHARS) continue;
+      section += line;
+      shown++;
+    }
+  }
+  if (shown < total) section += `\n...and ${total - shown} older archived entries, see ${ARCHIVE_DIR}/.\n`;
+  return section;
+}
+
+/**
+ * digest.md: every recorded session of the project, newest first, bounded in size.
+ * The newest get their hypotheses and fix, older ones a line each, the oldest only a count.
+ * Then a line for each entry compactions archived.
+ */
+export async function buildDigest(projectId: string): Promise<string> {
+  const sessions = (await listIndexedSessions(projectId)).slice().reverse();
+  let digest = `# Debugging digest\nGenerated ${new Date().toISOString()} from ${sessions.length} recorded session(s), newest first. Full records are in ${ARCHIVE_DIR}/ and each session's directory.\n`;
+
+  let shown = 0;
+  for (const entry of sessions) {
+    const section = digest.length < DIGEST_DETAILED_CHARS
+      ? `\n${describeSession(entry)}\n`
+      : `- ${entry.sessionId} (${entry.startedAt.slice(0, 10)}, ${entry.outcome}): ${entry.errorSignature}${entry.fix ? ' [fixed]' : ''}\n`;
+    if (digest.length + section.length > DIGEST_MAX_CHARS) break;
+    digest += section;
+    shown++;
+  }
+  if (shown < sessions.length) {
+    digest += `\n...and ${sessions.length - shown} older session(s), see session-index.json.\n`;
+  }
+  return digest + await describeArchives(projectId);
+}
+
+async function writeDigest(projectId: string): Promise<string> {
+  const path = join(projectDir(projectId), DIGEST_FILE);
+  await writeFile(path, await buildDigest(projectId), 'utf8');
+  return path;
+}
+
+// Rebuilds digest.md from the session index, e.g. after a session was recorded
+export function rebuildDigest(projectId: string): Promise<string> {
+  return enqueue(projectId, () => writeDigest(projectId));
+}
+
+/**
+ * Compacts the project's memory bank files now instead of waiting for the limit:
+ * each keeps its newest entries up to half the limit (or `keepBytes`), then the digest is rebuilt.
+ */
+export function compactMemoryBank(projectId: string, keepBytes?: number): Promise<CompactionResult[]> {
+  return enqueue(projectId, async () => {
+    const keep = keepBytes ?? Math.floor((getMemoryBankLimitBytes() || DEFAULT_MAX_KB * 1024) * KEEP_RATIO);
+    const results: CompactionResult[] = [];
+    for (const file of MEMORY_BANK_FILES) {
+      results.push(await compactFile(projectId, file, keep));
+    }
+    await writeDigest(projectId);
+    return results;
+  });
+}
+
+export async function getMemoryBankStatus(projectId: string): Promise<MemoryBankStatus> {
+  const dir = projectDir(projectId);
+  return {
+    limitBytes: getMemoryBankLimitBytes(),
+    files: {
+      activeContext: await fileSize(join(dir, 'activeContext.md')),
+      progress: await fileSize(join(dir, 'progress.md')),
+      digest: await fileSize(join(dir, DIGEST_FILE))
+    },
+    archives: (await readdir(join(dir, ARCHIVE_DIR)).catch(() => [] as string[])).sort()
+  };
+}
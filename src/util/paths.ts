@@ -0,0 +1,7 @@
+// src/util/paths.ts
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+// Lives outside index.ts so scenario processes can resolve paths without
+// importing (and starting) the MCP server as a side effect
+export const DEEBO_ROOT = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
@@ -0,0 +1,490 @@
+// src/util/policy.ts
+import { readFile, writeFile } from 'fs/promises';
+import { join, resolve, relative, isAbsolute, basename } from 'path';
+import { homedir } from 'os';
+import { DEEBO_ROOT } from './paths.js';
+import { getSessionDir } from './sessions.js';
+import { getProjectId } from './sanitize.js';
+import { log } from './logger.js';
+import { AgentRole } from './mcp.js';
+
+export const AUDIT_LOG_FILE = 'audit.log';
+
+// A pattern is a glob: `*` is anything (within one path segment for paths), `**` spans segments
+export type PolicyRule = string | { pattern: string; reason?: string };
+
+export interface PolicyRules {
+  // "tool" matches that tool on any server, "server/tool" one server's tool; deny wins over allow
+  tools?: { allow?: PolicyRule[]; deny?: PolicyRule[] };
+  // Matched against every command of a shell line, after unwrapping `bash -c`, `env` and the like
+  // and sorting short flags (so `rm -rf*` also catches `rm -r -f` and `rm -Rf`), see resolveShell
+  commands?: { allow?: PolicyRule[]; deny?: PolicyRule[] };
+  // Paths outside the agent's roots are denied unless allowed; denied paths are denied everywhere
+  paths?: { allow?: PolicyRule[]; deny?: PolicyRule[] };
+}
+
+// Shape of config/policy.json
+export interface PolicyConfig extends PolicyRules {
+  shellTools?: string[]; // tools whose `command` argument is a shell command
+  readTools?: string[]; // tools that only read, the only ones allowed into read-only roots
+  agents?: Partial<Record<AgentRole, PolicyRules>>; // added on top of the shared rules
+}
+
+export interface PolicyViolation {
+  kind: 'tool' | 'command' | 'path';
+  rule: string; // e.g. "commands.deny: git push*"
+  reason: string;
+  subject: string; // the tool, command or path that was refused
+}
+
+export interface AuditEntry {
+  timestamp: string;
+  agent: string;
+  server: string;
+  tool: string;
+  decision: 'allowed' | 'denied';
+  violation?: PolicyViolation;
+}
+
+export interface AuditSummary {
+  toolCalls: number;
+  denied: number;
+  byRule: Record<string, number>;
+  byAgent: Record<string, { toolCalls: number; denied: number }>;
+  recentViolations: (PolicyViolation & { agent: string; timestamp: string })[];
+}
+
+// Argument names that hold file system paths across git-mcp and desktopCommander
+const PATH_ARGUMENT = /(^|_)(path|paths|source|destination|directory|cwd)$/i;
+
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh']);
+// Words that start a line without being the command that runs
+const SHELL_KEYWORDS = new Set(['if', 'then', 'else', 'elif', 'do', 'while', 'until', '!', '{', '}', 'time']);
+// Commands that run the command after them; the value is the options that take an argument
+const WRAPPERS: Record<string, string[]> = {
+  env: ['-u', '-C', '--unset', '--chdir'],
+  command: [],
+  exec: ['-a'],
+  nohup: [],
+  nice: ['-n', '--adjustment'],
+  sudo: ['-u', '-g', '-h', '-p', '-C', '-U', '--user', '--group'],
+  xargs: ['-I', '-n', '-P', '-d', '-E', '-L', '-s', '-a'],
+  timeout: ['-s', '-k', '--signal', '--kill-after'],
+  stdbuf: ['-i', '-o', '-e']
+};
+// Commands whose first argument is a subcommand, so `git push -f` keeps `push` ahead of the flags
+const SUBCOMMAND_TOOLS = new Set(['git', 'npm', 'pnpm', 'yarn', 'docker', 'cargo', 'pip', 'gh']);
+// git's global options, `git -C . push` is a push; the listed ones take an argument
+const GIT_GLOBAL_WITH_VALUE = new Set(['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--exec-path', '--config-env']);
+// Spellings of the same flag, folded into one short letter before matching
+const FLAG_ALIASES: Record<string, Record<string, string>> = {
+  rm: { '-R': 'r', '--recursive': 'r', '--force': 'f' }
+};
+const MAX_SHELL_DEPTH = 4;
+
+export async function loadPolicy(): Promise<PolicyConfig> {
+  try {
+    return JSON.parse(await readFile(join(DEEBO_ROOT, 'config', 'policy.json'), 'utf-8'));
+  } catch (err: any) {
+    if (err.code === 'ENOENT') return {}; // no policy file, nothing is restricted
+    throw new Error(`config/policy.json is invalid: ${err.message}`);
+  }
+}
+
+function expandHome(value: string): string {
+  return value === '~' || value.startsWith('~/') ? join(homedir(), value.slice(1)) : value;
+}
+
+function globToRegExp(glob: string, pathMode: boolean): RegExp {
+  const source = glob.split(/(\*\*|\*|\?)/).map(part => {
+    if (part === '**') return '.*';
+    if (part === '*') return pathMode ? '[^/]*' : '.*';
+    if (part === '?') return pathMode ? '[^/]' : '.';
+    return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`);
+}
+
+function ruleOf(rule: PolicyRule): { pattern: string; reason?: string } {
+  return typeof rule === 'string' ? { pattern: rule } : rule;
+}
+
+// A command pattern is canonicalised like the commands it's matched against: a flag cluster
+// (`-rf`, optionally ending in `*`) matches any cluster that has those flags, in whatever order
+function commandPatternToRegExp(pattern: string): RegExp {
+  const words = pattern.trim().split(/\s+/);
+  const aliases = FLAG_ALIASES[basename(words[0] ?? '')] ?? {};
+  const source = words.map((word, i) => {
+    const cluster = i > 0 ? word.match(/^-([A-Za-z]+)(\*?)$/) : null;
+    if (!cluster) return globToRegExp(word, false).source.slice(1, -1);
+    const letters = [...new Set([...cluster[1]].map(letter => aliases[`-${letter}`] ?? letter))].sort();
+    return `-[A-Za-z]*${letters.join('[A-Za-z]*')}[A-Za-z]*${cluster[2] ? '.*' : ''}`;
+  }).join(' ');
+  return new RegExp(`^${source}$`);
+}
+
+function findRule(rules: PolicyRule[] | undefined, subjects: string[], mode: 'path' | 'command' | 'name' = 'name'): { pattern: string; reason?: string } | null {
+  for (const rule of (rules ?? []).map(ruleOf)) {
+    const pattern = mode === 'command'
+      ? commandPatternToRegExp(rule.pattern)
+      : globToRegExp(mode === 'path' ? expandHome(rule.pattern) : rule.pattern, mode === 'path');
+    if (subjects.some(subject => pattern.test(subject))) return rule;
+  }
+  return null;
+}
+
+// The shared rules with the agent's own rules appended
+function rulesFor(policy: PolicyConfig, role: AgentRole): Record<keyof PolicyRules, { allow: PolicyRule[]; deny: PolicyRule[] }> {
+  const own = policy.agents?.[role] ?? {};
+  const merge = (key: keyof PolicyRules) => ({
+    allow: [...(policy[key]?.allow ?? []), ...(own[key]?.allow ?? [])],
+    deny: [...(policy[key]?.deny ?? []), ...(own[key]?.deny ?? [])]
+  });
+  return { tools: merge('tools'), commands: merge('commands'), paths: merge('paths') };
+}
+
+// One simple command of a shell line: its words with quotes removed, and where it redirects to
+interface ShellCommand {
+  words: string[];
+  redirects: string[];
+}
+
+/**
+ * Splits a shell line into simple commands on ; & && || | ( ) ` and newlines outside quotes.
+ * Not a full shell parser, just enough that quoting or chaining can't hide a command.
+ */
+function lexShell(input: string): ShellCommand[] {
+  const commands: ShellCommand[] = [];
+  let words: string[] = [];
+  let redirects: string[] = [];
+  let word = '';
+  let inWord = false;
+  let redirectNext = false;
+  const pushWord = () => {
+    if (!inWord) return;
+    (redirectNext ? redirects : words).push(word);
+    redirectNext = false;
+    word = '';
+    inWord = false;
+  };
+  const endCommand = () => {
+    pushWord();
+    if (words.length || redirects.length) commands.push({ words, redirects });
+    words = [];
+    redirects = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (c === "'") {
+      const end = input.indexOf("'", i + 1);
+      const stop = end < 0 ? input.length : end;
+      word += input.slice(i + 1, stop);
+      inWord = true;
+      i = stop;
+    } else if (c === '"') {
+      let j = i + 1;
+      for (; j < input.length && input[j] !== '"'; j++) {
+        if (input[j] === '\\' && j + 1 < input.length) j++;
+        word += input[j];
+      }
+      inWord = true;
+      i = j;
+    } else if (c === '\\' && i + 1 < input.length) {
+      if (input[i + 1] !== '\n') word += input[i + 1];
+      inWord = true;
+      i++;
+    } else if (c === '>' || c === '<') {
+      // `2>&1` and `>>` are one redirection, a file descriptor number before it isn't a word
+      if (inWord && /^\d+$/.test(word)) {
+        word = '';
+        inWord = false;
+      } else {
+        pushWord();
+      }
+      while (input[i + 1] === '>' || input[i + 1] === '&') i++;
+      redirectNext = true;
+    } else if (';&|()`\n'.includes(c)) {
+      endCommand();
+    } else if (/\s/.test(c)) {
+      pushWord();
+    } else {
+      word += c;
+      inWord = true;
+    }
+  }
+  endCommand();
+
+  // $(...) inside double quotes still runs, parse substitutions on their own as well
+  for (const match of input.matchAll(/\$\(([^()]*)\)/g)) {
+    if (match[1].trim() && match[1] !== input) commands.push(...lexShell(match[1]));
+  }
+  return commands;
+}
+
+// A command as the policy judges it
+interface ResolvedCommand {
+  spellings: string[]; // every wrapper level as written, then the canonical command; deny rules see all
+  command: string; // canonical form of what actually runs, what allow rules are matched against
+  name: string;
+  args: string[]; // arguments of what actually runs, quotes removed
+  paths: string[]; // path-like arguments and redirection targets, across all levels
+}
+
+function isOption(word: string): boolean {
+  return word.startsWith('-') && word !== '-';
+}
+
+// Arguments that may name files: everything that isn't an option, plus the value of --opt=value
+function pathArguments(words: string[]): string[] {
+  return words.flatMap(word => {
+    if (!isOption(word)) return word && !/^\$+$/.test(word) ? [word] : [];
+    const value = word.match(/^--[^=]+=(.+)$/)?.[1];
+    return value && /[/~.]/.test(value[0]) ? [value] : [];
+  });
+}
+
+/**
+ * The canonical spelling of a command: program basename, git's global options dropped,
+ * subcommand kept in front, and all short flags (aliases folded) sorted into one cluster.
+ * `/bin/rm -r x -f` becomes `rm -fr x`, `git -C . push -f` becomes `git push -f`.
+ */
+function canonicalCommand(words: string[]): string {
+  const name = basename(words[0]);
+  let rest = words.slice(1);
+  if (name === 'git') {
+    while (rest.length && isOption(rest[0])) {
+      const option = rest.shift()!;
+      if (GIT_GLOBAL_WITH_VALUE.has(option)) rest.shift();
+    }
+  }
+  const lead = [name];
+  if (SUBCOMMAND_TOOLS.has(name) && rest.length && !isOption(rest[0])) lead.push(rest.shift()!);
+
+  const aliases = FLAG_ALIASES[name] ?? {};
+  const flags = new Set<string>();
+  const others: string[] = [];
+  let endOfOptions = false;
+  for (const word of rest) {
+    if (!endOfOptions && word === '--') {
+      endOfOptions = true;
+    } else if (!endOfOptions && aliases[word]) {
+      flags.add(aliases[word]);
+    } else if (!endOfOptions && /^-[A-Za-z]+$/.test(word)) {
+      for (const letter of word.slice(1)) flags.add(aliases[`-${letter}`] ?? letter);
+    } else {
+      others.push(word);
+    }
+  }
+  const cluster = flags.size ? [`-${[...flags].sort().join('')}`] : [];
+  return [...lead, ...cluster, ...others].join(' ');
+}
+
+// Skips a wrapper's own options, returns the index of the command it runs
+function wrappedCommandIndex(words: string[], name: string): number {
+  const withValue = WRAPPERS[name];
+  let i = 1;
+  while (i < words.length && (isOption(words[i]) || (name === 'env' && /^\w+=/.test(words[i])))) {
+    if (withValue.includes(words[i])) i++;
+    i++;
+  }
+  if (name === 'timeout') i++; // the duration
+  return i;
+}
+
+/**
+ * Everything a shell line would run: wrappers (`env`, `sudo`, `nohup`, ...) are looked through,
+ * `bash -c '...'` and `eval` are parsed as lines of their own.
+ */
+function resolveShell(line: string, depth = 0): ResolvedCommand[] {
+  const resolved: ResolvedCommand[] = [];
+  for (const { words: allWords, redirects } of lexShell(line)) {
+    const spellings: string[] = [];
+    const paths = [...redirects];
+    let words = allWords;
+    for (;;) {
+      while (words.length && (/^\w+=/.test(words[0]) || SHELL_KEYWORDS.has(words[0]))) words = words.slice(1);
+      if (!words.length) break;
+      const name = basename(words[0]);
+      paths.push(...pathArguments(words.slice(1)));
+
+      if (WRAPPERS[name]) {
+        spellings.push(words.join(' '));
+        words = words.slice(wrappedCommandIndex(words, name));
+        continue;
+      }
+      const script = SHELLS.has(name)
+        ? words.slice(1).find((word, i, rest) => i > 0 && /^-[A-Za-z]*c[A-Za-z]*$/.test(rest[i - 1]) && !isOption(word))
+        : name === 'eval' ? words.slice(1).join(' ') : undefined;
+      if (script !== undefined && depth < MAX_SHELL_DEPTH) {
+        spellings.push(words.join(' '));
+        const inner = resolveShell(script, depth + 1);
+        // the wrapper's spellings and paths belong to what it runs
+        for (const command of inner) {
+          resolved.push({ ...command, spellings: [...spellings, ...command.spellings], paths: [...paths, ...command.paths] });
+        }
+        if (!inner.length) resolved.push({ spellings, command: words.join(' '), name, args: words.slice(1), paths });
+        words = [];
+        break;
+      }
+      const command = canonicalCommand(words);
+      resolved.push({ spellings: [...spellings, command], command, name, args: words.slice(1), paths });
+      words = [];
+      break;
+    }
+  }
+  return resolved;
+}
+
+function collectPaths(args: Record<string, any>): string[] {
+  const paths: string[] = [];
+  for (const [key, value] of Object.entries(args ?? {})) {
+    if (!PATH_ARGUMENT.test(key)) continue;
+    for (const item of Array.isArray(value) ? value : [value]) {
+      if (typeof item === 'string' && item.trim()) paths.push(item.trim());
+    }
+  }
+  return paths;
+}
+
+function isInside(root: string, target: string): boolean {
+  const rel = relative(root, target);
+  return rel === '' || (!rel.startsWith('..') && !isAbsolute(rel));
+}
+
+/**
+ * Judges one tool call against the policy. `roots` are the directories the agent works in;
+ * relative paths resolve against the first one. `readOnlyRoots` are open to `readTools` only.
+ * Returns null when the call may go ahead.
+ */
+export function evaluateToolCall(policy: PolicyConfig, role: AgentRole, roots: string[], server: string, tool: string, args: Record<string, any>, readOnlyRoots: string[] = []): PolicyViolation | null {
+  const rules = rulesFor(policy, role);
+  const toolNames = [tool, `${server}/${tool}`];
+  const reachable = (policy.readTools ?? []).includes(tool) ? [...roots, ...readOnlyRoots] : roots;
+
+  const deniedTool = findRule(rules.tools.deny, toolNames);
+  if (deniedTool) {
+    return { kind: 'tool', rule: `tools.deny: ${deniedTool.pattern}`, reason: deniedTool.reason ?? 'This tool is denied by policy.', subject: `${server}/${tool}` };
+  }
+  if (rules.tools.allow.length && !findRule(rules.tools.allow, toolNames)) {
+    return { kind: 'tool', rule: 'tools.allow', reason: 'This tool is not on the allow list.', subject: `${server}/${tool}` };
+  }
+
+  const checkPath = (raw: string, cwd: string): PolicyViolation | null => {
+    const target = resolve(cwd, expandHome(raw));
+    const denied = findRule(rules.paths.deny, [target], 'path');
+    if (denied) {
+      return { kind: 'path', rule: `paths.deny: ${denied.pattern}`, reason: denied.reason ?? 'This path is denied by policy.', subject: target };
+    }
+    if (!reachable.some(root => isInside(resolve(root), target)) && !findRule(rules.paths.allow, [target], 'path')) {
+      return { kind: 'path', rule: 'paths (outside repo)', reason: `Only paths inside ${roots.join(' or ')} are allowed.`, subject: target };
+    }
+    return null;
+  };
+
+  if ((policy.shellTools ?? []).includes(tool) && typeof args?.command === 'string') {
+    // Relative paths follow the line's `cd`s
+    let cwd = typeof args.cwd === 'string' && args.cwd.trim() ? resolve(roots[0], expandHome(args.cwd.trim())) : roots[0];
+    for (const command of resolveShell(args.command)) {
+      const denied = findRule(rules.commands.deny, command.spellings, 'command');
+      if (denied) {
+        return { kind: 'command', rule: `commands.deny: ${denied.pattern}`, reason: denied.reason ?? 'This command is denied by policy.', subject: command.command };
+      }
+      if (rules.commands.allow.length && !findRule(rules.commands.allow, [command.command], 'command')) {
+        return { kind: 'command', rule: 'commands.allow', reason: 'This command is not on the allow list.', subject: command.command };
+      }
+      for (const path of command.paths) {
+        const violation = checkPath(path, cwd);
+        if (violation) return violation;
+      }
+      if (command.name === 'cd' || command.name === 'pushd') {
+        const target = pathArguments(command.args)[0];
+        cwd = target ? resolve(cwd, expandHome(target)) : homedir();
+        const violation = checkPath(cwd, cwd);
+        if (violation) return violation;
+      }
+    }
+  }
+
+  for (const raw of collectPaths(args)) {
+    const violation = checkPath(raw, roots[0]);
+    if (violation) return violation;
+  }
+  return null;
+}
+
+// What the LLM gets back instead of a tool result
+export function formatPolicyViolation(tool: string, violation: PolicyViolation): string {
+  return `Tool call '${tool}' was blocked by Deebo's policy (${violation.rule}): ${violation.reason}\nRefused: ${violation.subject}\nFind another way that stays within the policy.`;
+}
+
+export interface PolicyGuard {
+  // null: go ahead and call the tool; otherwise the violation, already logged and audited
+  check(server: string, tool: string, args: Record<string, any>): Promise<PolicyViolation | null>;
+}
+
+/**
+ * The single gate in front of callTool for both agents: every call is judged, recorded in the
+ * session's audit.log, and violations are also logged to the agent's own log.
+ * `roots` are the agent's working directories. The mother also gets the project's memory bank,
+ * a scenario only gets to read its own truncated tool outputs, so it can't reach sibling worktrees,
+ * reports or session.json.
+ */
+export async function createPolicyGuard(role: AgentRole, agentName: string, sessionId: string, repoPath: string, roots: string[]): Promise<PolicyGuard> {
+  const policy = await loadPolicy();
+  const sessionDir = getSessionDir(repoPath, sessionId);
+  const readOnlyRoots: string[] = [];
+  if (role === 'mother') {
+    roots = [...roots, join(DEEBO_ROOT, 'memory-bank', getProjectId(repoPath))];
+  } else {
+    readOnlyRoots.push(join(sessionDir, 'tool-outputs', agentName));
+  }
+  const auditPath = join(sessionDir, AUDIT_LOG_FILE);
+
+  return {
+    async check(server, tool, args) {
+      const violation = evaluateToolCall(policy, role, roots, server, tool, args, readOnlyRoots);
+      const entry: AuditEntry = {
+        timestamp: new Date().toISOString(),
+        agent: agentName,
+        server,
+        tool,
+        decision: violation ? 'denied' : 'allowed',
+        ...(violation ? { violation } : {})
+      };
+      await writeFile(auditPath, JSON.stringify(entry) + '\n', { flag: 'a' }).catch(() => undefined);
+      if (violation) {
+        await log(sessionId, agentName, 'warn', `Policy blocked ${server}/${tool}: ${violation.rule}`, { violation, args, repoPath });
+      }
+      return violation;
+    }
+  };
+}
+
+const RECENT_VIOLATIONS = 10;
+
+export async function getAuditSummary(sessionDir: string): Promise<AuditSummary> {
+  const summary: AuditSummary = { toolCalls: 0, denied: 0, byRule: {}, byAgent: {}, recentViolations: [] };
+  let raw = '';
+  try {
+    raw = await readFile(join(sessionDir, AUDIT_LOG_FILE), 'utf8');
+  } catch {
+    return summary; // no tool calls yet, or a session from before the policy existed
+  }
+
+  for (const line of raw.split('\n').filter(Boolean)) {
+    let entry: AuditEntry;
+    try { entry = JSON.parse(line); } catch { continue; }
+    const agent = summary.byAgent[entry.agent] ??= { toolCalls: 0, denied: 0 };
+    summary.toolCalls++;
+    agent.toolCalls++;
+    if (entry.decision === 'denied' && entry.violation) {
+      summary.denied++;
+      agent.denied++;
+      summary.byRule[entry.violation.rule] = (summary.byRule[entry.violation.rule] ?? 0) + 1;
+      summary.recentViolations.push({ ...entry.violation, agent: entry.agent, timestamp: entry.timestamp });
+    }
+  }
+  summary.recentViolations = summary.recentViolations.slice(-RECENT_VIOLATIONS);
+  return summary;
+}
@@ -1,13 +1,95 @@
-import { mkdir, writeFile } from "fs/promises";
+import { mkdir, writeFile, readFile, readdir } from "fs/promises";
 import { join }           from "path";
-import { DEEBO_ROOT }     from "../index.js";
+import { z }              from "zod";
+import { DEEBO_ROOT }     from "./paths.js";
 import { getProjectId }   from "./sanitize.js";
 
+// LLMs are sloppy with casing ("Yes", "HIGH"), normalize before matching the enum
+const looseEnum = <U extends string, T extends Readonly<[U, ...U[]]>>(values: T) =>
+  z.preprocess(v => typeof v === 'string' ? v.trim().toLowerCase() : v, z.enum(values));
+
+// What the scenario LLM has to put inside <report> tags
+export const LlmReportSchema = z.object({
+  hypothesis: z.string().min(1),
+  confirmed: looseEnum(['yes', 'no', 'partial']),
+  confidence: looseEnum(['high', 'medium', 'low']),
+  evidence: z.array(z.string()).min(1),
+  filesChanged: z.array(z.string()).default([]),
+  diff: z.string().default(''),
+  conclusion: z.string().min(1)
+});
+
+// `reported` is a report the LLM wrote; everything else is a failure written by the agent itself
+export const ReportStatusSchema = z.enum(['reported', 'invalid_report', 'timeout', 'llm_failure', 'crashed']);
+
+// One run of the session's repro command. `reproduced` is the failure the user described,
+// `failed` is any other failure (a different error, a timeout)
+export const ReproRunSchema = z.object({
+  command: z.string(),
+  outcome: z.enum(['passed', 'reproduced', 'failed']),
+  exitCode: z.number().nullable(), // null when the command timed out
+  timedOut: z.boolean(),
+  durationMs: z.number(),
+  output: z.string(), // the tail, that's where test runners put their summary
+  ranAt: z.string()
+});
+
+export const ScenarioReportSchema = LlmReportSchema.extend({
+  status: ReportStatusSchema,
+  repro: ReproRunSchema.optional() // run by the agent on the scenario's branch, sessions without a repro have none
+});
+
+export type ReportStatus = z.infer<typeof ReportStatusSchema>;
+export type ReproRun = z.infer<typeof ReproRunSchema>;
+export type ScenarioReport = z.infer<typeof ScenarioReportSchema>;
+
+/**
+ * Parses the body of a <report> tag against the schema.
+ * On failure the error text is meant to be sent back to the LLM so it can correct itself.
+ */
+export function parseScenarioReport(text: string): { report: ScenarioReport } | { error: string } {
+  // Tolerate a markdown code fence around the JSON
+  const body = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  let raw: unknown;
+  try {
+    raw = JSON.parse(body);
+  } catch (err) {
+    return { error: `Report is not valid JSON: ${err instanceof Error ? err.message : String(err)}` };
+  }
+
+  const parsed = LlmReportSchema.safeParse(raw);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(issue => `- ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+    return { error: `Report does not match the required schema:\n${issues.join('\n')}` };
+  }
+  return { report: { ...parsed.data, status: 'reported' } };
+}
+
+// Same structure as an LLM report so consumers never have to special-case failures
+export function buildFailureReport(status: Exclude<ReportStatus, 'reported'>, hypothesis: string, message: string): ScenarioReport {
+  return {
+    status,
+    hypothesis,
+    confirmed: 'no',
+    confidence: 'low',
+    evidence: [message],
+    filesChanged: [],
+    diff: '',
+    conclusion: `Scenario did not complete its investigation (${status}): ${message}`
+  };
+}
+
+// Old sessions stored the raw <report> text; anything that isn't a structured report is legacy
+export function isScenarioReport(report: unknown): report is ScenarioReport {
+  return ScenarioReportSchema.safeParse(report).success;
+}
+
 export async function writeReport(
   repoPath: string,
   sessionId: string,
   scenarioId: string,
-  report: any
+  report: ScenarioReport
 ) {
   const projectId = getProjectId(repoPath);
   const reportDir = join(
@@ -23,4 +105,54 @@ export async function writeReport(
   // pretty-print with 2-space indent
   const reportPath = join(reportDir, `${scenarioId}.json`);
   await writeFile(reportPath, JSON.stringify(report, null, 2), "utf8");
-}
\ No newline at end of file
+}
+
+// Every structured report of a session keyed by scenario id; legacy and unreadable reports are skipped
+export async function readScenarioReports(sessionDir: string): Promise<Record<string, ScenarioReport>> {
+  const reportsDir = join(sessionDir, "reports");
+  const reports: Record<string, ScenarioReport> = {};
+  let files: string[] = [];
+  try { files = (await readdir(reportsDir)).filter(f => f.endsWith(".json")); } catch { /* no reports yet */ }
+
+  for (const file of files) {
+    try {
+      const report = JSON.parse(await readFile(join(reportsDir, file), "utf8"));
+      if (isScenarioReport(report)) reports[file.replace(/\.json$/, "")] = report;
+    } catch {
+      continue;
+    }
+  }
+  return reports;
+}
+
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 } as const;
+
+// A confirmed report whose branch passed the repro command, the only kind of evidence a repro session accepts
+export function hasPassingRepro(report: ScenarioReport): boolean {
+  return report.status === "reported" && report.confirmed === "yes" && report.repro?.outcome === "passed";
+}
+
+/**
+ * The scenario behind the solution: a confirmed report, one that passed the repro first,
+ * then most confident, preferring one that actually changed code. Null when nothing was confirmed.
+ */
+export function pickWinningScenario(reports: Record<string, ScenarioReport>): string | null {
+  const confirmed = Object.entries(reports)
+    .filter(([, report]) => report.status === "reported" && report.confirmed === "yes")
+    .sort(([, a], [, b]) =>
+      (Number(hasPassingRepro(b)) - Number(hasPassingRepro(a))) ||
+      (CONFIDENCE_RANK[b.confidence] - CONFIDENCE_RANK[a.confidence]) ||
+      (Number(b.filesChanged.length > 0) - Number(a.filesChanged.length > 0)));
+  return confirmed[0]?.[0] ?? null;
+}
+
+/**
+ * The scenario a solution says it rests on: of the scenario IDs the text names, the best one
+ * by the same ranking. Null when it names none. `session-1-1` doesn't match inside `session-1-10`.
+ */
+export function findSolutionScenario(solution: string, reports: Record<string, ScenarioReport>): string | null {
+  const named = Object.entries(reports)
+    .filter(([id]) => new RegExp(`${id.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?!\\d)`).test(solution));
+  if (!named.length) return null;
+  return pickWinningScenario(Object.fromEntries(named)) ?? named[0][0];
+}
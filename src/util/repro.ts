@@ -0,0 +1,137 @@
+// src/util/repro.ts
+import { spawn } from 'child_process';
+import { ReproRun } from './reports.js';
+import { Sandbox } from './sandbox.js';
+
+const REPRO_TIMEOUT_MS = 10 * 60 * 1000;
+// Only the tail is kept: runs end up in reports, which the mother reads in full
+const MAX_OUTPUT_CHARS = 4_000;
+
+// The user's command that shows the bug, and optionally what its failure looks like
+export interface ReproSpec {
+  command: string;
+  expectedFailure?: string; // a substring of the output, or /regex/flags
+}
+
+export function getReproSpec(startArgs: { reproCommand?: string; expectedFailure?: string }): ReproSpec | undefined {
+  const command = startArgs.reproCommand?.trim();
+  if (!command) return undefined;
+  const expectedFailure = startArgs.expectedFailure?.trim();
+  return expectedFailure ? { command, expectedFailure } : { command };
+}
+
+export function matchesSignature(output: string, signature: string): boolean {
+  const regex = signature.match(/^\/(.+)\/([a-z]*)$/s);
+  if (regex) {
+    try {
+      return new RegExp(regex[1], regex[2]).test(output);
+    } catch {
+      // not a valid regex after all, fall through to a plain substring match
+    }
+  }
+  return output.includes(signature);
+}
+
+// With a signature, seeing it is the failure (even on exit code 0); without one any non-zero exit is
+export function classify(spec: ReproSpec, exitCode: number | null, timedOut: boolean, output: string): ReproRun['outcome'] {
+  if (timedOut) return 'failed';
+  if (spec.expectedFailure) {
+    if (matchesSignature(output, spec.expectedFailure)) return 'reproduced';
+    return exitCode === 0 ? 'passed' : 'failed';
+  }
+  return exitCode === 0 ? 'passed' : 'reproduced';
+}
+
+function runOnHost(command: string, cwd: string, timeoutMs: number): Promise<{ exitCode: number | null; output: string; timedOut: boolean }> {
+  return new Promise(resolve => {
+    // Its own process group so a timeout takes the whole command down, not just the shell
+    const child = spawn(command, {
+      cwd,
+      shell: true,
+      detached: process.platform !== 'win32',
+      env: { ...process.env, CI: 'true' } // keeps test runners out of watch mode and interactive prompts
+    });
+    let output = '';
+    const collect = (chunk: Buffer) => {
+      output += chunk.toString();
+      if (output.length > MAX_OUTPUT_CHARS * 2) output = output.slice(-MAX_OUTPUT_CHARS);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        if (child.pid) process.kill(process.platform === 'win32' ? child.pid : -child.pid, 'SIGKILL');
+      } catch {
+        // already gone
+      }
+    }, timeoutMs);
+
+    child.on('error', err => {
+      clearTimeout(timer);
+      resolve({ exitCode: null, output: `${output}\n${err.message}`, timedOut: false });
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      resolve({ exitCode: timedOut ? null : code, output, timedOut });
+    });
+  });
+}
+
+/**
+ * Runs the repro command once in `cwd` (a worktree) and judges the result. With a sandbox the
+ * command runs in its container, like every other command of that agent.
+ */
+export async function runRepro(spec: ReproSpec, cwd: string, sandbox?: Sandbox | null, timeoutMs: number = REPRO_TIMEOUT_MS): Promise<ReproRun> {
+  const started = Date.now();
+  const { exitCode, output, timedOut } = sandbox
+    ? await sandbox.exec(spec.command, timeoutMs)
+    : await runOnHost(spec.command, cwd, timeoutMs);
+  return {
+    command: spec.command,
+    outcome: classify(spec, exitCode, timedOut, output),
+    exitCode,
+    timedOut,
+    durationMs: Date.now() - started,
+    output: output.length > MAX_OUTPUT_CHARS ? `...\n${output.slice(-MAX_OUTPUT_CHARS)}` : output,
+    ranAt: new Date(started).toISOString()
+  };
+}
+
+export function describeOutcome(run: ReproRun, spec: ReproSpec): string {
+  if (run.outcome === 'passed') return 'passed';
+  if (run.outcome === 'reproduced') return spec.expectedFailure ? 'failed with the expected failure' : `failed (exit code ${run.exitCode})`;
+  if (run.timedOut) return `timed out after ${Math.round(run.durationMs / 1000)}s`;
+  return spec.expectedFailure
+    ? `failed, but not with the expected failure (exit code ${run.exitCode})`
+    : `failed (exit code ${run.exitCode})`;
+}
+
+// One run for an LLM: what happened and the end of the output
+export function formatReproRun(run: ReproRun, spec: ReproSpec): string {
+  return `\`${run.command}\` ${describeOutcome(run, spec)}.\nOutput:\n${run.output.trim() || '(none)'}`;
+}
+
+// Goes into the mother's first message, so it knows what the session is held to
+export function describeBaselineForMother(spec: ReproSpec, baseline: ReproRun | null): string {
+  const rule = `Every scenario runs this command on its branch when it reports, and a hypothesis only counts as confirmed if it passes there. Your <solution> is only accepted if it names the ID of the scenario it rests on and that scenario's branch passes the command, so hypotheses should aim at a fix, not just an explanation. A session that ends without one is marked unverified, not solved.`;
+  if (!baseline) {
+    return `\nREPRODUCTION:\nThe user gave a repro command, \`${spec.command}\`, but it could not be run on the base commit. ${rule}\n`;
+  }
+  const verdict = baseline.outcome === 'reproduced'
+    ? 'It reproduces the bug on the base commit:'
+    : baseline.outcome === 'passed'
+      ? 'WARNING: it PASSED on the base commit, so the failure did not reproduce. The bug may depend on the environment or on uncommitted changes; take that into account:'
+      : 'WARNING: it failed on the base commit, but not the way the user described. Check whether the command itself is broken here (missing dependencies, setup):';
+  return `\nREPRODUCTION:\n${verdict}\n${formatReproRun(baseline, spec)}\n${rule}\n`;
+}
+
+// Appended to the scenario prompt, like the sandbox note
+export function describeReproForScenario(spec: ReproSpec): string {
+  return `\n\nREPRODUCTION:
+The bug is reproduced by running \`${spec.command}\` in your worktree${spec.expectedFailure ? `; the failure looks like: ${spec.expectedFailure}` : ''}.
+Your worktree is a fresh checkout, so install dependencies first if the command needs them. Run it to check your work.
+When you report, Deebo runs it on your branch itself. "confirmed": "yes" is only accepted if it passes there, which means your branch has to contain the fix.`;
+}
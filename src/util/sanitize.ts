@@ -4,4 +4,8 @@ import { createHash } from 'crypto';
 export function getProjectId(repoPath: string): string {
   const hash = createHash('sha256').update(repoPath).digest('hex');
   return hash.slice(0, 12); // use first 12 characters
-}
\ No newline at end of file
+}
+// Session ids, scenario ids and agent names coming from clients end up in file paths, only plain names get through
+export function isSafePathSegment(name: string): boolean {
+  return /^[A-Za-z0-9._-]+$/.test(name) && !name.includes('..');
+}
@@ -0,0 +1,60 @@
+// src/util/scenario-pool.ts
+import pLimit from 'p-limit';
+
+// Used when neither the session budget nor SCENARIO_CONCURRENCY says otherwise
+export const DEFAULT_SCENARIO_CONCURRENCY = 3;
+
+export function getScenarioConcurrency(maxConcurrentScenarios?: number): number {
+  if (maxConcurrentScenarios) return maxConcurrentScenarios;
+  const fromEnv = parseInt(process.env.SCENARIO_CONCURRENCY ?? '', 10);
+  return fromEnv > 0 ? fromEnv : DEFAULT_SCENARIO_CONCURRENCY;
+}
+
+export interface ScenarioPool {
+  /**
+   * Queues a scenario. `run` starts once a slot is free; if the scenario was
+   * dropped while waiting, `onDropped` produces its result instead.
+   */
+  submit<T>(scenarioId: string, run: () => Promise<T>, onDropped: (reason: string) => T): Promise<T>;
+  // Drops the given scenarios (all of them without `ids`) if they're still waiting for a slot, returns the ids dropped
+  dropQueued(reason: string, ids?: string[]): string[];
+  readonly queuedIds: string[];
+  readonly runningCount: number;
+  readonly queuedCount: number;
+}
+
+/**
+ * One pool per session, shared across turns, so the number of scenario processes
+ * (each with its own MCP servers and LLM stream) stays bounded however many
+ * hypotheses the mother emits.
+ */
+export function createScenarioPool(concurrency: number): ScenarioPool {
+  const limit = pLimit(concurrency);
+  const queued = new Set<string>();
+  const dropped = new Map<string, string>(); // scenario id -> reason
+
+  return {
+    submit(scenarioId, run, onDropped) {
+      queued.add(scenarioId);
+      return limit(async () => {
+        queued.delete(scenarioId);
+        const reason = dropped.get(scenarioId);
+        return reason !== undefined ? onDropped(reason) : run();
+      });
+    },
+    dropQueued(reason, ids) {
+      const dropping = [...queued].filter(id => !dropped.has(id) && (!ids || ids.includes(id)));
+      for (const id of dropping) dropped.set(id, reason);
+      return dropping;
+    },
+    get queuedIds() {
+      return [...queued].filter(id => !dropped.has(id));
+    },
+    get runningCount() {
+      return limit.activeCount;
+    },
+    get queuedCount() {
+      return [...queued].filter(id => !dropped.has(id)).length;
+    }
+  };
+}
@@ -0,0 +1,92 @@
+// src/util/session-list.ts
+import { readFile } from 'fs/promises';
+import { join, basename, dirname } from 'path';
+import { listSessionDirs, readSessionMeta } from './sessions.js';
+import { getSessionStatus, SessionStatusKind } from './session-status.js';
+import { getProjectId } from './sanitize.js';
+
+const ERROR_SUMMARY_LENGTH = 120;
+
+export interface SessionSummary {
+  sessionId: string;
+  repoPath: string | null; // null for sessions whose logs don't record it
+  error: string | null; // first line of the error, shortened; null for sessions started before the registry
+  status: SessionStatusKind;
+  startedAt: string | null;
+  durationSeconds: number;
+  scenarioCount: number;
+  sessionDir: string;
+}
+
+export interface SessionFilter {
+  repoPath?: string;
+  status?: SessionStatusKind[];
+  since?: Date;
+  until?: Date;
+}
+
+function summarizeError(error: string): string {
+  const firstLine = error.trim().split('\n')[0];
+  return firstLine.length > ERROR_SUMMARY_LENGTH ? `${firstLine.slice(0, ERROR_SUMMARY_LENGTH - 3)}...` : firstLine;
+}
+
+// Sessions without metadata only have the repo path in the first mother log entry
+async function readLoggedRepoPath(sessionDir: string): Promise<string | null> {
+  try {
+    const firstLine = (await readFile(join(sessionDir, 'logs', 'mother.log'), 'utf8')).split('\n')[0];
+    return JSON.parse(firstLine).data?.repoPath ?? null;
+  } catch {
+    return null;
+  }
+}
+
+// When a session started without reading its logs: session.json, else the epoch in `session-<ms>`
+function startedAtWithoutLogs(sessionId: string, startedAt: string | undefined): Date | null {
+  if (startedAt) return new Date(startedAt);
+  const epoch = sessionId.match(/^session-(\d+)$/)?.[1];
+  return epoch ? new Date(parseInt(epoch, 10)) : null;
+}
+
+/**
+ * Every session in the memory bank matching `filter`, newest first. The repo filter
+ * matches on the project directory, so it works for sessions without metadata too.
+ * Repo and dates are checked before the full status is computed, which reads every log.
+ */
+export async function listSessions(filter: SessionFilter, terminatedPids: Set<number>): Promise<SessionSummary[]> {
+  const projectId = filter.repoPath ? getProjectId(filter.repoPath) : null;
+  const summaries: SessionSummary[] = [];
+
+  for (const { sessionId, sessionDir } of await listSessionDirs()) {
+    // memory-bank/<projectId>/sessions/<sessionId>
+    if (projectId && basename(dirname(dirname(sessionDir))) !== projectId) continue;
+
+    const meta = await readSessionMeta(sessionDir);
+    if (filter.since || filter.until) {
+      const startedAt = startedAtWithoutLogs(sessionId, meta?.startedAt);
+      if (!startedAt) continue;
+      if (filter.since && startedAt < filter.since) continue;
+      if (filter.until && startedAt > filter.until) continue;
+    }
+
+    const state = await getSessionStatus(sessionId, sessionDir, terminatedPids);
+    if (filter.status?.length && !filter.status.includes(state.status)) continue;
+
+    // A finished session's duration stops at its end, not at the time of listing
+    const finished = state.status !== 'in_progress' && state.status !== 'initializing';
+    const endedAt = finished ? (meta?.endedAt ?? state.mother.lastActivityAt) : null;
+    summaries.push({
+      sessionId,
+      repoPath: meta?.repoPath ?? await readLoggedRepoPath(sessionDir),
+      error: meta ? summarizeError(meta.startArgs.error) : null,
+      status: state.status,
+      startedAt: state.startedAt,
+      durationSeconds: endedAt && state.startedAt
+        ? Math.max(0, Math.floor((new Date(endedAt).getTime() - new Date(state.startedAt).getTime()) / 1000))
+        : state.durationSeconds,
+      scenarioCount: state.scenarios.length,
+      sessionDir
+    });
+  }
+
+  return summaries.sort((a, b) => (b.startedAt ?? '').localeCompare(a.startedAt ?? ''));
+}
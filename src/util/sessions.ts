@@ -0,0 +1,242 @@
+// src/util/sessions.ts
+import { readFile, writeFile, readdir, mkdir, access } from 'fs/promises';
+import { join } from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { DEEBO_ROOT } from './paths.js';
+import { getProjectId } from './sanitize.js';
+import { SessionBudget } from './budget.js';
+import { ReproRun } from './reports.js';
+
+// 'unverified': ended with a conclusion no scenario's branch backed with a passing repro run
+export type SessionState = 'running' | 'completed' | 'unverified' | 'failed' | 'cancelled' | 'orphaned';
+
+// On-disk record of a session: memory-bank/<project>/sessions/<id>/session.json
+export interface SessionMeta {
+  sessionId: string;
+  projectId: string;
+  repoPath: string;
+  state: SessionState;
+  serverPid: number; // PID of the Deebo server process that runs the mother agent
+  serverStartTime?: string | null; // see getProcessStartTime, tells a reused serverPid apart
+  scenarioPids: number[];
+  scenarioStartTimes?: Record<string, string>; // start time of each scenario PID, only those are ever signalled
+  startArgs: {
+    error: string;
+    context: string;
+    language: string;
+    filePath: string;
+    reproCommand?: string; // shows the bug; scenarios have to make it pass
+    expectedFailure?: string; // what the repro's failure looks like, substring or /regex/
+  };
+  budget?: SessionBudget;
+  baseCommit?: string; // HEAD when the session started (or a snapshot on top of it with uncommitted changes), scenario branches fork from here
+  uncommittedFiles?: string[]; // uncommitted files carried into baseCommit
+  reproBaseline?: ReproRun; // the repro command's run on baseCommit
+  winningScenarioId?: string; // the confirmed scenario behind the solution, its branch is kept
+  forkedFrom?: string; // session whose findings seeded this one
+  startedAt: string;
+  updatedAt: string;
+  endedAt?: string;
+}
+
+export function getSessionDir(repoPath: string, sessionId: string): string {
+  return join(DEEBO_ROOT, 'memory-bank', getProjectId(repoPath), 'sessions', sessionId);
+}
+
+export async function readSessionMeta(sessionDir: string): Promise<SessionMeta | null> {
+  try {
+    return JSON.parse(await readFile(join(sessionDir, 'session.json'), 'utf8'));
+  } catch {
+    return null; // Sessions started before the registry existed have no metadata
+  }
+}
+
+export async function writeSessionMeta(meta: SessionMeta): Promise<void> {
+  const sessionDir = getSessionDir(meta.repoPath, meta.sessionId);
+  await mkdir(sessionDir, { recursive: true });
+  await writeFile(join(sessionDir, 'session.json'), JSON.stringify(meta, null, 2), 'utf8');
+}
+
+// Read-modify-write updates are chained per session so concurrent scenario
+// spawns/exits in this process can't clobber each other's PID changes
+const pendingUpdates = new Map<string, Promise<unknown>>();
+
+export function updateSessionMeta(
+  repoPath: string,
+  sessionId: string,
+  update: (meta: SessionMeta) => void
+): Promise<SessionMeta | null> {
+  const previous = pendingUpdates.get(sessionId) ?? Promise.resolve();
+  const next = previous.catch(() => undefined).then(async () => {
+    const meta = await readSessionMeta(getSessionDir(repoPath, sessionId));
+    if (!meta) return null;
+    update(meta);
+    meta.updatedAt = new Date().toISOString();
+    await writeSessionMeta(meta);
+    return meta;
+  });
+  pendingUpdates.set(sessionId, next);
+  next.finally(() => {
+    if (pendingUpdates.get(sessionId) === next) pendingUpdates.delete(sessionId);
+  }).catch(() => undefined);
+  return next;
+}
+
+export function setSessionState(repoPath: string, sessionId: string, state: SessionState) {
+  return updateSessionMeta(repoPath, sessionId, meta => {
+    meta.state = state;
+    if (state !== 'running') meta.endedAt = new Date().toISOString();
+  });
+}
+
+export async function addScenarioPid(repoPath: string, sessionId: string, pid: number) {
+  const startTime = await getProcessStartTime(pid);
+  return updateSessionMeta(repoPath, sessionId, meta => {
+    if (!meta.scenarioPids.includes(pid)) meta.scenarioPids.push(pid);
+    if (startTime) meta.scenarioStartTimes = { ...meta.scenarioStartTimes, [pid]: startTime };
+  });
+}
+
+export function removeScenarioPid(repoPath: string, sessionId: string, pid: number) {
+  return updateSessionMeta(repoPath, sessionId, meta => {
+    meta.scenarioPids = meta.scenarioPids.filter(p => p !== pid);
+    if (meta.scenarioStartTimes) delete meta.scenarioStartTimes[pid];
+  });
+}
+
+// Every session directory in the memory bank, across all projects, with or without metadata
+export async function listSessionDirs(): Promise<{ sessionId: string; sessionDir: string }[]> {
+  const memoryBank = join(DEEBO_ROOT, 'memory-bank');
+  const dirs: { sessionId: string; sessionDir: string }[] = [];
+  let projects: string[];
+  try {
+    projects = await readdir(memoryBank);
+  } catch {
+    return dirs;
+  }
+
+  for (const project of projects) {
+    let sessionIds: string[];
+    try {
+      sessionIds = await readdir(join(memoryBank, project, 'sessions'));
+    } catch {
+      continue;
+    }
+    for (const sessionId of sessionIds) {
+      dirs.push({ sessionId, sessionDir: join(memoryBank, project, 'sessions', sessionId) });
+    }
+  }
+  return dirs;
+}
+
+// Helper to find session directory
+export async function findSessionDir(sessionId: string): Promise<string | null> {
+  const memoryBank = join(DEEBO_ROOT, 'memory-bank');
+  const projects = await readdir(memoryBank);
+  
+  for (const project of projects) {
+    const sessionPath = join(memoryBank, project, 'sessions', sessionId);
+    try {
+      await access(sessionPath);
+      return sessionPath;
+    } catch {
+      continue;
+    }
+  }
+  return null;
+}
+
+// Every session with metadata, across all projects in the memory bank
+export async function listSessionMetas(): Promise<SessionMeta[]> {
+  const metas: SessionMeta[] = [];
+  for (const { sessionDir } of await listSessionDirs()) {
+    const meta = await readSessionMeta(sessionDir);
+    if (meta) metas.push(meta);
+  }
+  return metas;
+}
+
+export function isProcessAlive(pid: number): boolean {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err: any) {
+    return err.code === 'EPERM'; // exists, just not ours to signal
+  }
+}
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * When a process started, as an opaque string, or null where that can't be read. PIDs are
+ * reused once a process exits or the machine reboots; a PID whose start time changed is
+ * someone else's process. On Linux the boot id is part of it, start ticks restart at boot.
+ */
+export async function getProcessStartTime(pid: number): Promise<string | null> {
+  try {
+    if (process.platform === 'linux') {
+      const stat = await readFile(`/proc/${pid}/stat`, 'utf8');
+      // fields after the parenthesised command name; starttime is field 22 of the whole line
+      const startTicks = stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19];
+      const bootId = (await readFile('/proc/sys/kernel/random/boot_id', 'utf8')).trim();
+      return startTicks ? `${bootId}:${startTicks}` : null;
+    }
+    if (process.platform === 'darwin' || process.platform === 'freebsd') {
+      const { stdout } = await execFileAsync('ps', ['-o', 'lstart=', '-p', String(pid)]);
+      return stdout.trim() || null;
+    }
+  } catch {
+    // gone, or no procfs/ps here
+  }
+  return null;
+}
+
+/**
+ * Whether `pid` is still the process recorded with `startTime`. Without a recorded start
+ * time there is no telling, and the answer is no: such a PID is never signalled.
+ */
+export async function isSameProcess(pid: number, startTime: string | null | undefined): Promise<boolean> {
+  if (!startTime || !isProcessAlive(pid)) return false;
+  return (await getProcessStartTime(pid)) === startTime;
+}
+
+// The session's scenario PIDs that are verifiably still its own scenario processes
+export async function liveScenarioPids(meta: SessionMeta): Promise<number[]> {
+  const live: number[] = [];
+  for (const pid of meta.scenarioPids) {
+    if (await isSameProcess(pid, meta.scenarioStartTimes?.[pid])) live.push(pid);
+  }
+  return live;
+}
+
+// Whether the server that owns a running session is still alive; a session without a recorded
+// start time falls back to the PID alone, which errs on the side of leaving it alone
+export async function isServerAlive(meta: SessionMeta): Promise<boolean> {
+  if (meta.serverStartTime === undefined || meta.serverStartTime === null) return isProcessAlive(meta.serverPid);
+  return isSameProcess(meta.serverPid, meta.serverStartTime);
+}
+
+/**
+ * Called on server startup. Any session still marked running belongs to a server
+ * process that is gone, so its mother agent is dead. Those sessions are marked
+ * orphaned, keeping only the scenario PIDs that are verifiably still its scenario
+ * processes so they can be reattached to and killed through `cancel`.
+ */
+export async function reconcileSessions(): Promise<SessionMeta[]> {
+  const orphaned: SessionMeta[] = [];
+  for (const meta of await listSessionMetas()) {
+    if (meta.state !== 'running') continue;
+    if (await isServerAlive(meta)) continue; // another live Deebo server owns it (or this one)
+
+    const live = await liveScenarioPids(meta);
+    const updated = await updateSessionMeta(meta.repoPath, meta.sessionId, m => {
+      m.state = 'orphaned';
+      m.scenarioPids = live;
+      m.scenarioStartTimes = Object.fromEntries(live.map(pid => [pid, m.scenarioStartTimes![pid]]));
+      m.endedAt = new Date().toISOString();
+    });
+    if (updated) orphaned.push(updated);
+  }
+  return orphaned;
+}
@@ -0,0 +1,141 @@
+// src/util/usage.ts
+import { readFile, readdir } from 'fs/promises';
+import { join } from 'path';
+import { DEEBO_ROOT } from './paths.js';
+import { log } from './logger.js';
+import { LlmUsage } from './agent-utils.js';
+
+// Every LLM call logs one entry with this message; totals are summed from the logs
+export const USAGE_LOG_MESSAGE = 'LLM usage';
+
+export interface UsageTotals {
+  calls: number;
+  promptTokens: number;
+  completionTokens: number;
+  costUsd: number;
+  unpricedCalls: number; // calls to models missing from config/pricing.json, not included in costUsd
+}
+
+interface ModelPrice {
+  input: number; // USD per 1M prompt tokens
+  output: number; // USD per 1M completion tokens
+}
+
+let priceTable: Record<string, ModelPrice> | null = null;
+
+async function loadPriceTable(): Promise<Record<string, ModelPrice>> {
+  if (!priceTable) {
+    try {
+      const raw = JSON.parse(await readFile(join(DEEBO_ROOT, 'config', 'pricing.json'), 'utf8'));
+      priceTable = Object.fromEntries(
+        Object.entries(raw.models ?? {}).map(([model, price]) => [normalizeModel(model), price as ModelPrice])
+      );
+    } catch {
+      priceTable = {}; // no price table means tokens only, no cost estimate
+    }
+  }
+  return priceTable;
+}
+
+// "anthropic/claude-3.5-sonnet" and "claude-3-5-sonnet-20241022" should both hit "claude-3-5-sonnet"
+export function normalizeModel(model: string): string {
+  return model.toLowerCase().split('/').pop()!.replace(/\./g, '-');
+}
+
+// Longest price table entry the model name starts with, so dated snapshots match their family
+async function findPrice(model: string | undefined): Promise<ModelPrice | null> {
+  if (!model) return null;
+  const table = await loadPriceTable();
+  const name = normalizeModel(model);
+  const match = Object.keys(table)
+    .filter(key => name.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? table[match] : null;
+}
+
+export async function estimateCost(model: string | undefined, usage: LlmUsage): Promise<number | null> {
+  const price = await findPrice(model);
+  if (!price) return null;
+  return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1_000_000;
+}
+
+// Logs the usage of one LLM call to the agent's log
+export async function logLlmUsage(
+  sessionId: string,
+  agentName: string,
+  repoPath: string,
+  config: { provider?: string; model?: string },
+  usage: LlmUsage
+): Promise<void> {
+  const costUsd = await estimateCost(config.model, usage);
+  // debug: bookkeeping, not something the agent did
+  await log(sessionId, agentName, 'debug', USAGE_LOG_MESSAGE, {
+    provider: config.provider,
+    model: config.model,
+    promptTokens: usage.promptTokens,
+    completionTokens: usage.completionTokens,
+    costUsd,
+    repoPath
+  });
+}
+
+export function emptyUsage(): UsageTotals {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0, unpricedCalls: 0 };
+}
+
+export function addUsage(into: UsageTotals, from: UsageTotals): UsageTotals {
+  into.calls += from.calls;
+  into.promptTokens += from.promptTokens;
+  into.completionTokens += from.completionTokens;
+  into.costUsd += from.costUsd;
+  into.unpricedCalls += from.unpricedCalls;
+  return into;
+}
+
+// Sums the usage entries out of already parsed log events
+export function sumUsage(events: any[]): UsageTotals {
+  const totals = emptyUsage();
+  for (const event of events) {
+    if (event?.message !== USAGE_LOG_MESSAGE || !event.data) continue;
+    totals.calls++;
+    totals.promptTokens += event.data.promptTokens ?? 0;
+    totals.completionTokens += event.data.completionTokens ?? 0;
+    if (typeof event.data.costUsd === 'number') {
+      totals.costUsd += event.data.costUsd;
+    } else {
+      totals.unpricedCalls++;
+    }
+  }
+  return totals;
+}
+
+// Totals for one session, per agent log and overall
+export async function getSessionUsage(sessionDir: string): Promise<{ total: UsageTotals; byAgent: Record<string, UsageTotals> }> {
+  const logsDir = join(sessionDir, 'logs');
+  const byAgent: Record<string, UsageTotals> = {};
+  const total = emptyUsage();
+
+  let logFiles: string[] = [];
+  try { logFiles = (await readdir(logsDir)).filter(f => f.endsWith('.log')); } catch { /* no logs yet */ }
+
+  for (const file of logFiles) {
+    const raw = await readFile(join(logsDir, file), 'utf8').catch(() => '');
+    const events = raw.split('\n')
+      .filter(line => line.includes(USAGE_LOG_MESSAGE))
+      .flatMap(line => {
+        try { return [JSON.parse(line)]; } catch { return []; }
+      });
+    const usage = sumUsage(events);
+    byAgent[file.replace(/\.log$/, '')] = usage;
+    addUsage(total, usage);
+  }
+  return { total, byAgent };
+}
+
+// e.g. "12,345 prompt + 2,001 completion tokens over 8 calls, ~$0.0509"
+export function formatUsage(usage: UsageTotals): string {
+  let text = `${usage.promptTokens.toLocaleString('en-US')} prompt + ${usage.completionTokens.toLocaleString('en-US')} completion tokens over ${usage.calls} call${usage.calls !== 1 ? 's' : ''}`;
+  if (usage.calls > usage.unpricedCalls) text += `, ~$${usage.costUsd.toFixed(4)}`;
+  if (usage.unpricedCalls > 0) text += ` (${usage.unpricedCalls} call${usage.unpricedCalls !== 1 ? 's' : ''} to unpriced models)`;
+  return text;
+}
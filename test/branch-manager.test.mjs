@@ -0,0 +1,101 @@
+// Runs against the compiled build, `npm test` builds first
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  snapshotWorkingTree, createScenarioWorktree, discardWorktree,
+  cleanupSessionBranches, pruneOldBranches, deleteDeeboBranch
+} from '../build/util/branch-manager.js';
+
+const git = (cwd, ...args) => execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', ...args], { cwd, encoding: 'utf8' }).trim();
+
+async function initRepo(t) {
+  const dir = await mkdtemp(join(tmpdir(), 'deebo-test-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const repo = join(dir, 'repo');
+  execFileSync('git', ['init', '-q', repo]);
+  await writeFile(join(repo, 'a.js'), 'old\n');
+  git(repo, 'add', '-A');
+  git(repo, 'commit', '-qm', 'init');
+  git(repo, 'branch', '-M', 'main');
+  return { dir, repo };
+}
+
+// A commit of its own on top of `from`, without checking anything out
+const commitOn = (repo, from) => git(repo, 'commit-tree', `${from}^{tree}`, '-p', from, '-m', 'scenario work');
+
+const branches = repo => git(repo, 'for-each-ref', '--format=%(refname:short)', 'refs/heads/').split('\n').sort();
+
+test('scenario worktrees start from the uncommitted working tree', async t => {
+  const dir = await mkdtemp(join(tmpdir(), 'deebo-test-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const repo = join(dir, 'repo');
+  execFileSync('git', ['init', '-q', repo]);
+  await writeFile(join(repo, 'a.js'), 'old\n');
+  await writeFile(join(repo, '.gitignore'), 'secret\n');
+  git(repo, 'add', '-A');
+  git(repo, 'commit', '-qm', 'init');
+  const head = git(repo, 'rev-parse', 'HEAD');
+
+  assert.deepEqual(await snapshotWorkingTree(repo), { commit: head, uncommittedFiles: [] });
+
+  await writeFile(join(repo, 'a.js'), 'new\n');
+  await writeFile(join(repo, 'b.js'), 'untracked\n');
+  await writeFile(join(repo, 'secret'), 'ignored\n');
+  const { commit, uncommittedFiles } = await snapshotWorkingTree(repo);
+  assert.notEqual(commit, head);
+  assert.deepEqual(uncommittedFiles.sort(), ['a.js', 'b.js']);
+  assert.equal(git(repo, 'rev-parse', `${commit}^`), head);
+  assert.equal(git(repo, 'status', '--porcelain'), 'M a.js\n?? b.js'); // the user's checkout is untouched
+
+  const worktree = join(dir, 'wt');
+  await createScenarioWorktree(repo, 'session-1-0', worktree, commit);
+  assert.equal(await readFile(join(worktree, 'a.js'), 'utf8'), 'new\n');
+  assert.equal(await readFile(join(worktree, 'b.js'), 'utf8'), 'untracked\n');
+  await assert.rejects(readFile(join(worktree, 'secret'), 'utf8'));
+  await discardWorktree(repo, worktree);
+});
+
+test('session cleanup deletes empty branches only', async t => {
+  const { dir, repo } = await initRepo(t);
+  await writeFile(join(repo, 'a.js'), 'dirty\n');
+  const { commit: base } = await snapshotWorkingTree(repo);
+  const session = `session-${Date.now()}`;
+  git(repo, 'branch', `debug-${session}-0`, base); // nothing beyond the snapshot
+  git(repo, 'branch', `debug-${session}-1`, commitOn(repo, base));
+  git(repo, 'branch', `debug-${session}-2`, base); // the winner
+  git(repo, 'branch', `debug-${session}-3`, base);
+  git(repo, 'worktree', 'add', '-q', join(dir, 'wt'), `debug-${session}-3`);
+  git(repo, 'branch', 'debug-session-1-0', base); // another session's
+
+  assert.deepEqual(await cleanupSessionBranches(repo, session, `debug-${session}-2`, base), [`debug-${session}-0`]);
+  assert.deepEqual(branches(repo), ['debug-session-1-0', `debug-${session}-1`, `debug-${session}-2`, `debug-${session}-3`, 'main'].sort());
+});
+
+test('pruning by age skips running sessions and checked out branches', async t => {
+  const { dir, repo } = await initRepo(t);
+  const head = git(repo, 'rev-parse', 'HEAD');
+  const recent = `session-${Date.now()}`;
+  git(repo, 'branch', 'debug-session-1000-0', commitOn(repo, head)); // old, commits don't save it
+  git(repo, 'branch', 'debug-session-1000-1', head);
+  git(repo, 'worktree', 'add', '-q', join(dir, 'wt'), 'debug-session-1000-1');
+  git(repo, 'branch', 'debug-session-2000-0', head); // old but still running
+  git(repo, 'branch', `debug-${recent}-0`, head);
+
+  assert.deepEqual(await pruneOldBranches(repo, 0), []);
+  assert.deepEqual(await pruneOldBranches(repo, 30, new Set(['session-2000'])), ['debug-session-1000-0']);
+  assert.deepEqual(branches(repo), ['debug-session-1000-1', 'debug-session-2000-0', `debug-${recent}-0`, 'main'].sort());
+});
+
+test('deleting refuses anything but scenario branches', async t => {
+  const { repo } = await initRepo(t);
+  git(repo, 'branch', 'debug-session-1-0');
+  git(repo, 'branch', 'debug-fix');
+  await assert.rejects(deleteDeeboBranch(repo, 'main'), /'main' is not a Deebo scenario branch/);
+  await assert.rejects(deleteDeeboBranch(repo, 'debug-fix'), /not a Deebo scenario branch/);
+  await deleteDeeboBranch(repo, 'debug-session-1-0');
+  assert.deepEqual(branches(repo), ['debug-fix', 'main']);
+});
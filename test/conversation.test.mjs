@@ -0,0 +1,28 @@
+// Runs against the compiled build, `npm test` builds first
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { completeToolCalls } from '../build/util/conversation.js';
+
+const call = id => ({ id, type: 'function', function: { name: 'git_status', arguments: '{}' } });
+
+test('answers tool calls a stopped session never ran', () => {
+  const messages = [
+    { role: 'user', content: 'Error: boom' },
+    { role: 'assistant', content: null, tool_calls: [call('a'), call('b')] },
+    { role: 'tool', tool_call_id: 'a', content: 'clean' },
+    { role: 'assistant', content: null, tool_calls: [call('c')] }
+  ];
+  const completed = completeToolCalls(messages);
+  assert.deepEqual(completed.map(m => m.role === 'tool' ? `tool:${m.tool_call_id}` : m.role),
+    ['user', 'assistant', 'tool:a', 'tool:b', 'assistant', 'tool:c']);
+  assert.match(completed[3].content, /^Not run/);
+});
+
+test('leaves a complete conversation as it is', () => {
+  const messages = [
+    { role: 'assistant', content: null, tool_calls: [call('a')] },
+    { role: 'tool', tool_call_id: 'a', content: 'clean' },
+    { role: 'assistant', content: '<hypothesis>x</hypothesis>' }
+  ];
+  assert.deepEqual(completeToolCalls(messages), messages);
+});
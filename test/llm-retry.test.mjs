@@ -0,0 +1,123 @@
+// Runs against the compiled build, `npm test` builds first
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { callLlm } from '../build/util/agent-utils.js';
+import { getLlmError } from '../build/util/llm-retry.js';
+
+// A stand-in for the OpenAI API: answers each request with the next scripted reply
+let replies = [];
+let requests = 0;
+let models = []; // the model each request asked for
+const server = createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    requests++;
+    models.push(JSON.parse(body).model);
+    const reply = replies.shift() ?? { status: 500, body: { error: { message: 'no reply scripted' } } };
+    if (reply.hang) return; // never answers, the client has to time out
+    res.writeHead(reply.status, { 'content-type': 'application/json', ...reply.headers });
+    res.end(JSON.stringify(reply.body));
+  });
+});
+
+const ok = {
+  status: 200,
+  body: {
+    id: 'chatcmpl-1', object: 'chat.completion', created: 0, model: 'stub-model',
+    choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: 'hello' } }],
+    usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 }
+  }
+};
+const error = (status, message, headers = {}) => ({ status, headers, body: { error: { message, type: 'error' } } });
+
+let config;
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  config = { provider: 'openai', model: 'stub-model', openaiApiKey: 'sk-test', baseURL: `http://127.0.0.1:${server.address().port}/v1` };
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+test.beforeEach(() => {
+  replies = [];
+  requests = 0;
+  models = [];
+  delete process.env.DEEBO_LLM_MAX_RETRIES;
+  delete process.env.DEEBO_LLM_TIMEOUT_MS;
+});
+
+const messages = [{ role: 'user', content: 'hi' }];
+
+test('waits out a 429 for as long as Retry-After or retry-after-ms says', async () => {
+  for (const headers of [{ 'retry-after': '1' }, { 'retry-after-ms': '300' }]) {
+    replies = [error(429, 'Rate limit reached', headers), ok];
+    const delays = [];
+    const started = Date.now();
+    const response = await callLlm(messages, { ...config, onRetry: (info, attempt, delayMs) => delays.push([info.kind, delayMs]) });
+    assert.equal(response.text, 'hello');
+    const expected = headers['retry-after'] ? 1000 : 300;
+    assert.equal(delays.length, 1);
+    assert.equal(delays[0][0], 'rate_limit');
+    assert.ok(delays[0][1] >= expected && delays[0][1] < expected + 300, `waited ${delays[0][1]}ms for ${JSON.stringify(headers)}`);
+    assert.ok(Date.now() - started >= expected);
+  }
+});
+
+test('retries a server error with backoff, then succeeds', async () => {
+  replies = [error(503, 'Service unavailable'), ok];
+  const kinds = [];
+  const response = await callLlm(messages, { ...config, onRetry: info => kinds.push(info.kind) });
+  assert.equal(response.text, 'hello');
+  assert.deepEqual(response.usage, { promptTokens: 3, completionTokens: 1 });
+  assert.deepEqual(kinds, ['server']);
+  assert.equal(requests, 2);
+});
+
+test('gives up on a request that outlives DEEBO_LLM_TIMEOUT_MS', async () => {
+  process.env.DEEBO_LLM_TIMEOUT_MS = '200';
+  process.env.DEEBO_LLM_MAX_RETRIES = '0';
+  replies = [{ hang: true }];
+  const err = await callLlm(messages, config).then(() => null, e => e);
+  assert.equal(getLlmError(err)?.kind, 'timeout');
+  assert.match(err.message, /timeout/i);
+});
+
+test('fails fast on a rejected key, with a readable message', async () => {
+  replies = [error(401, 'Incorrect API key provided'), ok];
+  const err = await callLlm(messages, config).then(() => null, e => e);
+  assert.equal(requests, 1);
+  assert.equal(getLlmError(err)?.kind, 'auth');
+  assert.equal(getLlmError(err)?.retryable, false);
+  assert.match(err.message, /^LLM authentication failed for openai \(stub-model\): .*Incorrect API key provided.*Check OPENAI_API_KEY/);
+});
+
+test('reports the last error once retries run out', async () => {
+  process.env.DEEBO_LLM_MAX_RETRIES = '2';
+  replies = [1, 2, 3].map(() => error(503, 'Overloaded', { 'retry-after-ms': '10' }));
+  const err = await callLlm(messages, config).then(() => null, e => e);
+  assert.equal(requests, 3);
+  assert.equal(getLlmError(err)?.kind, 'server');
+  assert.match(err.message, /persisted after 3 attempt\(s\): .*Overloaded/);
+});
+
+test('falls back on provider failures and skips the failed entry for the session', async () => {
+  process.env.DEEBO_LLM_MAX_RETRIES = '0';
+  const chained = { ...config, fallbacks: [{ provider: 'openai', model: 'backup-model' }], cooldowns: new Map() };
+  replies = [error(503, 'Overloaded'), ok, ok];
+  assert.equal((await callLlm(messages, chained)).model, 'backup-model');
+  await callLlm(messages, chained);
+  assert.deepEqual(models, ['stub-model', 'backup-model', 'backup-model']);
+
+  // another session has its own cooldowns
+  replies = [ok];
+  assert.equal((await callLlm(messages, { ...chained, cooldowns: new Map() })).model, 'stub-model');
+});
+
+test('throws a malformed request as it is instead of falling back', async () => {
+  const chained = { ...config, fallbacks: [{ provider: 'openai', model: 'backup-model' }], cooldowns: new Map() };
+  replies = [error(400, 'maximum context length exceeded'), ok];
+  const err = await callLlm(messages, chained).then(() => null, e => e);
+  assert.equal(getLlmError(err)?.kind, 'config');
+  assert.deepEqual(models, ['stub-model']);
+  assert.equal(chained.cooldowns.size, 0);
+});
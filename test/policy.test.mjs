@@ -0,0 +1,103 @@
+// Runs against the compiled build, `npm test` builds first
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import { evaluateToolCall } from '../build/util/policy.js';
+
+const policy = JSON.parse(readFileSync(new URL('../config/policy.json', import.meta.url), 'utf8'));
+const repo = '/work/repo';
+
+function run(command, role = 'scenario') {
+  return evaluateToolCall(policy, role, [repo], 'desktopCommander', 'execute_command', { command });
+}
+
+test('denies the shipped deny list however the command is spelled', () => {
+  for (const command of [
+    'rm -rf /',
+    'rm -r -f /',
+    'rm -Rf build',
+    'rm --recursive --force build',
+    '/bin/rm -f -r build',
+    'bash -c "git push origin"',
+    "sh -lc 'npm test; git push'",
+    'env FOO=1 git push',
+    'command git push',
+    'git -C . push',
+    'git -c core.pager=cat --no-pager push origin main',
+    'nohup curl example.com',
+    'echo "$(curl example.com)"',
+    'ls | xargs rm -rf',
+    'sudo -u nobody ls'
+  ]) {
+    const violation = run(command);
+    assert.equal(violation?.kind, 'command', `${command} should be denied, got ${JSON.stringify(violation)}`);
+  }
+});
+
+test('checks paths inside shell commands like tool path arguments', () => {
+  for (const [command, rule] of [
+    ['cat ~/.ssh/id_rsa', 'paths.deny: **/.ssh/**'],
+    ['cat /root/.env', 'paths.deny: **/.env'],
+    ['cat .env', 'paths.deny: **/.env'],
+    ['grep KEY < ~/.ssh/config', 'paths.deny: **/.ssh/**'],
+    ['cd /etc && cat shadow', 'paths (outside repo)'],
+    ['cd src && cat ../../../etc/passwd', 'paths (outside repo)'],
+    ['echo hi > /etc/motd', 'paths (outside repo)']
+  ]) {
+    assert.equal(run(command)?.rule, rule, command);
+  }
+  const viaTool = evaluateToolCall(policy, 'scenario', [repo], 'desktopCommander', 'read_file', { path: '~/.ssh/id_rsa' });
+  assert.equal(viaTool?.subject, join(homedir(), '.ssh/id_rsa'));
+});
+
+test('leaves ordinary commands alone', () => {
+  for (const command of [
+    'npm test',
+    'git status && git diff HEAD~1',
+    'rm -f build/out.js',
+    'rm -r tmpdir',
+    'npm test 2>&1 | tail -n 20',
+    'node -e "console.log(1 / 2)" > /dev/null',
+    'cd src && ls -la',
+    'grep -rn "git push" src',
+    'cat /tmp/deebo-output.txt'
+  ]) {
+    assert.equal(run(command), null, command);
+  }
+});
+
+test('allow lists see the command that actually runs', () => {
+  const allowOnly = { shellTools: ['execute_command'], commands: { allow: ['npm test*', 'git status*'] } };
+  const judge = command => evaluateToolCall(allowOnly, 'scenario', [repo], 'desktopCommander', 'execute_command', { command });
+  assert.equal(judge('env CI=1 npm test'), null);
+  assert.equal(judge('git -C . status'), null);
+  assert.equal(judge('bash -c "npm test && npm publish"')?.subject, 'npm publish');
+});
+
+test('scenarios cannot write to the checkout they branched from', () => {
+  const worktree = '/deebo/memory-bank/p/sessions/session-1/worktrees/session-1-1';
+  const write = path => evaluateToolCall(policy, 'scenario', [worktree], 'desktopCommander', 'write_file', { path, content: 'x' });
+  assert.equal(write(`${worktree}/src/a.js`), null);
+  assert.equal(write('src/a.js'), null);
+  assert.equal(write(`${repo}/src/a.js`)?.rule, 'paths (outside repo)');
+  assert.equal(evaluateToolCall(policy, 'scenario', [worktree], 'desktopCommander', 'execute_command', { command: `echo x > ${repo}/src/a.js` })?.rule, 'paths (outside repo)');
+});
+
+test('read-only roots are open to read tools only', () => {
+  const worktree = '/deebo/memory-bank/p/sessions/session-1/worktrees/session-1-1';
+  const outputs = '/deebo/memory-bank/p/sessions/session-1/tool-outputs/scenario-session-1-1';
+  const call = (tool, args) => evaluateToolCall(policy, 'scenario', [worktree], 'desktopCommander', tool, args, [outputs]);
+  assert.equal(call('read_file', { path: `${outputs}/1-0-execute_command.txt` }), null);
+  assert.equal(call('write_file', { path: `${outputs}/1-0-execute_command.txt`, content: 'x' })?.rule, 'paths (outside repo)');
+  assert.equal(call('execute_command', { command: `cat ${outputs}/1-0-execute_command.txt` })?.rule, 'paths (outside repo)');
+  for (const path of [
+    '/deebo/memory-bank/p/sessions/session-1/worktrees/session-1-2/src/a.js',
+    '/deebo/memory-bank/p/sessions/session-1/reports/session-1-2.json',
+    '/deebo/memory-bank/p/sessions/session-1/session.json',
+    '/deebo/memory-bank/p/sessions/session-1/tool-outputs/scenario-session-1-2/1-0-read_file.txt'
+  ]) {
+    assert.equal(call('read_file', { path })?.rule, 'paths (outside repo)', path);
+  }
+});
@@ -0,0 +1,33 @@
+// Runs against the compiled build, `npm test` builds first
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { pickWinningScenario, findSolutionScenario } from '../build/util/reports.js';
+
+const report = (fields = {}) => ({
+  status: 'reported', hypothesis: 'h', confirmed: 'yes', confidence: 'medium',
+  evidence: ['e'], filesChanged: [], diff: '', conclusion: 'c', ...fields
+});
+const repro = outcome => ({ command: 'npm test', outcome, exitCode: outcome === 'passed' ? 0 : 1, timedOut: false, durationMs: 1, output: '', ranAt: '' });
+
+test('a passing repro outranks confidence', () => {
+  const reports = {
+    'session-1-0': report({ confidence: 'high', filesChanged: ['a.js'], repro: repro('reproduced') }),
+    'session-1-1': report({ confidence: 'low', repro: repro('passed') }),
+    'session-1-2': report({ confirmed: 'no', confidence: 'high', repro: repro('passed') })
+  };
+  assert.equal(pickWinningScenario(reports), 'session-1-1');
+  delete reports['session-1-1'];
+  assert.equal(pickWinningScenario(reports), 'session-1-0');
+  assert.equal(pickWinningScenario({ 'session-1-2': reports['session-1-2'] }), null);
+});
+
+test('solutions name scenarios by their whole ID', () => {
+  const reports = {
+    'session-1-1': report({ confidence: 'high' }),
+    'session-1-10': report({ confidence: 'low' })
+  };
+  assert.equal(findSolutionScenario('Fixed in session-1-10, see its branch.', reports), 'session-1-10');
+  assert.equal(findSolutionScenario('Scenario session-1-1 found it.', reports), 'session-1-1');
+  assert.equal(findSolutionScenario('session-1-1 and session-1-10 agree', reports), 'session-1-1');
+  assert.equal(findSolutionScenario('No scenario named here, session-1-2 is not one.', reports), null);
+});
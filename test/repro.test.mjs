@@ -0,0 +1,27 @@
+// Runs against the compiled build, `npm test` builds first
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { classify, matchesSignature } from '../build/util/repro.js';
+
+test('signatures are a /regex/ or a substring', () => {
+  assert.equal(matchesSignature('TypeError: x is undefined', '/TypeError: \\w+ is undefined/'), true);
+  assert.equal(matchesSignature('typeerror', '/TypeError/i'), true);
+  // not a valid regex, so it's looked for as it is
+  assert.equal(matchesSignature('expected /(unclosed/ in output', '/(unclosed/'), true);
+  assert.equal(matchesSignature('something else', '/(unclosed/'), false);
+});
+
+test('classifies repro runs', () => {
+  const command = 'npm test';
+  const signature = { command, expectedFailure: 'TypeError' };
+  // the signature is the failure, whatever the exit code says
+  assert.equal(classify(signature, 0, false, 'TypeError: boom'), 'reproduced');
+  assert.equal(classify(signature, 1, false, 'TypeError: boom'), 'reproduced');
+  assert.equal(classify(signature, 1, false, 'SyntaxError'), 'failed');
+  assert.equal(classify(signature, 0, false, 'ok'), 'passed');
+  assert.equal(classify({ command }, 1, false, ''), 'reproduced');
+  assert.equal(classify({ command }, 0, false, ''), 'passed');
+  // a timeout proves nothing either way
+  assert.equal(classify(signature, null, true, 'TypeError: boom'), 'failed');
+  assert.equal(classify({ command }, null, true, ''), 'failed');
+});
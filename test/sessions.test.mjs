@@ -0,0 +1,58 @@
+// Runs against the compiled build, `npm test` builds first
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DEEBO_ROOT } from '../build/util/paths.js';
+import { getProjectId } from '../build/util/sanitize.js';
+import {
+  getProcessStartTime, isSameProcess, reconcileSessions, readSessionMeta, writeSessionMeta, getSessionDir
+} from '../build/util/sessions.js';
+
+// A PID that just exited; the kernel doesn't hand it out again this soon
+const deadPid = () => parseInt(execFileSync(process.execPath, ['-e', 'console.log(process.pid)'], { encoding: 'utf8' }), 10);
+
+test('a PID is the same process only while its start time matches', async () => {
+  const startTime = await getProcessStartTime(process.pid);
+  assert.ok(startTime);
+  assert.equal(await isSameProcess(process.pid, startTime), true);
+  assert.equal(await isSameProcess(process.pid, 'another boot:1'), false);
+  assert.equal(await isSameProcess(process.pid, null), false); // no start time, never ours to signal
+  assert.equal(await isSameProcess(deadPid(), startTime), false);
+});
+
+test('startup orphans running sessions whose server is gone and keeps only their own scenarios', async t => {
+  const repoPath = join(tmpdir(), `deebo-test-${process.pid}-${Date.now()}`, 'repo');
+  const projectId = getProjectId(repoPath);
+  t.after(() => rm(join(DEEBO_ROOT, 'memory-bank', projectId), { recursive: true, force: true }));
+
+  const ownStart = await getProcessStartTime(process.pid);
+  const dead = deadPid();
+  const session = (sessionId, fields) => writeSessionMeta({
+    sessionId, projectId, repoPath, state: 'running', serverPid: process.pid, serverStartTime: ownStart,
+    scenarioPids: [], startArgs: { error: 'e', context: '', language: 'js', filePath: '' },
+    startedAt: new Date().toISOString(), updatedAt: new Date().toISOString(), ...fields
+  });
+  await session('session-1', {
+    serverPid: dead,
+    scenarioPids: [process.pid, process.ppid, dead],
+    scenarioStartTimes: { [process.pid]: ownStart, [process.ppid]: 'another boot:1', [dead]: ownStart }
+  });
+  await session('session-2', {}); // this server's own
+  await session('session-3', { serverStartTime: 'another boot:1' }); // the server's PID was reused
+  await session('session-4', { serverPid: dead, state: 'completed' });
+
+  const orphaned = (await reconcileSessions()).filter(meta => meta.projectId === projectId);
+  assert.deepEqual(orphaned.map(meta => meta.sessionId).sort(), ['session-1', 'session-3']);
+
+  const state = id => readSessionMeta(getSessionDir(repoPath, id));
+  const first = await state('session-1');
+  assert.equal(first.state, 'orphaned');
+  assert.ok(first.endedAt);
+  assert.deepEqual(first.scenarioPids, [process.pid]);
+  assert.deepEqual(first.scenarioStartTimes, { [process.pid]: ownStart });
+  assert.equal((await state('session-2')).state, 'running');
+  assert.equal((await state('session-4')).state, 'completed');
+});
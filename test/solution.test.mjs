@@ -0,0 +1,75 @@
+// Runs against the compiled build, `npm test` builds first
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  snapshotWorkingTree, createScenarioWorktree, removeScenarioWorktree,
+  checkPatch, applyPatch, createBranchWithPatch
+} from '../build/util/branch-manager.js';
+import { exportSolutionPatch, getSolutionPatchPath } from '../build/util/solution.js';
+
+const git = (cwd, ...args) => execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', ...args], { cwd, encoding: 'utf8' }).trim();
+
+test('the solution patch applies to the checkout and branches off the dirty snapshot', async t => {
+  const dir = await mkdtemp(join(tmpdir(), 'deebo-test-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const repo = join(dir, 'repo');
+  const sessionDir = join(dir, 'session');
+  await mkdir(join(sessionDir, 'reports'), { recursive: true });
+  execFileSync('git', ['init', '-q', repo]);
+  await writeFile(join(repo, 'a.js'), 'old\n');
+  await writeFile(join(repo, 'b.js'), 'clean\n');
+  git(repo, 'add', '-A');
+  git(repo, 'commit', '-qm', 'init');
+
+  // the session starts on uncommitted work, the scenario fixes a.js and leaves it uncommitted
+  await writeFile(join(repo, 'b.js'), 'dirty\n');
+  const { commit: base } = await snapshotWorkingTree(repo);
+  const worktree = join(sessionDir, 'worktrees', 'session-1-0');
+  await createScenarioWorktree(repo, 'session-1-0', worktree, base);
+  await writeFile(join(worktree, 'a.js'), 'fixed\n');
+  await removeScenarioWorktree(repo, worktree);
+
+  const patchPath = await exportSolutionPatch(repo, sessionDir, 'session-1-0', undefined, base);
+  assert.equal(patchPath, getSolutionPatchPath(sessionDir));
+  const patch = await readFile(patchPath, 'utf8');
+  assert.match(patch, /^\+fixed$/m);
+  assert.doesNotMatch(patch, /b\.js/); // the snapshot isn't part of the solution
+
+  await checkPatch(repo, patchPath);
+  await applyPatch(repo, patchPath);
+  assert.equal(await readFile(join(repo, 'a.js'), 'utf8'), 'fixed\n');
+  assert.equal(await readFile(join(repo, 'b.js'), 'utf8'), 'dirty\n');
+  assert.equal(git(repo, 'diff', '--cached'), ''); // nothing staged
+  git(repo, 'checkout', '--', 'a.js');
+
+  // the user moves on and touches the same line: the checkout conflicts, the session's base doesn't
+  await writeFile(join(repo, 'a.js'), 'user\n');
+  git(repo, 'commit', '-qam', 'user change');
+  await assert.rejects(checkPatch(repo, patchPath));
+  await checkPatch(repo, patchPath, base);
+
+  await createBranchWithPatch(repo, 'deebo-solution-session-1', patchPath, join(sessionDir, 'worktrees', 'solution'), 'deebo: solution', base);
+  assert.equal(git(repo, 'rev-parse', 'deebo-solution-session-1^'), base);
+  assert.equal(git(repo, 'show', 'deebo-solution-session-1:a.js'), 'fixed');
+  assert.equal(git(repo, 'show', 'deebo-solution-session-1:b.js'), 'dirty');
+  assert.equal(git(repo, 'status', '--porcelain'), ''); // the checkout is untouched
+  assert.equal(git(repo, 'worktree', 'list').split('\n').length, 1);
+});
+
+test('the report diff only fills in for a missing branch', async t => {
+  const dir = await mkdtemp(join(tmpdir(), 'deebo-test-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const repo = join(dir, 'repo');
+  await mkdir(join(dir, 'reports'));
+  execFileSync('git', ['init', '-q', repo]);
+  git(repo, 'commit', '-q', '--allow-empty', '-m', 'init');
+
+  assert.equal(await exportSolutionPatch(repo, dir, 'session-1-0', undefined), null);
+  const diff = 'diff --git a/a.js b/a.js\n--- a/a.js\n+++ b/a.js\n@@ -1 +1 @@\n-old\n+fixed';
+  const patchPath = await exportSolutionPatch(repo, dir, 'session-1-0', { diff });
+  assert.equal(await readFile(patchPath, 'utf8'), diff + '\n');
+});